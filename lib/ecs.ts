@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Elastic Common Schema (ECS) formatting, for indexing entries
+ * into Elasticsearch without remapping their fields.
+ *
+ * @module ecs
+ */
+
+import type { Formatter, LogEntry } from "./logger.ts";
+import { getHostname, getPid } from "./runtime.ts";
+import { formatErrorLines, isSerializedError } from "./serialize-error.ts";
+import { getEntryDate } from "./syslog.ts";
+
+/**
+ * Version of the Elastic Common Schema the entries follow, written as
+ * `ecs.version`.
+ */
+export const ecsVersion = "8.11.0";
+
+/**
+ * Options for the "ecs" format.
+ */
+export interface EcsFormatOptions {
+  /** Written as `service.name`, naming the service that logged the entry */
+  serviceName?: string;
+  /** Written as `service.version` */
+  serviceVersion?: string;
+}
+
+// Fields that are mapped to ECS fields rather than copied
+const mappedFields = new Set([
+  "level",
+  "levelNumber",
+  "time",
+  "pid",
+  "hostname",
+  "msg",
+  "callerFile",
+  "callerLine",
+  "name",
+]);
+
+/**
+ * Creates a formatter that renders log entries as ECS JSON documents.
+ *
+ * The logger's fields are mapped to their ECS names: `time` to `@timestamp`,
+ * `level` to `log.level`, `msg` to `message`, `pid` to `process.pid`,
+ * `hostname` to `host.hostname`, caller info to `log.origin.file` and a
+ * namespace to `log.logger`. An `err` field becomes `error.type`,
+ * `error.message`, `error.code` and `error.stack_trace`. Other fields are kept
+ * as they are. Where an entry has an object of its own under `log`,
+ * `process`, `host`, `service` or `error`, the ECS fields are merged into it,
+ * taking precedence over its fields of the same name.
+ *
+ * Short timestamps have no seconds or zone, so `@timestamp` is the time the
+ * entry is formatted unless the logger uses long timestamps.
+ *
+ * @param options - ECS formatting options
+ * @returns A formatter producing one JSON document per entry
+ *
+ * @example
+ * ```ts
+ * const format = createEcsFormatter({ serviceName: "billing" });
+ * format(entry);
+ * // {"@timestamp":"2024-01-15T10:30:00.000Z","log.level":"error","message":"Payment failed","ecs.version":"8.11.0",...}
+ * ```
+ */
+export function createEcsFormatter(options: EcsFormatOptions = {}): Formatter {
+  validateEcsOptions(options);
+
+  const service = definedFields({
+    name: options.serviceName,
+    version: options.serviceVersion,
+  });
+
+  return (logEntry: LogEntry): string => {
+    const fields = Object.fromEntries(
+      Object.entries(logEntry).filter(([key]) => !mappedFields.has(key)),
+    );
+    const err = isSerializedError(fields.err) ? fields.err : null;
+    if (err) {
+      delete fields.err;
+    }
+
+    // ECS logging puts these first, with dotted names, so they can be read
+    // without parsing the whole document
+    const document: { [key: string]: unknown } = {
+      "@timestamp": getEntryDate(logEntry).toISOString(),
+      "log.level": logEntry.level,
+      "message": logEntry.msg,
+      "ecs.version": ecsVersion,
+      ...fields,
+    };
+    setEcsField(document, "log", {
+      logger: typeof logEntry.name === "string" ? logEntry.name : undefined,
+      origin: logEntry.callerFile
+        ? { file: { name: logEntry.callerFile, line: logEntry.callerLine } }
+        : undefined,
+    });
+    setEcsField(document, "process", { pid: logEntry.pid ?? getPid() });
+    setEcsField(document, "host", {
+      hostname: logEntry.hostname ?? getHostname(),
+    });
+    setEcsField(document, "service", service);
+    if (err) {
+      setEcsField(document, "error", {
+        type: err.name,
+        message: err.message,
+        code: err.code,
+        stack_trace: formatErrorLines(err).join("\n"),
+      });
+    }
+    return JSON.stringify(document);
+  };
+}
+
+function definedFields(
+  fields: { [key: string]: unknown },
+): { [key: string]: unknown } {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined),
+  );
+}
+
+// Adds the defined ECS fields under a key, merged into the entry's own object
+// there if it has one. Keys ECS has nothing for are left as they are
+function setEcsField(
+  document: { [key: string]: unknown },
+  key: string,
+  fields: { [key: string]: unknown },
+): void {
+  const ecsFields = definedFields(fields);
+  if (Object.keys(ecsFields).length === 0) {
+    return;
+  }
+  const own = document[key];
+  document[key] = own !== null && typeof own === "object" &&
+      !Array.isArray(own)
+    ? { ...own, ...ecsFields }
+    : ecsFields;
+}
+
+function validateEcsOptions(options: EcsFormatOptions): void {
+  if (typeof options !== "object" || options === null) {
+    throw new Error("ecs option must be an object");
+  }
+  for (const key of ["serviceName", "serviceVersion"] as const) {
+    if (options[key] !== undefined && typeof options[key] !== "string") {
+      throw new Error(`ecs ${key} must be a string`);
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Level overrides for source files, matched by glob patterns
+ * against the file each entry is logged from.
+ *
+ * @module file-levels
+ */
+
+// A pattern, with the level number for files it matches
+interface FileLevelRule {
+  pattern: string;
+  regExp: RegExp;
+  levelNumber: number;
+}
+
+/**
+ * Levels for source files, such as `{ "src/db/**": "debug" }`.
+ *
+ * Patterns are matched against the end of a file's path or URL, so
+ * `src/db/**` matches `file:///app/src/db/pool.ts`. Patterns starting with
+ * `/` match from the start of the path, and also match `file://` URLs. `*`
+ * matches any run of characters other than `/`, `**` matches across
+ * directories and `?` matches a single character. When several patterns match
+ * a file, the longest one wins.
+ *
+ * Matches are cached, so each file is only matched against the patterns once.
+ *
+ * @example
+ * ```ts
+ * const fileLevels = new FileLevels({ "src/db/**": "debug" }, { debug: 3 });
+ * fileLevels.levelFor("file:///app/src/db/pool.ts"); // 3
+ * fileLevels.levelFor("file:///app/src/http.ts"); // undefined
+ * ```
+ */
+export class FileLevels {
+  rules: FileLevelRule[];
+  // The lowest and highest level numbers of the rules
+  min: number;
+  max: number;
+  cache: Map<string, number | undefined>;
+
+  constructor(
+    rules: { [pattern: string]: string },
+    levels: { [level: string]: number },
+  ) {
+    this.rules = Object.entries(rules)
+      .map(([pattern, level]) => ({
+        pattern,
+        regExp: toRegExp(pattern),
+        levelNumber: levels[level],
+      }))
+      // Longest first, so the first match is the most specific
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+    const levelNumbers = this.rules.map((rule) => rule.levelNumber);
+    this.min = Math.min(...levelNumbers);
+    this.max = Math.max(...levelNumbers);
+    this.cache = new Map();
+  }
+
+  /**
+   * Checks whether a rule could change whether an entry is logged, so the
+   * file it's logged from is needed.
+   *
+   * @param levelNumber - The entry's level number
+   * @param limit - Level number of the level the entry would otherwise be
+   *   checked against
+   */
+  applies(levelNumber: number, limit: number): boolean {
+    return levelNumber <= Math.max(this.max, limit) &&
+      levelNumber > Math.min(this.min, limit);
+  }
+
+  /**
+   * Gets the level number for a file, if a rule matches it.
+   */
+  levelFor(file: string): number | undefined {
+    if (this.cache.has(file)) {
+      return this.cache.get(file);
+    }
+    const levelNumber = this.rules.find((rule) => rule.regExp.test(file))
+      ?.levelNumber;
+    this.cache.set(file, levelNumber);
+    return levelNumber;
+  }
+}
+
+function toRegExp(pattern: string): RegExp {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches no directories at all
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  const start = pattern.startsWith("/")
+    ? "^(?:file://)?"
+    : /^[a-z][a-z\d+.-]*:/i.test(pattern)
+    ? "^"
+    : "(?:^|/)";
+  return new RegExp(`${start}${source}$`);
+}
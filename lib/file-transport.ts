@@ -0,0 +1,308 @@
+/**
+ * @fileoverview File transport that appends log lines to a file, with optional
+ * size- and time-based rotation.
+ *
+ * Rotated files are kept alongside the log file as `app.log.1`, `app.log.2`
+ * and so on, with `.1` being the most recent. They can optionally be gzipped.
+ *
+ * @module file-transport
+ */
+
+import type { Formatter, LogEntry, LogLine, Transport } from "./logger.ts";
+import {
+  type AppendFile,
+  openAppendFile,
+  readFile,
+  removeFile,
+  renameFile,
+  statFile,
+  writeFile,
+} from "./runtime.ts";
+
+/**
+ * Rotation boundaries for time-based rotation. Boundaries are in UTC, to match
+ * the timestamps in log entries.
+ */
+export type RotationInterval = "daily" | "hourly";
+
+/**
+ * Configuration options for the {@link FileTransport}.
+ */
+export interface FileTransportOptions {
+  /** Path of the log file */
+  path: string;
+  /** Formatter for lines in the file. Defaults to the line produced by the logger's formatter */
+  formatter?: Formatter;
+  /** Rotate before the file would grow beyond this many bytes */
+  maxSize?: number;
+  /** Rotate when a new day or hour starts */
+  interval?: RotationInterval;
+  /** Number of rotated files to keep. Defaults to 5 */
+  maxFiles?: number;
+  /** Gzip rotated files. Defaults to false */
+  compress?: boolean;
+}
+
+const encoder = new TextEncoder();
+
+function getPeriod(date: Date, interval: RotationInterval): string {
+  // "2024-01-15" for daily, "2024-01-15T10" for hourly
+  return date.toISOString().slice(0, interval === "daily" ? 10 : 13);
+}
+
+function concat(chunks: Uint8Array[], length: number): Uint8Array {
+  const data = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
+}
+
+async function gzip(data: Uint8Array): Promise<Uint8Array> {
+  // Copy into a plain ArrayBuffer-backed array, which is what Blob accepts
+  const stream = new Blob([new Uint8Array(data)]).stream().pipeThrough(
+    new CompressionStream("gzip"),
+  );
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Transport that appends each log line to a file.
+ *
+ * With the default JSON format this produces NDJSON, one entry per line.
+ * Writes are synchronous, so lines are on disk as soon as `log()` returns.
+ *
+ * @example
+ * ```ts
+ * import Logger, { FileTransport } from "@iankulin/logger";
+ *
+ * const file = new FileTransport({
+ *   path: "./app.log",
+ *   maxSize: 10 * 1024 * 1024, // 10MB
+ *   interval: "daily",
+ *   maxFiles: 7,
+ *   compress: true,
+ * });
+ * const logger = new Logger({ transports: [file] });
+ *
+ * // Release the file handle before exiting
+ * await file.close();
+ * ```
+ */
+export class FileTransport implements Transport {
+  path: string;
+  formatter?: Formatter;
+  maxSize?: number;
+  interval?: RotationInterval;
+  maxFiles: number;
+  compress: boolean;
+  size: number;
+  period?: string;
+  file: AppendFile | null;
+  compressing: Promise<void> | null;
+  // Set when the file needs rotating while a rotated file is being compressed
+  rotatePending: boolean;
+
+  constructor(options: FileTransportOptions) {
+    this.validateOptions(options);
+
+    this.path = options.path;
+    this.formatter = options.formatter;
+    this.maxSize = options.maxSize;
+    this.interval = options.interval;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.compress = options.compress ?? false;
+
+    // Carry on from an existing file, so restarts don't skip a rotation
+    const existing = statFile(this.path);
+    this.size = existing?.size ?? 0;
+    if (this.interval) {
+      this.period = getPeriod(existing?.mtime ?? new Date(), this.interval);
+    }
+
+    this.file = openAppendFile(this.path);
+    this.compressing = null;
+    this.rotatePending = false;
+  }
+
+  validateOptions(options: FileTransportOptions): void {
+    if (typeof options?.path !== "string" || options.path === "") {
+      throw new Error("path option is required");
+    }
+
+    if (
+      options.formatter !== undefined && typeof options.formatter !== "function"
+    ) {
+      throw new Error("formatter option must be a function");
+    }
+
+    if (
+      options.maxSize !== undefined &&
+      (!Number.isInteger(options.maxSize) || options.maxSize <= 0)
+    ) {
+      throw new Error("maxSize option must be a positive integer");
+    }
+
+    if (options.interval !== undefined) {
+      const validIntervals: RotationInterval[] = ["daily", "hourly"];
+      if (!validIntervals.includes(options.interval)) {
+        throw new Error(
+          `Invalid interval: ${options.interval}. Valid intervals are: ${
+            validIntervals.join(", ")
+          }`,
+        );
+      }
+    }
+
+    if (
+      options.maxFiles !== undefined &&
+      (!Number.isInteger(options.maxFiles) || options.maxFiles < 0)
+    ) {
+      throw new Error("maxFiles option must be a non-negative integer");
+    }
+  }
+
+  write(logEntry: LogEntry, formattedLog: string): void {
+    this.writeData(this.encodeLine(logEntry, formattedLog));
+  }
+
+  writeBatch(logLines: LogLine[]): void {
+    // Write the batch in as few chunks as possible, breaking it only where
+    // the file needs to be rotated
+    let chunks: Uint8Array[] = [];
+    let chunkSize = 0;
+    for (const { logEntry, formattedLog } of logLines) {
+      const data = this.encodeLine(logEntry, formattedLog);
+      if (
+        chunkSize > 0 && this.maxSize !== undefined &&
+        this.size + chunkSize + data.length > this.maxSize
+      ) {
+        this.writeData(concat(chunks, chunkSize));
+        chunks = [];
+        chunkSize = 0;
+      }
+      chunks.push(data);
+      chunkSize += data.length;
+    }
+    if (chunkSize > 0) {
+      this.writeData(concat(chunks, chunkSize));
+    }
+  }
+
+  encodeLine(logEntry: LogEntry, formattedLog: string): Uint8Array {
+    const line = this.formatter ? this.formatter(logEntry) : formattedLog;
+    return encoder.encode(`${line}\n`);
+  }
+
+  writeData(data: Uint8Array): void {
+    if (!this.file) {
+      throw new Error(`FileTransport for ${this.path} is closed`);
+    }
+
+    if (this.shouldRotate(data.length)) {
+      // Wait for the previous rotated file to be compressed, so it isn't
+      // renamed from under the compression. It's rotated once that's done
+      if (this.compressing) {
+        this.rotatePending = true;
+      } else {
+        this.rotate();
+      }
+    }
+
+    this.file.write(data);
+    this.size += data.length;
+  }
+
+  shouldRotate(bytes: number): boolean {
+    // Nothing to rotate away from in an empty file
+    if (this.size === 0) {
+      if (this.interval) {
+        this.period = getPeriod(new Date(), this.interval);
+      }
+      return false;
+    }
+
+    if (this.maxSize !== undefined && this.size + bytes > this.maxSize) {
+      return true;
+    }
+
+    return this.interval !== undefined &&
+      this.period !== getPeriod(new Date(), this.interval);
+  }
+
+  /**
+   * Moves the current file aside and starts a new one. Rotated files are
+   * shifted up by one, dropping any beyond `maxFiles`.
+   */
+  rotate(): void {
+    this.file?.close();
+    this.rotatePending = false;
+
+    if (this.maxFiles === 0) {
+      removeFile(this.path);
+    } else {
+      // Rotated files can be left uncompressed, such as when compressing one
+      // failed, so both kinds are shifted along
+      for (const suffix of ["", ".gz"]) {
+        const oldest = `${this.path}.${this.maxFiles}${suffix}`;
+        if (statFile(oldest)) {
+          removeFile(oldest);
+        }
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+          const rotated = `${this.path}.${i}${suffix}`;
+          if (statFile(rotated)) {
+            renameFile(rotated, `${this.path}.${i + 1}${suffix}`);
+          }
+        }
+      }
+      renameFile(this.path, `${this.path}.1`);
+
+      if (this.compress) {
+        this.compressing = this.compressFile(`${this.path}.1`).then(() =>
+          this.compressed()
+        );
+      }
+    }
+
+    this.file = openAppendFile(this.path);
+    this.size = 0;
+    if (this.interval) {
+      this.period = getPeriod(new Date(), this.interval);
+    }
+  }
+
+  async compressFile(path: string): Promise<void> {
+    try {
+      const compressed = await gzip(readFile(path));
+      writeFile(`${path}.gz`, compressed);
+      removeFile(path);
+    } catch (error) {
+      // Leave the uncompressed file in place rather than lose it
+      console.error("Error compressing rotated log file:", error);
+    }
+  }
+
+  // Called once a rotated file has been compressed, to carry out a rotation
+  // that was waiting for it
+  compressed(): void {
+    this.compressing = null;
+    if (this.rotatePending && this.file) {
+      try {
+        this.rotate();
+      } catch (error) {
+        console.error("Error rotating log file:", error);
+      }
+    }
+  }
+
+  /**
+   * Closes the log file, waiting for any rotated file still being compressed.
+   */
+  async close(): Promise<void> {
+    this.file?.close();
+    this.file = null;
+    await this.compressing;
+  }
+}
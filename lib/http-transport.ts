@@ -0,0 +1,407 @@
+/**
+ * @fileoverview HTTP transport that ships batches of log entries to an
+ * ingestion endpoint, retrying with exponential backoff.
+ *
+ * @module http-transport
+ */
+
+import type { LogEntry, Transport } from "./logger.ts";
+import { unrefTimer } from "./runtime.ts";
+
+/**
+ * Turns a batch of entries into a request body.
+ */
+export type HttpBodyEncoder = (logEntries: LogEntry[]) => string;
+
+/**
+ * Request body encodings for the {@link HttpTransport}.
+ *
+ * - `json`: A JSON array of entries, sent as `application/json`
+ * - `ndjson`: One JSON entry per line, sent as `application/x-ndjson`
+ * - A function that encodes the batch itself, sent as `application/json`
+ *   unless a Content-Type header is given
+ */
+export type HttpEncoding = "json" | "ndjson" | HttpBodyEncoder;
+
+/**
+ * Configuration options for the {@link HttpTransport}.
+ */
+export interface HttpTransportOptions {
+  /** Endpoint the batches are sent to */
+  url: string | URL;
+  /** HTTP method. Defaults to "POST" */
+  method?: string;
+  /** Extra request headers, e.g. for authentication */
+  headers?: Record<string, string>;
+  /** Request body encoding. Defaults to "json" */
+  encoding?: HttpEncoding;
+  /** Send as soon as this many entries are waiting. Defaults to 100 */
+  batchSize?: number;
+  /** Milliseconds to wait for more entries before sending a partial batch. Defaults to 1000 */
+  flushInterval?: number;
+  /** Maximum number of entries held in memory while the endpoint is down. Defaults to 10000 */
+  maxBuffer?: number;
+  /** Times a batch is retried before it's dropped. Defaults to retrying until it's sent */
+  maxRetries?: number;
+  /** Milliseconds before the first retry, doubling for each retry after that. Defaults to 500 */
+  retryDelay?: number;
+  /** Upper limit for the retry delay in milliseconds. Defaults to 30000 */
+  maxRetryDelay?: number;
+  /** Milliseconds before a request is abandoned and retried. Defaults to 10000 */
+  timeout?: number;
+}
+
+type SendResult = "sent" | "retry" | "drop";
+
+const encoders: Record<"json" | "ndjson", HttpBodyEncoder> = {
+  json: (logEntries) => JSON.stringify(logEntries),
+  ndjson: (logEntries) =>
+    logEntries.map((logEntry) => JSON.stringify(logEntry)).join("\n") + "\n",
+};
+
+const contentTypes: Record<"json" | "ndjson", string> = {
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+};
+
+function isRetryableStatus(status: number): boolean {
+  // Timeouts, rate limiting and server errors may succeed later; other client
+  // errors will fail the same way every time
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Transport that sends log entries to an HTTP endpoint in batches.
+ *
+ * A batch is sent once `batchSize` entries are waiting, or `flushInterval`
+ * milliseconds after the first entry arrived. Network errors, timeouts and
+ * 408, 429 and 5xx responses are retried with exponential backoff, while other
+ * error responses drop the batch, as do batches the encoder throws for. While
+ * the endpoint is down, new entries are held in memory up to `maxBuffer`;
+ * beyond that the oldest are dropped. Every dropped entry is counted in
+ * `droppedCount`.
+ *
+ * Timers don't keep the process alive, so close the transport (or the logger)
+ * before exiting to send what's waiting.
+ *
+ * @example
+ * ```ts
+ * import Logger, { HttpTransport } from "@iankulin/logger";
+ *
+ * // Elasticsearch bulk API
+ * const http = new HttpTransport({
+ *   url: "http://localhost:9200/logs/_bulk",
+ *   headers: { authorization: "ApiKey ..." },
+ *   encoding: (entries) =>
+ *     entries.map((entry) => `{"create":{}}\n${JSON.stringify(entry)}\n`)
+ *       .join(""),
+ *   batchSize: 500,
+ * });
+ * const logger = new Logger({ transports: [http] });
+ * logger.info("Order placed");
+ * await logger.close();
+ * ```
+ */
+export class HttpTransport implements Transport {
+  url: string;
+  method: string;
+  headers: Headers;
+  encode: HttpBodyEncoder;
+  batchSize: number;
+  flushInterval: number;
+  maxBuffer: number;
+  maxRetries: number;
+  retryDelay: number;
+  maxRetryDelay: number;
+  timeout: number;
+  queue: LogEntry[];
+  batch: LogEntry[] | null;
+  retries: number;
+  droppedCount: number;
+  sending: Promise<void> | null;
+  timer: ReturnType<typeof setTimeout> | null;
+  due: boolean;
+  failing: boolean;
+  closed: boolean;
+
+  constructor(options: HttpTransportOptions) {
+    this.validateOptions(options);
+
+    const encoding = options.encoding ?? "json";
+    this.url = String(options.url);
+    this.method = options.method ?? "POST";
+    this.headers = new Headers({
+      "content-type": typeof encoding === "function"
+        ? "application/json"
+        : contentTypes[encoding],
+    });
+    for (const [name, value] of Object.entries(options.headers ?? {})) {
+      this.headers.set(name, value);
+    }
+    this.encode = typeof encoding === "function"
+      ? encoding
+      : encoders[encoding];
+    this.batchSize = options.batchSize ?? 100;
+    this.flushInterval = options.flushInterval ?? 1000;
+    this.maxBuffer = options.maxBuffer ?? 10000;
+    this.maxRetries = options.maxRetries ?? Infinity;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+    this.timeout = options.timeout ?? 10000;
+
+    this.queue = [];
+    this.batch = null;
+    this.retries = 0;
+    this.droppedCount = 0;
+    this.sending = null;
+    this.timer = null;
+    this.due = false;
+    this.failing = false;
+    this.closed = false;
+  }
+
+  validateOptions(options: HttpTransportOptions): void {
+    if (
+      !(options?.url instanceof URL) &&
+      (typeof options?.url !== "string" || options.url === "")
+    ) {
+      throw new Error("url option is required");
+    }
+
+    if (
+      options.headers !== undefined &&
+      (typeof options.headers !== "object" || options.headers === null)
+    ) {
+      throw new Error("headers option must be an object");
+    }
+
+    if (
+      options.encoding !== undefined && typeof options.encoding !== "function"
+    ) {
+      const validEncodings = Object.keys(encoders);
+      if (!validEncodings.includes(options.encoding)) {
+        throw new Error(
+          `Invalid encoding: ${options.encoding}. Valid encodings are: ${
+            validEncodings.join(", ")
+          }, or a function`,
+        );
+      }
+    }
+
+    for (const name of ["batchSize", "maxBuffer"] as const) {
+      const value = options[name];
+      if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        throw new Error(`${name} option must be a positive integer`);
+      }
+    }
+
+    if (
+      options.maxRetries !== undefined && options.maxRetries !== Infinity &&
+      (!Number.isInteger(options.maxRetries) || options.maxRetries < 0)
+    ) {
+      throw new Error("maxRetries option must be a non-negative integer");
+    }
+
+    for (
+      const name of [
+        "flushInterval",
+        "retryDelay",
+        "maxRetryDelay",
+        "timeout",
+      ] as const
+    ) {
+      const value = options[name];
+      if (
+        value !== undefined &&
+        (typeof value !== "number" || !Number.isFinite(value) || value < 0)
+      ) {
+        throw new Error(`${name} option must be a non-negative number`);
+      }
+    }
+  }
+
+  write(logEntry: LogEntry): void {
+    if (this.closed) {
+      throw new Error(`HttpTransport for ${this.url} is closed`);
+    }
+
+    // The batch being sent counts towards the limit too. If it fills the
+    // buffer on its own, there's nothing older to drop but the new entry
+    if ((this.batch?.length ?? 0) + this.queue.length >= this.maxBuffer) {
+      this.droppedCount++;
+      if (this.queue.length === 0) {
+        return;
+      }
+      this.queue.shift();
+    }
+    this.queue.push(logEntry);
+
+    if (this.sending || this.batch) {
+      // Picked up by the send in progress, or the retry
+      return;
+    }
+    if (this.queue.length >= this.batchSize) {
+      this.clearTimer();
+      this.startSend();
+    } else {
+      this.schedule(this.flushInterval);
+    }
+  }
+
+  schedule(delay: number): void {
+    if (this.timer !== null) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.due = true;
+      this.startSend();
+    }, delay);
+    unrefTimer(this.timer);
+  }
+
+  clearTimer(): void {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Starts sending, unless a send is already in progress, and returns the
+   * send. `sending` is cleared once the send has settled, which may be
+   * without waiting when there's nothing to send, so never before it's set.
+   */
+  startSend(): Promise<void> {
+    if (!this.sending) {
+      const sending: Promise<void> = this.send().finally(() => {
+        if (this.sending === sending) {
+          this.sending = null;
+        }
+        // Entries queued as the send finished would otherwise wait for the
+        // next entry
+        if (this.queue.length > 0 && !this.batch) {
+          this.schedule(this.flushInterval);
+        }
+      });
+      this.sending = sending;
+    }
+    return this.sending;
+  }
+
+  /**
+   * Sends full batches, plus a final partial batch once it's due. Stops at
+   * the first failure, leaving the batch to be retried after a backoff delay.
+   */
+  async send(): Promise<void> {
+    while (
+      this.batch || this.queue.length >= this.batchSize ||
+      (this.due && this.queue.length > 0)
+    ) {
+      this.batch ??= this.queue.splice(0, this.batchSize);
+      const result = await this.post(this.batch);
+
+      if (result === "retry" && this.retries < this.maxRetries) {
+        this.retries++;
+        this.clearTimer();
+        this.schedule(this.backoff());
+        return;
+      }
+
+      if (result !== "sent") {
+        this.droppedCount += this.batch.length;
+      }
+      this.batch = null;
+      this.retries = 0;
+    }
+
+    this.due = false;
+    if (this.queue.length > 0) {
+      this.schedule(this.flushInterval);
+    }
+  }
+
+  /**
+   * Returns the delay before the current retry, doubling with each retry up
+   * to `maxRetryDelay`.
+   */
+  backoff(): number {
+    return Math.min(
+      this.retryDelay * 2 ** (this.retries - 1),
+      this.maxRetryDelay,
+    );
+  }
+
+  async post(logEntries: LogEntry[]): Promise<SendResult> {
+    // A batch that can't be encoded would fail the same way every time, so
+    // it's dropped rather than retried
+    let body: string;
+    try {
+      body = this.encode(logEntries);
+    } catch (e) {
+      console.error(`Error encoding logs for ${this.url}:`, e);
+      return "drop";
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeout);
+    let error: unknown;
+    let retry = true;
+    try {
+      const response = await fetch(this.url, {
+        method: this.method,
+        headers: this.headers,
+        body,
+        signal: controller.signal,
+      });
+      // Release the connection, the body isn't needed
+      await response.body?.cancel();
+      if (response.ok) {
+        this.failing = false;
+        return "sent";
+      }
+      error = new Error(`HTTP ${response.status} ${response.statusText}`);
+      retry = isRetryableStatus(response.status);
+    } catch (e) {
+      error = e;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    // Only report the first failure, rather than one per retry while the
+    // endpoint is down
+    if (!this.failing) {
+      this.failing = true;
+      console.error(`Error sending logs to ${this.url}:`, error);
+    }
+    return retry ? "retry" : "drop";
+  }
+
+  /**
+   * Sends everything waiting now, without waiting for the flush interval or
+   * a retry delay. Resolves once sent, or after the first failed attempt, so
+   * it doesn't hang while the endpoint is down.
+   */
+  async flush(): Promise<void> {
+    await this.sending;
+    this.clearTimer();
+    this.due = true;
+    await this.startSend();
+  }
+
+  /**
+   * Flushes, then stops sending. Entries that couldn't be sent are dropped and
+   * counted in `droppedCount`.
+   */
+  async close(): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    await this.flush();
+    this.clearTimer();
+    this.droppedCount += (this.batch?.length ?? 0) + this.queue.length;
+    this.batch = null;
+    this.queue = [];
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Entry point for the worker thread in worker thread mode.
+ *
+ * Receives entries built on the calling thread and writes them with a logger
+ * of its own, set up from the options and outputs sent by the
+ * `LogWorker` on the calling thread.
+ *
+ * @module log-worker
+ */
+
+import Logger, { type LogEntry, type OutputOptions } from "./logger.ts";
+import { getParentPort } from "./runtime.ts";
+import type { LogWorkerRequest } from "./worker.ts";
+
+const parentPort = getParentPort();
+
+let logger: Logger<string, string> | undefined;
+// Index of the first output created by the worker module
+let moduleOutputIndex = 0;
+// Requests are handled one at a time, in order
+let queue = Promise.resolve();
+
+async function loadModuleOutputs(
+  module: string,
+): Promise<OutputOptions<string, string>[]> {
+  const exported = (await import(module)).default;
+  const outputs = typeof exported === "function" ? await exported() : exported;
+  if (!Array.isArray(outputs)) {
+    throw new Error(
+      "Worker module must export an array of outputs, or a function returning one",
+    );
+  }
+  return outputs;
+}
+
+async function init(
+  request: Extract<LogWorkerRequest, { type: "init" }>,
+): Promise<void> {
+  const outputs = [...request.outputs];
+  moduleOutputIndex = outputs.length;
+  if (request.module) {
+    try {
+      outputs.push(...await loadModuleOutputs(request.module));
+    } catch (error) {
+      // Keep writing to the console outputs
+      console.error("Error loading log worker module:", error);
+    }
+  }
+  logger = new Logger({ ...request.options, outputs });
+}
+
+function writeLog(logEntry: LogEntry, indexes: number[]): void {
+  if (!logger) {
+    return;
+  }
+  const outputs: typeof logger.outputs = [];
+  for (const index of indexes) {
+    if (index < moduleOutputIndex) {
+      outputs.push(logger.outputs[index]);
+      continue;
+    }
+    // The calling thread only knows the logger's level, so the module's
+    // outputs apply their own levels here
+    for (const output of logger.outputs.slice(moduleOutputIndex)) {
+      if (
+        output.level === undefined ||
+        logEntry.levelNumber <= logger.options.levels[output.level]
+      ) {
+        outputs.push(output);
+      }
+    }
+  }
+  logger.writeEntry(logEntry, outputs);
+}
+
+async function handle(request: LogWorkerRequest): Promise<void> {
+  switch (request.type) {
+    case "init":
+      await init(request);
+      break;
+    case "log":
+      writeLog(request.logEntry, request.outputs);
+      break;
+    case "configure":
+      logger?.configure(request.options);
+      break;
+    case "flush":
+      try {
+        await logger?.flush();
+      } finally {
+        parentPort?.postMessage({
+          type: "done",
+          id: request.id,
+          exiting: false,
+        });
+      }
+      break;
+    case "close":
+      try {
+        await logger?.close();
+      } finally {
+        // Exit once idle where the runtime allows it, so pending console
+        // output is passed on rather than lost to terminate()
+        const exiting = typeof parentPort?.close === "function";
+        parentPort?.postMessage({ type: "done", id: request.id, exiting });
+        parentPort?.close?.();
+      }
+      break;
+    case "exit":
+      try {
+        await logger?.close();
+      } finally {
+        const signal = new Int32Array(request.signal);
+        Atomics.store(signal, 0, 1);
+        Atomics.notify(signal, 0);
+      }
+      break;
+  }
+}
+
+parentPort?.on("message", (message) => {
+  queue = queue.then(() => handle(message as LogWorkerRequest)).catch(
+    (error) => console.error("Error in log worker:", error),
+  );
+});
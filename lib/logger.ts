@@ -1,7 +1,7 @@
 /**
  * @fileoverview A comprehensive cross-platform logging library with configurable levels, formatting, and caller detection.
  *
- * This module provides a Logger class that supports multiple log levels, JSON and simple text formatting,
+ * This module provides a Logger class that supports multiple log levels, JSON, simple text, pretty, logfmt, ECS, OpenTelemetry and syslog formatting,
  * automatic TTY detection for colored output, and optional caller information inclusion. It includes
  * built-in util.format-style string formatting with %s, %d, %j, and other specifiers.
  *
@@ -26,6 +26,93 @@
  * ```
  */
 
+import {
+  createRedactor,
+  parseRedactPath,
+  type RedactOptions,
+  type Redactor,
+} from "./redact.ts";
+import { FileLevels } from "./file-levels.ts";
+import { NamespacePatterns } from "./namespaces.ts";
+import { RingBuffer } from "./ring-buffer.ts";
+import {
+  formatErrorLines,
+  isSerializedError,
+  type SerializedError,
+  serializeError,
+} from "./serialize-error.ts";
+import { createEcsFormatter, type EcsFormatOptions } from "./ecs.ts";
+import { createOtlpFormatter, type OtlpOptions } from "./otlp.ts";
+import { createPrettyFormatter, type PrettyFormatOptions } from "./pretty.ts";
+import { createSyslogFormatter, type SyslogFormatOptions } from "./syslog.ts";
+import {
+  type ReadableOptions,
+  ReadableStreamTransport,
+  WritableStreamTransport,
+} from "./web-streams.ts";
+import { LogWorker, type LogWorkerOptions } from "./worker.ts";
+import {
+  addExitHandler,
+  type AsyncContext,
+  canReadEnv,
+  createAsyncContext,
+  getEnv,
+  getHostname,
+  getPid,
+  isConsoleRelayed,
+  isTerminal,
+  type LogStream,
+  unrefTimer,
+  writeStream,
+} from "./runtime.ts";
+
+export type { LogStream } from "./runtime.ts";
+export {
+  FileTransport,
+  type FileTransportOptions,
+  type RotationInterval,
+} from "./file-transport.ts";
+export {
+  type HttpBodyEncoder,
+  type HttpEncoding,
+  HttpTransport,
+  type HttpTransportOptions,
+} from "./http-transport.ts";
+export {
+  createEcsFormatter,
+  type EcsFormatOptions,
+  ecsVersion,
+} from "./ecs.ts";
+export {
+  createOtlpEncoder,
+  createOtlpFormatter,
+  defaultOtlpSeverities,
+  type OtlpAnyValue,
+  type OtlpKeyValue,
+  type OtlpLogRecord,
+  type OtlpLogsRequest,
+  type OtlpOptions,
+} from "./otlp.ts";
+export { createPrettyFormatter, type PrettyFormatOptions } from "./pretty.ts";
+export {
+  createSyslogFormatter,
+  defaultSyslogSeverities,
+  type SyslogFormatOptions,
+  type SyslogFraming,
+  type SyslogProtocol,
+  SyslogTransport,
+  type SyslogTransportOptions,
+  type SyslogTransportProtocol,
+} from "./syslog.ts";
+export {
+  type ReadableOptions,
+  WritableStreamTransport,
+  type WritableStreamTransportOptions,
+} from "./web-streams.ts";
+export type { RedactOptions } from "./redact.ts";
+export type { SerializedError } from "./serialize-error.ts";
+export type { LogWorkerOptions } from "./worker.ts";
+
 // Native implementation of util.format functionality
 function format(f: unknown, ...args: unknown[]): string {
   if (typeof f !== "string") {
@@ -63,6 +150,7 @@ function format(f: unknown, ...args: unknown[]): string {
       case "%s":
         if (arg === null) return "null";
         if (arg === undefined) return "undefined";
+        if (arg instanceof Error) return String(arg);
         if (typeof arg === "object") {
           try {
             // For objects without %j, use a simplified string representation
@@ -117,6 +205,7 @@ function format(f: unknown, ...args: unknown[]): string {
     return str + " " + remainingArgs.map((arg) => {
       if (arg === null) return "null";
       if (arg === undefined) return "undefined";
+      if (arg instanceof Error) return String(arg);
       if (typeof arg === "object") {
         try {
           if (Array.isArray(arg)) {
@@ -137,65 +226,85 @@ function format(f: unknown, ...args: unknown[]): string {
   return str;
 }
 
-// Cross-platform process interface
-interface NodeProcess {
-  pid: number;
-  versions?: {
-    node?: string;
-    bun?: string;
-  };
-  stdout?: {
-    isTTY?: boolean;
-  };
-}
-
-// Cross-platform global interface
-interface CrossPlatformGlobal {
-  process?: NodeProcess;
-  require?: (module: string) => unknown;
+// Counts the arguments a format string uses, so arguments left over can be
+// told apart
+function countPlaceholders(f: string): number {
+  return (f.match(/%[sdifj%]/g) ?? []).filter((match) => match !== "%%")
+    .length;
 }
 
-// Runtime detection and cross-platform utilities
-const runtime = {
-  isDeno: typeof Deno !== 'undefined',
-  isNode: typeof (globalThis as CrossPlatformGlobal).process !== 'undefined' &&
-          Boolean((globalThis as CrossPlatformGlobal).process?.versions?.node),
-  isBun: typeof (globalThis as CrossPlatformGlobal).process !== 'undefined' &&
-         Boolean((globalThis as CrossPlatformGlobal).process?.versions?.bun),
-};
-
-// Cross-platform API wrappers
-function getPid(): number {
-  if (runtime.isDeno) {
-    return Deno.pid;
+function isPlainObject(value: unknown): value is { [key: string]: unknown } {
+  if (value === null || typeof value !== "object") {
+    return false;
   }
-  return (globalThis as CrossPlatformGlobal).process?.pid || 0;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
 }
 
-function getHostname(): string {
-  if (runtime.isDeno) {
-    return Deno.hostname();
+// Renders a field value for the simple format, quoting strings that would
+// otherwise be ambiguous
+function formatFieldValue(value: unknown): string {
+  if (typeof value === "string") {
+    return value === "" || /[\s="]/.test(value) ? JSON.stringify(value) : value;
   }
-  // For Node.js/Bun, we need to import os module
-  if (runtime.isNode || runtime.isBun) {
+  if (value !== null && typeof value === "object") {
     try {
-      // Try accessing require if available
-      const requireFn = (globalThis as CrossPlatformGlobal)?.require || eval('require');
-      const os = requireFn?.('os') as { hostname?: () => string };
-      return os?.hostname?.() || 'localhost';
+      return JSON.stringify(value);
     } catch {
-      // Fallback if require is not available
-      return 'localhost';
+      return "[object Object]";
     }
   }
-  return 'localhost';
+  return String(value);
+}
+
+// Renders a logfmt value, quoting values with spaces, quotes, "=" or control
+// characters, and escaping them as JSON strings are
+function formatLogfmtValue(value: unknown): string {
+  const str = value instanceof Date
+    ? (isNaN(value.getTime()) ? "Invalid Date" : value.toISOString())
+    : String(value);
+  // deno-lint-ignore no-control-regex
+  return str === "" || /[\x00-\x20="\x7f]/.test(str)
+    ? JSON.stringify(str)
+    : str;
 }
 
-function isTerminal(): boolean {
-  if (runtime.isDeno) {
-    return Deno.stdout.isTerminal();
+// Adds a logfmt key=value pair for each field, flattening nested objects and
+// arrays into dotted keys such as user.id and tags.0
+function pushLogfmtPairs(
+  pairs: string[],
+  key: string,
+  value: unknown,
+  seen: Set<object>,
+): void {
+  // Left out, as in JSON
+  if (value === undefined || typeof value === "function") {
+    return;
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    pairs.push(`${key}=${formatLogfmtValue(value)}`);
+    return;
   }
-  return (globalThis as CrossPlatformGlobal).process?.stdout?.isTTY || false;
+  if (seen.has(value)) {
+    pairs.push(`${key}=[Circular]`);
+    return;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    pairs.push(`${key}=${Array.isArray(value) ? "[]" : "{}"}`);
+    return;
+  }
+  seen.add(value);
+  for (const [entryKey, entryValue] of entries) {
+    pushLogfmtPairs(pairs, `${key}.${toLogfmtKey(entryKey)}`, entryValue, seen);
+  }
+  seen.delete(value);
+}
+
+// Keys can't hold spaces, quotes or "=", so those are replaced
+function toLogfmtKey(key: string): string {
+  // deno-lint-ignore no-control-regex
+  return key.replace(/[\x00-\x20="\x7f]/g, "_") || "_";
 }
 
 /**
@@ -209,9 +318,60 @@ function isTerminal(): boolean {
  */
 export type LogLevel = "silent" | "error" | "warn" | "info" | "debug";
 
+/**
+ * Names of formats registered with {@link Logger.registerFormatter}, so
+ * TypeScript accepts them as formats. Add names by augmenting the interface:
+ *
+ * ```ts
+ * declare module "@iankulin/logger" {
+ *   interface RegisteredFormats {
+ *     csv: true;
+ *   }
+ * }
+ * ```
+ *
+ * The built-in formats are listed here too.
+ */
+export interface RegisteredFormats {
+  json: true;
+  simple: true;
+  pretty: true;
+  logfmt: true;
+  ecs: true;
+  otlp: true;
+  syslog: true;
+}
+
+/**
+ * Output formats: the built-in ones, and any registered with
+ * {@link Logger.registerFormatter}.
+ *
+ * - `json`: One JSON object per line
+ * - `simple`: Human-readable text
+ * - `pretty`: Coloured text for development, with fields on the lines below
+ *   (see {@link LoggerOptions.pretty})
+ * - `logfmt`: `key=value` pairs, with nested fields flattened into dotted keys
+ * - `ecs`: Elastic Common Schema JSON (see {@link LoggerOptions.ecs})
+ * - `otlp`: OpenTelemetry log records as OTLP/JSON (see
+ *   {@link LoggerOptions.otlp})
+ * - `syslog`: Syslog messages (see {@link LoggerOptions.syslog})
+ */
+export type LogFormat =
+  | "json"
+  | "simple"
+  | "pretty"
+  | "logfmt"
+  | "ecs"
+  | "otlp"
+  | "syslog"
+  | Extract<keyof RegisteredFormats, string>;
+
 /**
  * Numeric mapping for log levels used internally for level comparison.
  * Lower numbers have higher priority (are shown more often).
+ *
+ * Levels other than the built-in ones are custom levels, which get a log
+ * method of the same name, such as `logger.trace()`.
  */
 export interface LogLevels {
   [level: string]: number;
@@ -235,6 +395,69 @@ export interface Colours {
   reset: string;
 }
 
+const defaultLevels: LogLevels = {
+  silent: -1,
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+// Errors and warnings go to stderr, everything else to stdout
+const defaultStreams: { [level: string]: LogStream } = {
+  error: "stderr",
+  warn: "stderr",
+};
+
+const defaultColours: Colours = {
+  error: "\x1b[91m",
+  warn: "\x1b[33m",
+  info: "\x1b[94m",
+  debug: "\x1b[37m",
+  reset: "\x1b[0m",
+  // Common custom levels
+  fatal: "\x1b[35m",
+  critical: "\x1b[35m",
+  notice: "\x1b[36m",
+  verbose: "\x1b[90m",
+  trace: "\x1b[90m",
+};
+
+const builtInLevels = Object.keys(defaultLevels);
+
+// Colours and streams for custom levels without defaults of their own, taken
+// from the nearest built-in level above each one. So a level between warn and
+// info is coloured like warn and goes to stderr
+function customLevelDefaults(levels: LogLevels): {
+  colours: { [level: string]: string };
+  streams: { [level: string]: LogStream };
+} {
+  const colours: { [level: string]: string } = {};
+  const streams: { [level: string]: LogStream } = {};
+  for (const [level, levelNumber] of Object.entries(levels)) {
+    if (builtInLevels.includes(level)) {
+      continue;
+    }
+    let nearest: string | undefined;
+    for (const builtIn of builtInLevels) {
+      if (
+        builtIn !== "silent" && levels[builtIn] <= levelNumber &&
+        (nearest === undefined || levels[builtIn] > levels[nearest])
+      ) {
+        nearest = builtIn;
+      }
+    }
+    nearest ??= "error";
+    if (!Object.hasOwn(defaultColours, level)) {
+      colours[level] = defaultColours[nearest];
+    }
+    if (defaultStreams[nearest]) {
+      streams[level] = defaultStreams[nearest];
+    }
+  }
+  return { colours, streams };
+}
+
 /**
  * Structure of a log entry passed to formatters.
  *
@@ -273,6 +496,8 @@ export interface LogEntry {
   callerFile?: string;
   /** Line number in source file (included based on callerLevel setting) */
   callerLine?: number;
+  /** An Error passed to the log method, serialized with its cause chain */
+  err?: SerializedError;
   /** Additional custom properties can be added by formatters */
   [key: string]: unknown;
 }
@@ -292,6 +517,423 @@ export interface LogEntry {
  */
 export type Formatter = (logEntry: LogEntry) => string;
 
+const builtInFormats = [
+  "json",
+  "simple",
+  "syslog",
+  "pretty",
+  "logfmt",
+  "ecs",
+  "otlp",
+];
+
+// Formatters registered with Logger.registerFormatter(), for every logger
+const registeredFormatters: { [name: string]: Formatter } = {};
+
+/**
+ * Destination for log output.
+ *
+ * Each transport receives the log entry along with the line produced by the
+ * selected formatter, and decides where that line goes. Pass transports to the
+ * Logger through {@link LoggerOptions.transports}.
+ *
+ * @example
+ * ```ts
+ * const lines: string[] = [];
+ * const memoryTransport: Transport = {
+ *   write(logEntry, formattedLog) {
+ *     lines.push(formattedLog);
+ *   },
+ * };
+ * const logger = new Logger({ transports: [memoryTransport] });
+ * ```
+ */
+export interface Transport {
+  /**
+   * Writes a single log entry.
+   *
+   * @param logEntry - The structured log entry
+   * @param formattedLog - The entry as rendered by the logger's formatter
+   */
+  write(logEntry: LogEntry, formattedLog: string): void;
+  /**
+   * Writes a batch of entries in one go. Used when the logger is buffering;
+   * transports without it have {@link write} called for each entry instead.
+   *
+   * @param logLines - The buffered entries, oldest first
+   */
+  writeBatch?(logLines: LogLine[]): void;
+  /** Writes out anything the transport itself is holding on to */
+  flush?(): void | Promise<void>;
+  /** Flushes and releases any resources such as file handles or sockets */
+  close?(): void | Promise<void>;
+}
+
+/**
+ * A log entry together with its formatted line, as passed to
+ * {@link Transport.writeBatch}.
+ */
+export interface LogLine {
+  /** The structured log entry */
+  logEntry: LogEntry;
+  /** The entry as rendered by the logger's formatter */
+  formattedLog: string;
+}
+
+/**
+ * A destination with its own level, format and colour setting, set through
+ * {@link LoggerOptions.outputs}.
+ *
+ * @example
+ * ```ts
+ * // Coloured text on the console at info, JSON to a file at debug
+ * const outputs: OutputOptions[] = [
+ *   { format: "simple", level: "info" },
+ *   { transport: new FileTransport({ path: "./app.log" }), format: "json", level: "debug" },
+ * ];
+ * ```
+ */
+export interface OutputOptions<
+  L extends string = never,
+  F extends string = never,
+> {
+  /** Where the output goes. A `WritableStream` is wrapped in a {@link WritableStreamTransport}. Defaults to a {@link ConsoleTransport} */
+  transport?: Transport | WritableStream<string> | WritableStream<Uint8Array>;
+  /** Minimum level for this output. Defaults to the logger's level, following changes to it */
+  level?: LogLevel | NoInfer<L>;
+  /** Format for this output, as a format name or formatter function. Defaults to the logger's format */
+  format?: LogFormat | NoInfer<F> | Formatter;
+  /**
+   * Whether to colour lines by level. On the console this defaults to true
+   * for streams that are a terminal; other transports get plain lines unless
+   * this is true
+   */
+  colour?: boolean;
+}
+
+// An output with its transport resolved. Console transports colour their own
+// lines, so `colour` is only set for other transports. Raw outputs only use
+// the entry, so aren't given a formatted line. Console transports created by
+// the logger keep their colour option in `console`, to be created again when
+// the logger is reconfigured. Streams from readable() keep the logger they
+// were created on in `logger`
+interface Output {
+  transport: Transport;
+  level?: string;
+  format?: string | Formatter;
+  colour: boolean;
+  raw?: boolean;
+  console?: { colour?: boolean };
+  logger?: BaseLogger<string, string>;
+}
+
+// Whether an output takes entries logged with a logger. Outputs are shared
+// with child loggers, but streams from readable() only take entries from the
+// logger they were created on and its children
+function takesEntriesFrom(
+  output: Output,
+  logger: BaseLogger<string, string>,
+): boolean {
+  return output.logger === undefined || output.logger === logger ||
+    Object.prototype.isPrototypeOf.call(output.logger, logger);
+}
+
+function isWritableStream(value: unknown): value is WritableStream {
+  return typeof (value as WritableStream | undefined)?.getWriter === "function";
+}
+
+function toTransport(
+  target: Transport | WritableStream<string> | WritableStream<Uint8Array>,
+): Transport {
+  return isWritableStream(target)
+    ? new WritableStreamTransport(target)
+    : target as Transport;
+}
+
+// An entry waiting in the buffer, with the logger it was logged with, the
+// outputs it's for and the lines rendered for it so far, by format
+interface BufferedEntry {
+  logger: BaseLogger<string, string>;
+  logEntry: LogEntry;
+  outputs: Output[];
+  formatted: Map<string | Formatter, string>;
+}
+
+/**
+ * Options that a child logger can set for itself. Everything else is shared
+ * with the logger it was created from.
+ */
+export type ChildOptions<
+  L extends string = never,
+  F extends string = never,
+> = Pick<
+  LoggerOptions<L, F>,
+  "level" | "format" | "time" | "callerLevel"
+>;
+
+const childOptionNames = ["level", "format", "time", "callerLevel"];
+
+/**
+ * Options that can be changed after a logger is created, with
+ * {@link Logger.configure}.
+ */
+export type ConfigureOptions<
+  L extends string = never,
+  F extends string = never,
+> = Pick<
+  LoggerOptions<L, F>,
+  | "level"
+  | "format"
+  | "time"
+  | "callerLevel"
+  | "colours"
+  | "streams"
+  | "fileLevels"
+>;
+
+const configureOptionNames = [
+  ...childOptionNames,
+  "colours",
+  "streams",
+  "fileLevels",
+];
+
+// Fields set by the logger, which bound fields can't replace
+const reservedFields = [
+  "level",
+  "levelNumber",
+  "time",
+  "pid",
+  "hostname",
+  "msg",
+  "callerFile",
+  "callerLine",
+];
+
+// Options read by Logger.fromEnv(), by the environment variable name after
+// the prefix
+const envOptions: { [variable: string]: keyof LoggerOptions } = {
+  LEVEL: "level",
+  FORMAT: "format",
+  TIME: "time",
+  CALLER_LEVEL: "callerLevel",
+  NAME: "name",
+};
+
+// Built-in values of the options read by Logger.fromEnv(), which match in any
+// case. Other values, such as custom levels, have to match exactly
+const envBuiltInValues: { [option: string]: string[] } = {
+  level: builtInLevels,
+  format: builtInFormats,
+  time: ["long", "short"],
+  callerLevel: builtInLevels,
+};
+
+/**
+ * Options for merging object arguments into entries, set through
+ * {@link LoggerOptions.mergeObjects}.
+ */
+export interface MergeObjectsOptions {
+  /** Put the merged fields in an object under this key, instead of at the top level of the entry */
+  nestedKey?: string;
+}
+
+/**
+ * What to do with a new entry when the buffer is full.
+ *
+ * - `drop-oldest`: Discard the oldest buffered entry to make room
+ * - `drop-newest`: Discard the new entry
+ * - `block`: Write the buffer out synchronously, then buffer the new entry
+ */
+export type OverflowPolicy = "drop-oldest" | "drop-newest" | "block";
+
+/**
+ * Options for buffered writing, set through {@link LoggerOptions.buffer}.
+ */
+export interface BufferOptions {
+  /** Maximum number of entries held before the overflow policy applies. Defaults to 1000 */
+  highWaterMark?: number;
+  /** What to do when the buffer is full. Defaults to "block" */
+  overflow?: OverflowPolicy;
+  /** Milliseconds to wait before writing out buffered entries. Defaults to 100 */
+  flushInterval?: number;
+}
+
+const defaultBufferOptions: Required<BufferOptions> = {
+  highWaterMark: 1000,
+  overflow: "block",
+  flushInterval: 100,
+};
+
+/**
+ * Options for the in-memory ring buffer of recent entries, set through
+ * {@link LoggerOptions.recent}.
+ */
+export interface RecentOptions<L extends string = never> {
+  /** Number of entries kept. Defaults to 100 */
+  size?: number;
+  /** Capture entries at this level and above, whatever the logger's level. Defaults to "debug" */
+  level?: LogLevel | NoInfer<L>;
+  /** When an error is logged, first write out captured entries that were below the logger's level, to outputs that follow it. Defaults to false */
+  dumpOnError?: boolean;
+}
+
+/**
+ * Filters for {@link Logger.recent}. All filters are optional and combined.
+ */
+export interface RecentQuery<L extends string = never> {
+  /** Only entries at this level and above */
+  level?: LogLevel | L;
+  /** Only entries logged at or after this time */
+  since?: Date | number;
+  /** At most this many entries, keeping the most recent */
+  limit?: number;
+  /** Only entries whose message contains this string or matches this pattern, or entries the function returns true for */
+  match?: string | RegExp | ((logEntry: LogEntry) => boolean);
+}
+
+const defaultRecentOptions: Required<RecentOptions<string>> = {
+  size: 100,
+  level: "debug",
+  dumpOnError: false,
+};
+
+// An entry in the ring buffer, with the logger it was logged with, when it
+// was logged and the outputs it has been written to
+interface RecentEntry {
+  logger: BaseLogger<string, string>;
+  logEntry: LogEntry;
+  timestamp: number;
+  outputs: Output[];
+}
+
+// Buffered loggers still holding entries when the process exits
+const loggersToFlushOnExit = new Set<BaseLogger<string, string>>();
+let exitHandlerAdded = false;
+
+function flushLoggersOnExit(): void {
+  for (const logger of loggersToFlushOnExit) {
+    try {
+      logger.drainBuffer();
+    } catch {
+      // Nowhere left to report this, keep flushing the other loggers
+    }
+  }
+}
+
+// Wraps a line in a level's colour. Lines that start with a colour code, such
+// as those from the pretty format, colour themselves and are left as they are
+function colourLine(line: string, colour: string, reset: string): string {
+  return line.startsWith("\x1b[") ? line : `${colour}${line}${reset}`;
+}
+
+/**
+ * Options for the {@link ConsoleTransport}.
+ */
+export interface ConsoleTransportOptions {
+  /** ANSI color codes per level. Defaults to the logger's default colours */
+  colours?: Partial<Colours>;
+  /** Whether to wrap lines in colour codes. Defaults to true for streams that are a terminal */
+  colour?: boolean;
+  /** Stream to write each level to. Defaults to stderr for error and warn, stdout otherwise */
+  streams?: { [level: string]: LogStream };
+}
+
+/**
+ * The default transport, which writes each line to stdout or stderr.
+ *
+ * Lines for stdout are written with `console.log` and lines for stderr with
+ * `console.error`. Each stream is checked separately for a terminal, so
+ * colours are kept on a terminal stream even when the other is redirected.
+ *
+ * On a Node.js worker thread, `console` output is passed to the main thread
+ * and lost if the process exits first, so lines are written straight to the
+ * stream instead.
+ *
+ * @example
+ * ```ts
+ * // Console output without colours, plus a custom transport
+ * const logger = new Logger({
+ *   transports: [new ConsoleTransport({ colour: false }), memoryTransport],
+ * });
+ *
+ * // Send everything to stderr
+ * const stderrTransport = new ConsoleTransport({
+ *   streams: { error: "stderr", warn: "stderr", info: "stderr", debug: "stderr" },
+ * });
+ * ```
+ */
+export class ConsoleTransport implements Transport {
+  colours: Colours;
+  streams: { [level: string]: LogStream };
+  colour: { [stream in LogStream]: boolean };
+  // Whether to write to the streams directly rather than with console
+  direct: boolean;
+
+  constructor(options: ConsoleTransportOptions = {}) {
+    this.colours = Object.assign({}, defaultColours, options.colours);
+    this.streams = Object.assign({}, defaultStreams, options.streams);
+    this.colour = {
+      stdout: options.colour ?? isTerminal("stdout"),
+      stderr: options.colour ?? isTerminal("stderr"),
+    };
+    this.direct = isConsoleRelayed();
+  }
+
+  /**
+   * Whether lines for an entry are coloured, as set for the stream its level
+   * is written to.
+   */
+  isColoured(logEntry: LogEntry): boolean {
+    return this.colour[this.streams[logEntry.level] ?? "stdout"];
+  }
+
+  write(logEntry: LogEntry, formattedLog: string): void {
+    const stream = this.streams[logEntry.level] ?? "stdout";
+
+    // only show colours if logging to a terminal
+    const colour = this.colours[logEntry.level] ?? "";
+    const line = this.colour[stream]
+      ? colourLine(formattedLog, colour, this.colours.reset)
+      : formattedLog;
+
+    this.writeChunk(stream, [line]);
+  }
+
+  writeBatch(logLines: LogLine[]): void {
+    // Write runs of lines for the same stream as a single chunk
+    let chunk: string[] = [];
+    let chunkStream: LogStream | undefined;
+    for (const { logEntry, formattedLog } of logLines) {
+      const stream = this.streams[logEntry.level] ?? "stdout";
+      if (stream !== chunkStream && chunk.length > 0) {
+        this.writeChunk(chunkStream!, chunk);
+        chunk = [];
+      }
+      chunkStream = stream;
+      const colour = this.colours[logEntry.level] ?? "";
+      chunk.push(
+        this.colour[stream]
+          ? colourLine(formattedLog, colour, this.colours.reset)
+          : formattedLog,
+      );
+    }
+    if (chunk.length > 0) {
+      this.writeChunk(chunkStream!, chunk);
+    }
+  }
+
+  writeChunk(stream: LogStream, lines: string[]): void {
+    if (this.direct) {
+      writeStream(stream, lines.join("\n") + "\n");
+    } else if (stream === "stderr") {
+      console.error(lines.join("\n"));
+    } else {
+      console.log(lines.join("\n"));
+    }
+  }
+}
+
 /**
  * Configuration options for the Logger constructor.
  *
@@ -316,19 +958,109 @@ export type Formatter = (logEntry: LogEntry) => string;
  * });
  * ```
  */
-export interface LoggerOptions {
+export interface LoggerOptions<
+  L extends string = never,
+  F extends string = never,
+> {
   /** Minimum log level to output. Defaults to "info" */
-  level?: LogLevel;
-  /** Custom level mappings. Partial override of default levels */
-  levels?: Partial<LogLevels>;
-  /** Output format: "json" for structured logs, "simple" for human-readable. Defaults to "json" */
-  format?: "json" | "simple";
+  level?: LogLevel | NoInfer<L>;
+  /**
+   * Numbers for the built-in levels, and custom levels such as
+   * `{ trace: 4, fatal: 0 }`. Each custom level gets a log method of the same
+   * name, a colour and a stream, and can be used anywhere a level can
+   */
+  levels?: { [level in L]: number } & { [level in LogLevel]?: number };
+  /**
+   * Output format: "json" for structured logs, "simple" for human-readable,
+   * "pretty" for development, "logfmt" for key=value pairs, "ecs" for
+   * Elastic Common Schema, "otlp" for OpenTelemetry, "syslog" for syslog
+   * messages, the name of a registered or instance formatter, or a formatter
+   * function. Defaults to "json"
+   */
+  format?: LogFormat | NoInfer<F> | Formatter;
+  /**
+   * Formatters for this logger only, by name. Their names can be used as
+   * formats, like those registered with {@link Logger.registerFormatter}
+   */
+  formatters?: { [name in F]: Formatter };
   /** Timestamp format: "long" for ISO string, "short" for abbreviated. Defaults to "short" */
   time?: "long" | "short";
   /** Minimum level to include caller info (file/line). Defaults to "warn" */
-  callerLevel?: LogLevel;
+  callerLevel?: LogLevel | NoInfer<L>;
+  /**
+   * Levels for source files, replacing the logger's level for entries logged
+   * from files that match, such as `{ "src/db/**": "debug" }`. Patterns match
+   * the end of the file's path or URL: `*` matches within a directory, `**`
+   * across directories. When several match, the longest wins. Outputs with a
+   * level of their own keep it
+   */
+  fileLevels?: { [pattern: string]: LogLevel | NoInfer<L> };
+  /** Namespace added to every entry as a `name` field. See {@link Logger.namespace} */
+  name?: string;
+  /**
+   * Namespaces that log at debug level, as DEBUG-style patterns such as
+   * `db:*,-db:verbose`. Other namespaces follow the logger's level. Defaults
+   * to the `DEBUG` environment variable
+   */
+  debug?: string;
   /** Custom ANSI color codes for log levels */
   colours?: Partial<Colours>;
+  /** Options for the "syslog" format, such as the facility and app name */
+  syslog?: SyslogFormatOptions;
+  /** Options for the "ecs" format, such as the service name and version */
+  ecs?: EcsFormatOptions;
+  /** Options for the "otlp" format, such as the service name and the severity for each level */
+  otlp?: OtlpOptions;
+  /** Options for the "pretty" format, such as whether to add colours and how deep to show nested objects */
+  pretty?: PrettyFormatOptions;
+  /** Stream for each level on the default console transport. Defaults to stderr for error and warn */
+  streams?: { [level: string]: LogStream };
+  /**
+   * Destinations for log output, using the logger's level and format. A
+   * `WritableStream` is wrapped in a {@link WritableStreamTransport}. Defaults
+   * to a single {@link ConsoleTransport}
+   */
+  transports?: (
+    | Transport
+    | WritableStream<string>
+    | WritableStream<Uint8Array>
+  )[];
+  /**
+   * Destinations for log output, each with its own level, format and colour
+   * setting. Used alongside any `transports`
+   */
+  outputs?: OutputOptions<L, F>[];
+  /**
+   * Buffer entries in memory and write them out in batches, instead of writing
+   * each one as it is logged. `true` uses the default {@link BufferOptions}
+   */
+  buffer?: boolean | BufferOptions;
+  /**
+   * Merge a plain object passed as the first or last argument into the
+   * entry's fields, instead of formatting it into the message. A field with
+   * the same name as one the logger sets, such as `level` or `time`, is kept
+   * with a leading underscore, as `_level` or `_time`. `true` merges the
+   * fields at the top level of the entry. Defaults to false
+   */
+  mergeObjects?: boolean | MergeObjectsOptions;
+  /**
+   * Fields to redact from every entry, such as `headers.authorization`,
+   * `*.password` or `users[*].ssn`. Redacted fields are replaced with
+   * "[REDACTED]", or removed with `remove: true`. Applied before formatting,
+   * without changing the objects that were logged
+   */
+  redact?: string[] | RedactOptions;
+  /**
+   * Keep recent entries in memory, including ones below the logger's level,
+   * for {@link Logger.recent}. `true` uses the default {@link RecentOptions}
+   */
+  recent?: boolean | RecentOptions<L>;
+  /**
+   * Format and write entries on a worker thread, keeping that work off the
+   * calling thread. Entries, with their caller info and timestamps, are still
+   * built on the calling thread. `true` uses the default {@link LogWorkerOptions}
+   */
+  worker?: boolean | LogWorkerOptions;
 }
 
 /**
@@ -336,12 +1068,30 @@ export interface LoggerOptions {
  *
  * Features:
  * - Multiple log levels (silent, error, warn, info, debug)
- * - JSON and simple text formatting
+ * - Custom levels, such as trace and fatal, with log methods of their own
+ * - JSON, simple text, logfmt, ECS, OpenTelemetry and syslog formatting, or
+ *   formatters of your own
+ * - Pretty development output, with fields and error stacks on indented lines
  * - util.format-style string interpolation (%s, %d, %j, etc.)
  * - Automatic TTY detection for colored vs plain output
  * - Optional caller information (file/line) inclusion
  * - Dynamic level changing
  * - Extensible color and level configuration
+ * - Pluggable transports for sending output somewhere other than the console
+ * - Web Streams: entries as a ReadableStream, and WritableStreams as outputs
+ * - Multiple outputs, each with its own level, format and colour setting
+ * - File output with size- and time-based rotation
+ * - Shipping to syslog servers and HTTP endpoints, with batching and retries
+ * - Optional buffering, writing entries out in batches
+ * - Optional worker thread that formats and writes entries off the calling thread
+ * - A ring buffer of recent entries, including debug entries, for crash dumps
+ * - Child loggers that add bound fields, such as a request ID, to every entry
+ * - Async context, adding fields to every entry logged within a scope
+ * - Redaction of sensitive fields by path
+ * - Namespaced loggers, with debug output enabled by DEBUG-style patterns
+ * - Levels for source files, to debug one module without raising the global level
+ * - Configuration from environment variables with {@link Logger.fromEnv}
+ * - Changing options of a running logger with {@link Logger.configure}
  *
  * @example
  * ```ts
@@ -366,19 +1116,172 @@ export interface LoggerOptions {
  * });
  * ```
  */
-class Logger {
+class BaseLogger<L extends string = never, F extends string = never> {
   options: {
-    level: LogLevel;
+    level: LogLevel | L;
     levels: LogLevels;
-    format: "json" | "simple";
+    format: LogFormat | F | Formatter;
     time: "long" | "short";
-    callerLevel: LogLevel;
+    callerLevel: LogLevel | L;
     colours: Colours;
+    streams: { [level: string]: LogStream };
+    buffer: Required<BufferOptions> | null;
+    recent: Required<RecentOptions<L>> | null;
+    mergeObjects: MergeObjectsOptions | null;
+    fileLevels: { [pattern: string]: LogLevel | L };
+    pretty: PrettyFormatOptions;
   };
+  /**
+   * Whether stdout was redirected when the logger was created.
+   *
+   * @deprecated Not used by the logger. Colours are decided for each stream
+   * by its {@link ConsoleTransport}, and for each output by its `colour`
+   * setting
+   */
   isRedirected: boolean;
   formatters: { [key: string]: Formatter };
+  // Coloured versions of formats that colour themselves, used for outputs
+  // that are coloured
+  colourFormatters!: { [key: string]: Formatter };
+  // Length of the longest level name, which the simple format pads levels to
+  levelWidth: number;
+  transports: Transport[];
+  outputs: Output[];
+  worker: LogWorker | null;
   callerErrorCount: number;
   maxCallerErrors: number;
+  transportErrorCount: number;
+  maxTransportErrors: number;
+  buffered: BufferedEntry[];
+  droppedCount: number;
+  flushTimer: ReturnType<typeof setTimeout> | undefined;
+  closed: boolean;
+  recentEntries: RingBuffer<RecentEntry> | null;
+  // The logger that owns the buffer. Itself, unless this is a child logger
+  root: BaseLogger<string, string>;
+  bindings: { [key: string]: unknown };
+  redactor: Redactor | null;
+  name: string | undefined;
+  // Namespaces to log at debug level, shared with children
+  debugNamespaces: NamespacePatterns | null;
+  // Levels from the fileLevels option, shared with children
+  fileLevels: FileLevels | null;
+  // Fields from runWithContext(), created on the root logger when first used
+  asyncContext: AsyncContext<{ [key: string]: unknown }> | null;
+
+  /**
+   * Creates a logger configured from environment variables, so services can
+   * be configured without glue code. Reads these variables, each starting
+   * with `prefix`:
+   *
+   * - `LEVEL`: The `level` option, such as "debug"
+   * - `FORMAT`: The `format` option, such as "simple"
+   * - `TIME`: The `time` option, "long" or "short"
+   * - `CALLER_LEVEL`: The `callerLevel` option
+   * - `NAME`: The `name` option
+   *
+   * Values are trimmed, and empty ones are ignored. Built-in levels, formats
+   * and times aren't case-sensitive, while custom ones have to match exactly.
+   * Variables that are set take precedence over `options`.
+   *
+   * On Deno, variables that env access hasn't been granted for are skipped,
+   * with an error logged to the console, rather than prompted for.
+   *
+   * @param prefix - Prefix of the variable names. Defaults to "LOG_"
+   * @param options - Options for anything the variables don't set
+   * @returns The configured logger
+   * @throws If a variable has an invalid value, naming the variable
+   *
+   * @example
+   * ```ts
+   * // LOG_LEVEL=debug LOG_FORMAT=simple
+   * const logger = Logger.fromEnv();
+   *
+   * // MYAPP_LOG_LEVEL=warn, with JSON output unless MYAPP_LOG_FORMAT is set
+   * const appLogger = Logger.fromEnv("MYAPP_LOG_", { format: "json" });
+   * ```
+   */
+  static fromEnv<L extends string = never, F extends string = never>(
+    prefix: string = "LOG_",
+    options: LoggerOptions<L, F> = {},
+  ): Logger<L, F> {
+    if (typeof prefix !== "string") {
+      throw new Error("fromEnv() prefix must be a string");
+    }
+
+    const fromEnv: { [option: string]: string } = {};
+    const unreadable: string[] = [];
+    for (const [suffix, option] of Object.entries(envOptions)) {
+      const variable = `${prefix}${suffix}`;
+      if (!canReadEnv(variable)) {
+        unreadable.push(variable);
+        continue;
+      }
+      let value = getEnv(variable)?.trim();
+      if (!value) {
+        continue;
+      }
+      if (envBuiltInValues[option]?.includes(value.toLowerCase())) {
+        value = value.toLowerCase();
+      }
+      try {
+        Logger.prototype.validateOptions({ [option]: value }, options);
+      } catch (error) {
+        throw new Error(
+          `Invalid ${variable} environment variable: ${
+            error instanceof Error ? error.message : error
+          }`,
+        );
+      }
+      fromEnv[option] = value;
+    }
+
+    if (unreadable.length > 0) {
+      console.error(
+        `Error reading logger configuration: no env permission for ${
+          unreadable.join(", ")
+        }. Run with --allow-env to use them`,
+      );
+    }
+
+    return new Logger({ ...options, ...fromEnv });
+  }
+
+  /**
+   * Registers a formatter for every logger, so its name can be used as the
+   * `format` option, including for loggers created before it was
+   * registered. A logger's own `formatters` take precedence over registered
+   * ones with the same name.
+   *
+   * In worker thread mode, entries are formatted on the worker, so register
+   * formatters in `worker.module` as well.
+   *
+   * @param name - Name to select the formatter by
+   * @param formatter - Function that renders an entry as a line
+   * @throws If the name is a built-in format or the formatter isn't a function
+   *
+   * @example
+   * ```ts
+   * Logger.registerFormatter("csv", (entry) =>
+   *   [entry.time, entry.level, JSON.stringify(entry.msg)].join(","));
+   *
+   * const logger = new Logger({ format: "csv" });
+   * ```
+   */
+  static registerFormatter(name: string, formatter: Formatter): void {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("registerFormatter() name must be a non-empty string");
+    }
+    if (builtInFormats.includes(name)) {
+      throw new Error(
+        `Invalid formatter name: ${name}. Built-in formats can't be replaced`,
+      );
+    }
+    if (typeof formatter !== "function") {
+      throw new Error("registerFormatter() formatter must be a function");
+    }
+    registeredFormatters[name] = formatter;
+  }
 
   /**
    * Creates a new Logger instance with the specified configuration.
@@ -405,58 +1308,284 @@ class Logger {
    * });
    * ```
    */
-  constructor(options: LoggerOptions = {}) {
+  constructor(options: LoggerOptions<L, F> = {}) {
     this.validateOptions(options);
 
-    const defaultLevels: LogLevels = {
-      silent: -1,
-      error: 0,
-      warn: 1,
-      info: 2,
-      debug: 3,
-    };
-
-    const defaultColours: Colours = {
-      error: "\x1b[91m",
-      warn: "\x1b[33m",
-      info: "\x1b[94m",
-      debug: "\x1b[37m",
-      reset: "\x1b[0m",
-    };
-
+    const levels = Object.assign({}, defaultLevels, options.levels);
+    const levelDefaults = customLevelDefaults(levels);
     this.options = {
       level: options.level || "info",
-      levels: Object.assign({}, defaultLevels, options.levels),
+      levels,
       format: options.format || "json",
       time: options.time || "short",
       callerLevel: options.callerLevel || "warn",
-      colours: Object.assign({}, defaultColours, options.colours),
+      colours: Object.assign(
+        {},
+        defaultColours,
+        levelDefaults.colours,
+        options.colours,
+      ),
+      streams: Object.assign(
+        {},
+        defaultStreams,
+        levelDefaults.streams,
+        options.streams,
+      ),
+      buffer: options.buffer
+        ? Object.assign(
+          {},
+          defaultBufferOptions,
+          options.buffer === true ? {} : options.buffer,
+        )
+        : null,
+      recent: options.recent
+        ? Object.assign(
+          {},
+          defaultRecentOptions,
+          options.recent === true ? {} : options.recent,
+        )
+        : null,
+      mergeObjects: options.mergeObjects
+        ? Object.assign(
+          {},
+          options.mergeObjects === true ? {} : options.mergeObjects,
+        )
+        : null,
+      fileLevels: options.fileLevels ?? {},
+      pretty: options.pretty ?? {},
     };
 
-    // Detect if output is redirected to a file
+    // Kept for compatibility, see isRedirected
     this.isRedirected = !isTerminal();
 
-    // Initialize formatters registry
+    this.worker = null;
+    // Outputs without a level or format follow the logger's. Default to a
+    // console transport that follows the logger's colour and stream settings
+    this.outputs = (options.outputs ?? []).map((output) =>
+      output.transport
+        ? {
+          transport: toTransport(output.transport),
+          level: output.level,
+          format: output.format,
+          colour: output.colour ?? false,
+        }
+        : {
+          transport: new ConsoleTransport({
+            colours: this.options.colours,
+            streams: this.options.streams,
+            colour: output.colour,
+          }),
+          level: output.level,
+          format: output.format,
+          colour: false,
+          console: { colour: output.colour },
+        }
+    );
+    for (const transport of options.transports ?? []) {
+      this.outputs.push({ transport: toTransport(transport), colour: false });
+    }
+    if (!options.transports && !options.outputs) {
+      this.outputs.push({
+        transport: new ConsoleTransport({
+          colours: this.options.colours,
+          streams: this.options.streams,
+        }),
+        colour: false,
+        console: {},
+      });
+    }
+    this.transports = this.outputs.map((output) => output.transport);
+
+    if (options.worker) {
+      this.startWorker(options);
+    }
+
+    // Pad to the longest level name, so messages line up with custom levels
+    this.levelWidth = Math.max(
+      ...Object.keys(levels)
+        .filter((level) => level !== "silent")
+        .map((level) => level.length),
+    );
+
+    // Initialize formatters registry. Formatters registered with
+    // registerFormatter() are looked up when used, so can be added later
     this.formatters = {
       json: this.jsonFormatter.bind(this),
       simple: this.simpleFormatter.bind(this),
+      logfmt: this.logfmtFormatter.bind(this),
+      ecs: createEcsFormatter(options.ecs),
+      otlp: createOtlpFormatter(options.otlp),
+      syslog: createSyslogFormatter(options.syslog),
+      ...options.formatters,
     };
+    this.setPrettyFormatters();
 
     // prevent infinite loop when reporting internal errors in getCallerInfo()
     this.callerErrorCount = 0;
     this.maxCallerErrors = 5;
-  }
+    // Transports are shared with child loggers, so their failures are
+    // counted on the root logger
+    this.transportErrorCount = 0;
+    this.maxTransportErrors = 5;
+
+    // Entries waiting to be written when buffering
+    this.buffered = [];
+    this.droppedCount = 0;
+    this.flushTimer = undefined;
+    this.closed = false;
+
+    // Recent entries for recent(), kept whatever the logger's level
+    this.recentEntries = this.options.recent
+      ? new RingBuffer(this.options.recent.size)
+      : null;
+
+    this.redactor = options.redact
+      ? createRedactor(
+        Array.isArray(options.redact)
+          ? { paths: options.redact }
+          : options.redact,
+      )
+      : null;
+
+    this.name = options.name;
+    const debug = options.debug ?? getEnv("DEBUG");
+    this.debugNamespaces = debug ? new NamespacePatterns(debug) : null;
+    this.fileLevels = options.fileLevels
+      ? new FileLevels(options.fileLevels, levels)
+      : null;
+    if (this.name !== undefined && this.debugNamespaces?.enabled(this.name)) {
+      this.options.level = "debug";
+    }
+
+    this.root = this;
+    this.bindings = {};
+    this.asyncContext = null;
+
+    // Log methods for custom levels, such as trace(). Levels named like
+    // something the logger already has can only be logged with log()
+    for (const level of Object.keys(levels)) {
+      if (level !== "silent" && !(level in this)) {
+        Object.assign(this, {
+          [level](
+            this: BaseLogger<string, string>,
+            message: unknown,
+            ...args: unknown[]
+          ) {
+            this.log(level, message, ...args);
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Moves writing to a worker thread. The outputs here only decide which
+   * entries are built and posted to the worker; it writes them to outputs
+   * of its own.
+   */
+  startWorker(options: LoggerOptions<L, F>): void {
+    const workerOptions = options.worker === true ? {} : options.worker || {};
+    // Console outputs are recreated in the worker. Without them or a module,
+    // default to the console
+    const outputs = (options.outputs ?? (workerOptions.module ? [] : [{}]))
+      .map(({ level, format, colour }) => ({ level, format, colour }));
+
+    this.worker = new LogWorker(
+      {
+        levels: options.levels,
+        format: options.format,
+        time: options.time,
+        colours: options.colours,
+        streams: options.streams,
+        syslog: options.syslog,
+        pretty: options.pretty,
+        ecs: options.ecs,
+        otlp: options.otlp,
+        buffer: options.buffer,
+      },
+      outputs,
+      workerOptions,
+    );
+
+    this.outputs = outputs.map(({ level, format }) => ({
+      transport: this.worker!,
+      level,
+      format,
+      colour: false,
+    }));
+    if (workerOptions.module) {
+      // The module's outputs, which follow the logger's level here
+      this.outputs.push({ transport: this.worker, colour: false });
+    }
+    this.transports = [this.worker];
+  }
+
+  // Throws for the first invalid option. Level and format options can use
+  // custom levels and formatters from the options, or from `current`, such
+  // as a parent logger's
+  validateOptions(
+    options: LoggerOptions<string, string>,
+    current: {
+      levels?: { [level: string]: number };
+      formatters?: { [name: string]: Formatter };
+    } = {},
+  ): void {
+    // Validate levels if provided (should be an object with numeric values)
+    if (options.levels !== undefined) {
+      if (typeof options.levels !== "object") {
+        throw new Error("levels option must be an object");
+      }
+
+      for (const [level, value] of Object.entries(options.levels)) {
+        if (
+          typeof value !== "number" ||
+          value < 0 ||
+          !Number.isInteger(value)
+        ) {
+          throw new Error(
+            `Level value for '${level}' must be a non-negative integer`,
+          );
+        }
+      }
+    }
+
+    // Validate formatters if provided (should map names to functions)
+    if (options.formatters !== undefined) {
+      if (
+        typeof options.formatters !== "object" || options.formatters === null
+      ) {
+        throw new Error("formatters option must be an object");
+      }
+
+      for (const [name, formatter] of Object.entries(options.formatters)) {
+        if (builtInFormats.includes(name)) {
+          throw new Error(
+            `Invalid formatter name: ${name}. Built-in formats can't be replaced`,
+          );
+        }
+        if (typeof formatter !== "function") {
+          throw new Error(`Formatter '${name}' must be a function`);
+        }
+      }
+    }
+
+    const validLevels = Object.keys(
+      Object.assign({}, defaultLevels, current.levels, options.levels),
+    );
+    const validFormats = [
+      ...new Set([
+        ...builtInFormats,
+        ...Object.keys(registeredFormatters),
+        ...Object.keys(current.formatters ?? {}),
+        ...Object.keys(options.formatters ?? {}),
+      ]),
+    ];
+    const isValidFormat = (format: unknown) =>
+      typeof format === "function" ||
+      validFormats.includes(format as string);
 
-  validateOptions(options: LoggerOptions): void {
     // Validate level if provided
     if (options.level !== undefined) {
-      const validLevels: LogLevel[] = [
-        "silent",
-        "error",
-        "warn",
-        "info",
-        "debug",
-      ];
       if (!validLevels.includes(options.level)) {
         throw new Error(
           `Invalid log level: ${options.level}. Valid levels are: ${
@@ -468,8 +1597,7 @@ class Logger {
 
     // Validate format if provided
     if (options.format !== undefined) {
-      const validFormats = ["json", "simple"];
-      if (!validFormats.includes(options.format)) {
+      if (!isValidFormat(options.format)) {
         throw new Error(
           `Invalid format: ${options.format}. Valid formats are: ${
             validFormats.join(", ")
@@ -492,13 +1620,6 @@ class Logger {
 
     // Validate callerLevel if provided
     if (options.callerLevel !== undefined) {
-      const validLevels: LogLevel[] = [
-        "silent",
-        "error",
-        "warn",
-        "info",
-        "debug",
-      ];
       if (!validLevels.includes(options.callerLevel)) {
         throw new Error(
           `Invalid callerLevel: ${options.callerLevel}. Valid levels are: ${
@@ -508,27 +1629,268 @@ class Logger {
       }
     }
 
+    // Validate fileLevels if provided (should map patterns to levels)
+    if (options.fileLevels !== undefined) {
+      if (
+        typeof options.fileLevels !== "object" || options.fileLevels === null ||
+        Array.isArray(options.fileLevels)
+      ) {
+        throw new Error("fileLevels option must be an object");
+      }
+
+      for (const [pattern, level] of Object.entries(options.fileLevels)) {
+        if (pattern === "") {
+          throw new Error("fileLevels patterns must be non-empty");
+        }
+        if (!validLevels.includes(level)) {
+          throw new Error(
+            `Invalid level for fileLevels '${pattern}': ${level}. Valid levels are: ${
+              validLevels.join(", ")
+            }`,
+          );
+        }
+      }
+    }
+
+    // Validate name if provided (should be a non-empty string)
+    if (
+      options.name !== undefined &&
+      (typeof options.name !== "string" || options.name === "")
+    ) {
+      throw new Error("name option must be a non-empty string");
+    }
+
+    // Validate debug if provided (should be a string of patterns)
+    if (options.debug !== undefined && typeof options.debug !== "string") {
+      throw new Error("debug option must be a string");
+    }
+
     // Validate colours if provided (should be an object)
     if (options.colours !== undefined && typeof options.colours !== "object") {
       throw new Error("colours option must be an object");
     }
 
-    // Validate levels if provided (should be an object with numeric values)
-    if (options.levels !== undefined) {
-      if (typeof options.levels !== "object") {
-        throw new Error("levels option must be an object");
+    // Validate streams if provided (should map levels to stdout or stderr)
+    if (options.streams !== undefined) {
+      if (typeof options.streams !== "object" || options.streams === null) {
+        throw new Error("streams option must be an object");
       }
 
-      for (const [level, value] of Object.entries(options.levels)) {
+      const validStreams: LogStream[] = ["stdout", "stderr"];
+      for (const [level, stream] of Object.entries(options.streams)) {
+        if (!validStreams.includes(stream)) {
+          throw new Error(
+            `Invalid stream for '${level}': ${stream}. Valid streams are: ${
+              validStreams.join(", ")
+            }`,
+          );
+        }
+      }
+    }
+
+    // Validate transports if provided (should be an array of writable objects)
+    if (options.transports !== undefined) {
+      if (
+        !Array.isArray(options.transports) ||
+        !options.transports.every((transport) =>
+          typeof (transport as Transport)?.write === "function" ||
+          isWritableStream(transport)
+        )
+      ) {
+        throw new Error(
+          "transports option must be an array of objects with a write() method, or WritableStreams",
+        );
+      }
+    }
+
+    // Validate outputs if provided (should be an array of output objects)
+    if (options.outputs !== undefined) {
+      if (!Array.isArray(options.outputs)) {
+        throw new Error("outputs option must be an array of objects");
+      }
+
+      options.outputs.forEach((output, i) => {
+        if (typeof output !== "object" || output === null) {
+          throw new Error("outputs option must be an array of objects");
+        }
         if (
-          typeof value !== "number" ||
-          value < 0 ||
-          !Number.isInteger(value)
+          output.transport !== undefined &&
+          typeof (output.transport as Transport)?.write !== "function" &&
+          !isWritableStream(output.transport)
         ) {
           throw new Error(
-            `Level value for '${level}' must be a non-negative integer`,
+            `transport for output ${i} must have a write() method, or be a WritableStream`,
+          );
+        }
+        if (output.level !== undefined && !validLevels.includes(output.level)) {
+          throw new Error(
+            `Invalid level for output ${i}: ${output.level}. Valid levels are: ${
+              validLevels.join(", ")
+            }`,
+          );
+        }
+        if (output.format !== undefined && !isValidFormat(output.format)) {
+          throw new Error(
+            `Invalid format for output ${i}: ${output.format}. Valid formats are: ${
+              validFormats.join(", ")
+            }`,
           );
         }
+        if (output.colour !== undefined && typeof output.colour !== "boolean") {
+          throw new Error(`colour for output ${i} must be a boolean`);
+        }
+      });
+    }
+
+    // Validate worker if provided (should be a boolean or an options object)
+    if (options.worker !== undefined && typeof options.worker !== "boolean") {
+      if (typeof options.worker !== "object" || options.worker === null) {
+        throw new Error("worker option must be a boolean or an object");
+      }
+
+      const { module, shutdownTimeout } = options.worker;
+      if (
+        module !== undefined && typeof module !== "string" &&
+        !(module instanceof URL)
+      ) {
+        throw new Error("worker.module must be a string or URL");
+      }
+
+      if (
+        shutdownTimeout !== undefined &&
+        (typeof shutdownTimeout !== "number" || shutdownTimeout < 0)
+      ) {
+        throw new Error("worker.shutdownTimeout must be a non-negative number");
+      }
+    }
+
+    // Transports can't be passed to another thread
+    if (options.worker) {
+      if (
+        options.transports !== undefined ||
+        options.outputs?.some((output) => output.transport !== undefined)
+      ) {
+        throw new Error(
+          "Transports can't be used with the worker option. Create them in worker.module instead",
+        );
+      }
+      if (
+        options.formatters !== undefined ||
+        typeof options.format === "function" ||
+        options.outputs?.some((output) => typeof output.format === "function")
+      ) {
+        throw new Error(
+          "Formatter functions can't be used with the worker option. Register them in worker.module instead",
+        );
+      }
+    }
+
+    // Validate buffer if provided (should be a boolean or an options object)
+    if (options.buffer !== undefined && typeof options.buffer !== "boolean") {
+      if (typeof options.buffer !== "object" || options.buffer === null) {
+        throw new Error("buffer option must be a boolean or an object");
+      }
+
+      const { highWaterMark, overflow, flushInterval } = options.buffer;
+      if (
+        highWaterMark !== undefined &&
+        (!Number.isInteger(highWaterMark) || highWaterMark <= 0)
+      ) {
+        throw new Error("buffer.highWaterMark must be a positive integer");
+      }
+
+      const validPolicies: OverflowPolicy[] = [
+        "drop-oldest",
+        "drop-newest",
+        "block",
+      ];
+      if (overflow !== undefined && !validPolicies.includes(overflow)) {
+        throw new Error(
+          `Invalid buffer.overflow: ${overflow}. Valid policies are: ${
+            validPolicies.join(", ")
+          }`,
+        );
+      }
+
+      if (
+        flushInterval !== undefined &&
+        (typeof flushInterval !== "number" || flushInterval < 0)
+      ) {
+        throw new Error("buffer.flushInterval must be a non-negative number");
+      }
+    }
+
+    // Validate recent if provided (should be a boolean or an options object)
+    if (options.recent !== undefined && typeof options.recent !== "boolean") {
+      if (typeof options.recent !== "object" || options.recent === null) {
+        throw new Error("recent option must be a boolean or an object");
+      }
+
+      const { size, level } = options.recent;
+      if (size !== undefined && (!Number.isInteger(size) || size <= 0)) {
+        throw new Error("recent.size must be a positive integer");
+      }
+
+      if (level !== undefined && !validLevels.includes(level)) {
+        throw new Error(
+          `Invalid recent.level: ${level}. Valid levels are: ${
+            validLevels.join(", ")
+          }`,
+        );
+      }
+    }
+
+    // Validate mergeObjects if provided (should be a boolean or an options
+    // object)
+    if (
+      options.mergeObjects !== undefined &&
+      typeof options.mergeObjects !== "boolean"
+    ) {
+      if (
+        typeof options.mergeObjects !== "object" ||
+        options.mergeObjects === null
+      ) {
+        throw new Error("mergeObjects option must be a boolean or an object");
+      }
+
+      const { nestedKey } = options.mergeObjects;
+      if (
+        nestedKey !== undefined &&
+        (typeof nestedKey !== "string" || nestedKey === "")
+      ) {
+        throw new Error("mergeObjects.nestedKey must be a non-empty string");
+      }
+      if (nestedKey !== undefined && reservedFields.includes(nestedKey)) {
+        throw new Error(
+          `Invalid mergeObjects.nestedKey: ${nestedKey}. Reserved fields are: ${
+            reservedFields.join(", ")
+          }`,
+        );
+      }
+    }
+
+    // Validate redact if provided (should be an array of paths or an options
+    // object)
+    if (options.redact !== undefined) {
+      const redact = Array.isArray(options.redact)
+        ? { paths: options.redact }
+        : options.redact;
+      if (typeof redact !== "object" || redact === null) {
+        throw new Error("redact option must be an array of paths or an object");
+      }
+      if (
+        !Array.isArray(redact.paths) ||
+        !redact.paths.every((path) => typeof path === "string")
+      ) {
+        throw new Error("redact.paths must be an array of strings");
+      }
+      // Throws for paths that can't be parsed
+      redact.paths.forEach(parseRedactPath);
+      if (redact.censor !== undefined && typeof redact.censor !== "string") {
+        throw new Error("redact.censor must be a string");
+      }
+      if (redact.remove !== undefined && typeof redact.remove !== "boolean") {
+        throw new Error("redact.remove must be a boolean");
       }
     }
   }
@@ -567,16 +1929,57 @@ class Logger {
     }
   }
 
-  // Simple text log formatter
+  // Simple text log formatter. Fields other than the logger's own follow the
+  // message as key=value pairs
   simpleFormatter(logEntry: LogEntry): string {
-    const levelPadded = logEntry.level.toUpperCase().padEnd(5);
+    const levelPadded = logEntry.level.toUpperCase().padEnd(this.levelWidth);
     const caller = logEntry.callerFile
       ? `${logEntry.callerFile.split("/").pop()}:${logEntry.callerLine}`
       : null;
+    // An error is printed as an indented stack under the line instead
+    const err = isSerializedError(logEntry.err) ? logEntry.err : null;
+    const fields = Object.entries(logEntry)
+      .filter(([key]) =>
+        !reservedFields.includes(key) && !(key === "err" && err)
+      )
+      .map(([key, value]) => `${key}=${formatFieldValue(value)}`);
+    const msg = [logEntry.msg, ...fields].filter((part) => part !== "")
+      .join(" ");
 
-    return caller
-      ? `[${logEntry.time}] [${levelPadded}] [${caller}] ${logEntry.msg}`
-      : `[${logEntry.time}] [${levelPadded}] ${logEntry.msg}`;
+    const line = caller
+      ? `[${logEntry.time}] [${levelPadded}] [${caller}] ${msg}`
+      : `[${logEntry.time}] [${levelPadded}] ${msg}`;
+    if (!err) {
+      return line;
+    }
+    return [line, ...formatErrorLines(err).map((errLine) => `    ${errLine}`)]
+      .join("\n");
+  }
+
+  // logfmt formatter, for pipelines such as Loki and Heroku's. Nested fields
+  // are flattened into dotted keys, and caller info is a single caller field
+  logfmtFormatter(logEntry: LogEntry): string {
+    const pairs = [
+      `level=${formatLogfmtValue(logEntry.level)}`,
+      `time=${formatLogfmtValue(logEntry.time)}`,
+      `msg=${formatLogfmtValue(logEntry.msg)}`,
+    ];
+    const seen = new Set<object>();
+    for (const [key, value] of Object.entries(logEntry)) {
+      if (!reservedFields.includes(key)) {
+        pushLogfmtPairs(pairs, toLogfmtKey(key), value, seen);
+      }
+    }
+    if (logEntry.callerFile) {
+      pairs.push(
+        `caller=${
+          formatLogfmtValue(
+            `${logEntry.callerFile.split("/").pop()}:${logEntry.callerLine}`,
+          )
+        }`,
+      );
+    }
+    return pairs.join(" ");
   }
 
   getCallerInfo(): { callerFile: string; callerLine: number } {
@@ -625,8 +2028,32 @@ class Logger {
     return { callerFile, callerLine };
   }
 
-  log(level: LogLevel, message: unknown, ...args: unknown[]): void {
-    if (this.options.levels[level] > this.options.levels[this.options.level]) {
+  log(level: LogLevel | L, message: unknown, ...args: unknown[]): void {
+    if (this.root.closed) {
+      return;
+    }
+
+    // A rule for the file logged from replaces the logger's level. Finding
+    // the file takes a stack trace, so only look when a rule could decide
+    const levelNumber = this.options.levels[level];
+    let levelLimit: number = this.options.levels[this.options.level];
+    let caller: { callerFile: string; callerLine: number } | undefined;
+    if (this.fileLevels?.applies(levelNumber, levelLimit)) {
+      caller = this.getCallerInfo();
+      levelLimit = this.fileLevels.levelFor(caller.callerFile) ?? levelLimit;
+    }
+
+    // Only build the entry if an output or the ring buffer wants it
+    const outputs = this.outputs.filter((output) =>
+      levelNumber <=
+        (output.level === undefined
+          ? levelLimit
+          : this.options.levels[output.level]) &&
+      takesEntriesFrom(output, this)
+    );
+    const shouldCapture = this.options.recent !== null &&
+      levelNumber <= this.options.levels[this.options.recent.level];
+    if (outputs.length === 0 && !shouldCapture) {
       return;
     }
 
@@ -634,7 +2061,7 @@ class Logger {
     const shouldIncludeCaller = this.options.levels[level] <=
       this.options.levels[this.options.callerLevel];
     const { callerFile, callerLine } = shouldIncludeCaller
-      ? this.getCallerInfo()
+      ? caller ?? this.getCallerInfo()
       : { callerFile: undefined, callerLine: undefined };
 
     const now = new Date();
@@ -642,14 +2069,38 @@ class Logger {
       ? now.toISOString()
       : now.toISOString().slice(0, 16).replace("T", " ");
 
+    const fields = this.options.mergeObjects
+      ? this.takeFields(message, args)
+      : null;
+    if (fields) {
+      ({ message, args } = fields);
+    }
+    const error = this.takeError(message, args);
+    if (error) {
+      ({ message, args } = error);
+    }
+
     const logEntry: LogEntry = {
       level,
-      levelNumber: this.options.levels[level],
+      levelNumber,
       time: time,
       pid: getPid(),
       hostname: getHostname(),
-      msg: format(message, ...args),
+      ...(this.name === undefined ? {} : { name: this.name }),
+      ...this.root.asyncContext?.getStore(),
+      ...this.bindings,
+      ...this.mergeFields(fields?.fields),
+      msg: (fields || error) && message === undefined
+        ? error?.error.message ?? ""
+        : format(message, ...args),
     };
+    if (error) {
+      logEntry.err = serializeError(error.error);
+    }
+    // A named logger's name isn't replaced by context or bound fields
+    if (this.name !== undefined) {
+      logEntry.name = this.name;
+    }
 
     // Only include caller info if it was requested
     if (
@@ -660,12 +2111,124 @@ class Logger {
       logEntry.callerLine = callerLine;
     }
 
-    const colour = this.options.colours[level];
-    const resetColour = this.options.colours.reset;
+    this.redactor?.(logEntry);
+
+    if (shouldCapture) {
+      this.recentEntries!.push({
+        logger: this,
+        logEntry,
+        timestamp: now.getTime(),
+        outputs,
+      });
+    }
+
+    if (outputs.length === 0) {
+      return;
+    }
+
+    if (
+      this.options.recent?.dumpOnError &&
+      levelNumber <= this.options.levels.error
+    ) {
+      this.dumpRecent();
+    }
+
+    this.writeEntry(logEntry, outputs);
+  }
+
+  /**
+   * Takes a plain object from the start of the arguments, and one from the
+   * end that isn't used by the format string, as fields for the entry.
+   */
+  takeFields(
+    message: unknown,
+    args: unknown[],
+  ): {
+    fields: { [key: string]: unknown }[];
+    message: unknown;
+    args: unknown[];
+  } | null {
+    const fields = [];
+    if (isPlainObject(message)) {
+      fields.push(message);
+      [message, ...args] = args;
+    }
+    const last = args[args.length - 1];
+    if (
+      isPlainObject(last) &&
+      (typeof message !== "string" || args.length > countPlaceholders(message))
+    ) {
+      fields.push(last);
+      args = args.slice(0, -1);
+    }
+    return fields.length > 0 ? { fields, message, args } : null;
+  }
+
+  /**
+   * Takes an Error from the start of the arguments, or from the end if it
+   * isn't used by the format string, for the entry's `err` field.
+   */
+  takeError(
+    message: unknown,
+    args: unknown[],
+  ): { error: Error; message: unknown; args: unknown[] } | null {
+    if (message instanceof Error) {
+      const [rest, ...restArgs] = args;
+      return { error: message, message: rest, args: restArgs };
+    }
+    const last = args[args.length - 1];
+    if (
+      last instanceof Error &&
+      (typeof message !== "string" || args.length > countPlaceholders(message))
+    ) {
+      return { error: last, message, args: args.slice(0, -1) };
+    }
+    return null;
+  }
+
+  /**
+   * Combines object arguments into the fields added to an entry, nested
+   * under `nestedKey` if it's set. At the top level, fields the logger sets
+   * itself are kept with a leading underscore rather than replacing them.
+   */
+  mergeFields(
+    fields: { [key: string]: unknown }[] = [],
+  ): { [key: string]: unknown } {
+    if (fields.length === 0) {
+      return {};
+    }
+    const { nestedKey } = this.options.mergeObjects!;
+    // Errors in fields, as in `logger.error({ err }, "failed")`, are
+    // serialized like Error arguments
+    const merged: { [key: string]: unknown } = {};
+    for (const object of fields) {
+      for (const [key, value] of Object.entries(object)) {
+        const reserved = reservedFields.includes(key) ||
+          (key === "name" && this.name !== undefined);
+        const name = nestedKey === undefined && reserved ? `_${key}` : key;
+        merged[name] = value instanceof Error ? serializeError(value) : value;
+      }
+    }
+    if (nestedKey !== undefined) {
+      return { [nestedKey]: merged };
+    }
+    return merged;
+  }
 
-    // Select the appropriate formatter
-    const formatter = this.formatters[this.options.format] ||
-      this.formatters.json;
+  /**
+   * Renders an entry with the given format name or formatter, falling back
+   * to JSON if the formatter fails.
+   */
+  formatLogEntry(
+    logEntry: LogEntry,
+    format: string | Formatter = this.options.format,
+  ): string {
+    // Select the appropriate formatter, from this logger's own formatters
+    // first
+    const formatter = typeof format === "function"
+      ? format
+      : this.formatters[format] ?? registeredFormatters[format] ??
+        this.formatters.json;
 
     let formattedLog: string;
     try {
@@ -702,13 +2265,553 @@ class Logger {
         }"}`;
       }
     }
+    return formattedLog;
+  }
+
+  /**
+   * Creates the "pretty" formatters. Unless the pretty format's `colour`
+   * option is set, coloured outputs use a coloured formatter and others a
+   * plain one.
+   */
+  setPrettyFormatters(): void {
+    const { pretty, colours } = this.options;
+    this.formatters.pretty = createPrettyFormatter(pretty, colours);
+    this.colourFormatters = pretty.colour === undefined
+      ? { pretty: createPrettyFormatter({ ...pretty, colour: true }, colours) }
+      : {};
+  }
 
-    // only show colours if logging to console
-    if (this.isRedirected) {
-      console.log(formattedLog);
+  /**
+   * Renders an entry for an output. Lines are rendered once per format, and
+   * shared between outputs through `formatted`. Formats that colour
+   * themselves are rendered with colour for outputs that are coloured.
+   */
+  renderLine(
+    output: Output,
+    logEntry: LogEntry,
+    formatted: Map<string | Formatter, string>,
+  ): string {
+    if (output.raw) {
+      return "";
+    }
+    let format = output.format ?? this.options.format;
+    // Console transports decide colour per stream, as the entry's level sets
+    // which stream it is written to
+    const coloured = output.transport instanceof ConsoleTransport
+      ? output.transport.isColoured(logEntry)
+      : output.colour;
+    if (typeof format === "string" && coloured) {
+      format = this.colourFormatters[format] ?? format;
+    }
+    let line = formatted.get(format);
+    if (line === undefined) {
+      line = this.formatLogEntry(logEntry, format);
+      formatted.set(format, line);
+    }
+    if (!output.colour) {
+      return line;
+    }
+    const colour = this.options.colours[logEntry.level] ?? "";
+    return colourLine(line, colour, this.options.colours.reset);
+  }
+
+  writeEntry(logEntry: LogEntry, outputs: Output[]): void {
+    if (this.worker) {
+      // Outputs added with readable() are still written on this thread
+      const posted = outputs.filter((output) =>
+        output.transport === this.worker
+      );
+      if (posted.length > 0) {
+        this.postToWorker(logEntry, posted);
+      }
+      outputs = outputs.filter((output) => output.transport !== this.worker);
+    } else if (this.options.buffer) {
+      this.root.bufferLog({
+        logger: this,
+        logEntry,
+        outputs,
+        formatted: new Map(),
+      });
+      return;
+    }
+
+    const formatted = new Map<string | Formatter, string>();
+    for (const output of outputs) {
+      try {
+        output.transport.write(
+          logEntry,
+          this.renderLine(output, logEntry, formatted),
+        );
+      } catch (e) {
+        this.root.reportTransportError(e);
+      }
+    }
+  }
+
+  /**
+   * Reports a transport that threw while writing. The entry still goes to
+   * the other outputs, and reports stop after `maxTransportErrors` failures
+   * so a broken transport can't flood stderr.
+   */
+  reportTransportError(error: unknown): void {
+    this.transportErrorCount++;
+    if (this.transportErrorCount <= this.maxTransportErrors) {
+      console.error("Error writing to transport:", error);
+      if (this.transportErrorCount === this.maxTransportErrors) {
+        console.error(
+          `Transport writes failed ${this.maxTransportErrors} times. Suppressing further transport error messages.`,
+        );
+      }
+    }
+  }
+
+  postToWorker(logEntry: LogEntry, outputs: Output[]): void {
+    const indexes = outputs.map((output) => this.outputs.indexOf(output));
+    try {
+      this.worker!.writeEntry(logEntry, indexes);
+    } catch {
+      // Entries holding values that can't be copied to another thread, such
+      // as functions, are sent as plain JSON data instead
+      this.worker!.writeEntry(
+        JSON.parse(this.jsonFormatter(logEntry)),
+        indexes,
+      );
+    }
+  }
+
+  /**
+   * Writes out captured entries to the outputs that skipped them because of
+   * the logger's level, oldest first. Outputs with a level of their own keep
+   * it, so never get entries below it.
+   */
+  dumpRecent(): void {
+    for (const recentEntry of this.recentEntries?.toArray() ?? []) {
+      const outputs = this.outputs.filter((output) =>
+        output.level === undefined &&
+        !recentEntry.outputs.includes(output) &&
+        takesEntriesFrom(output, recentEntry.logger)
+      );
+      if (outputs.length > 0) {
+        recentEntry.outputs = this.outputs;
+        this.writeEntry(recentEntry.logEntry, outputs);
+      }
+    }
+  }
+
+  /**
+   * Returns a stream of the entries logged from now on.
+   *
+   * The stream gets entries logged with this logger and its children, so a
+   * child's stream leaves out entries from its parent. Logging never waits
+   * for the reader: once `highWaterMark` entries are waiting to be read, new
+   * entries are dropped. The stream ends when the logger is closed, and
+   * cancelling it stops entries being sent to it.
+   *
+   * @param options - Level and queue size for the stream
+   * @returns A stream of log entries
+   *
+   * @example
+   * ```ts
+   * // Stream errors as NDJSON in a response
+   * const body = logger.readable({ level: "error" })
+   *   .pipeThrough(
+   *     new TransformStream({
+   *       transform(entry, controller) {
+   *         controller.enqueue(JSON.stringify(entry) + "\n");
+   *       },
+   *     }),
+   *   )
+   *   .pipeThrough(new TextEncoderStream());
+   * return new Response(body, {
+   *   headers: { "content-type": "application/x-ndjson" },
+   * });
+   * ```
+   */
+  readable(options: ReadableOptions<L> = {}): ReadableStream<LogEntry> {
+    const { level, highWaterMark } = options;
+    if (level !== undefined && !Object.hasOwn(this.options.levels, level)) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+    if (
+      highWaterMark !== undefined &&
+      (!Number.isInteger(highWaterMark) || highWaterMark <= 0)
+    ) {
+      throw new Error("highWaterMark must be a positive integer");
+    }
+
+    // The arrays are shared with child loggers, so are changed in place. The
+    // output only takes entries from this logger and its children
+    const transport = new ReadableStreamTransport(highWaterMark ?? 1000, () => {
+      this.outputs.splice(this.outputs.indexOf(output), 1);
+      this.transports.splice(this.transports.indexOf(transport), 1);
+    });
+    const output: Output = {
+      transport,
+      level,
+      colour: false,
+      raw: true,
+      logger: this,
+    };
+
+    if (this.root.closed) {
+      transport.close();
     } else {
-      console.log(`${colour}${formattedLog}${resetColour}`);
+      this.outputs.push(output);
+      this.transports.push(transport);
     }
+    return transport.readable;
+  }
+
+  /**
+   * Returns entries from the ring buffer, oldest first. Entries below the
+   * logger's level are included, down to the capture level set by
+   * {@link RecentOptions.level}.
+   *
+   * @param query - Filters for the entries returned
+   * @returns Matching entries, oldest first
+   *
+   * @example
+   * ```ts
+   * const logger = new Logger({ level: "info", recent: { size: 500 } });
+   * logger.debug("Cache miss for %s", "user:123"); // not output, but kept
+   *
+   * // The last 20 entries from the past minute
+   * logger.recent({ since: Date.now() - 60_000, limit: 20 });
+   *
+   * // Warnings and errors mentioning the cache
+   * logger.recent({ level: "warn", match: /cache/i });
+   * ```
+   */
+  recent(query: RecentQuery<L> = {}): LogEntry[] {
+    if (!this.recentEntries) {
+      throw new Error("recent() requires the recent option");
+    }
+
+    const { level, since, limit, match } = query;
+    if (level !== undefined && !Object.hasOwn(this.options.levels, level)) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error("limit must be a non-negative integer");
+    }
+
+    const maxLevelNumber = level === undefined
+      ? Infinity
+      : this.options.levels[level];
+    const sinceTime = since instanceof Date ? since.getTime() : since;
+    const matches = typeof match === "function"
+      ? match
+      : match instanceof RegExp
+      // search() rather than test(), which is stateful for global patterns
+      ? (logEntry: LogEntry) => logEntry.msg.search(match) !== -1
+      : match !== undefined
+      ? (logEntry: LogEntry) => logEntry.msg.includes(match)
+      : () => true;
+
+    const logEntries = this.recentEntries.toArray()
+      .filter(({ logEntry, timestamp }) =>
+        logEntry.levelNumber <= maxLevelNumber &&
+        (sinceTime === undefined || timestamp >= sinceTime) &&
+        matches(logEntry)
+      )
+      .map(({ logEntry }) => logEntry);
+
+    return limit === undefined
+      ? logEntries
+      : logEntries.slice(Math.max(0, logEntries.length - limit));
+  }
+
+  bufferLog(bufferedEntry: BufferedEntry): void {
+    const { highWaterMark, overflow, flushInterval } = this.options.buffer!;
+
+    if (this.buffered.length >= highWaterMark) {
+      if (overflow === "drop-newest") {
+        this.droppedCount++;
+        return;
+      }
+      if (overflow === "drop-oldest") {
+        this.buffered.shift();
+        this.droppedCount++;
+      } else {
+        this.drainBuffer();
+      }
+    }
+
+    this.buffered.push(bufferedEntry);
+
+    if (!exitHandlerAdded) {
+      addExitHandler(flushLoggersOnExit);
+      exitHandlerAdded = true;
+    }
+    loggersToFlushOnExit.add(this);
+
+    if (this.flushTimer === undefined) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = undefined;
+        try {
+          this.drainBuffer();
+        } catch (error) {
+          console.error("Error flushing log buffer:", error);
+        }
+      }, flushInterval);
+      // Buffered entries are flushed on exit, so don't keep the process alive
+      unrefTimer(this.flushTimer);
+    }
+  }
+
+  /**
+   * Synchronously writes all buffered entries to the transports.
+   */
+  drainBuffer(): void {
+    if (this.flushTimer !== undefined) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = undefined;
+    }
+    loggersToFlushOnExit.delete(this);
+
+    if (this.buffered.length === 0) {
+      return;
+    }
+
+    const bufferedEntries = this.buffered;
+    this.buffered = [];
+    for (const output of this.outputs) {
+      const logLines: LogLine[] = bufferedEntries
+        .filter((bufferedEntry) => bufferedEntry.outputs.includes(output))
+        .map(({ logger, logEntry, formatted }) => ({
+          logEntry,
+          formattedLog: logger.renderLine(output, logEntry, formatted),
+        }));
+      if (logLines.length === 0) {
+        continue;
+      }
+
+      const { transport } = output;
+      try {
+        if (transport.writeBatch) {
+          transport.writeBatch(logLines);
+        } else {
+          for (const { logEntry, formattedLog } of logLines) {
+            transport.write(logEntry, formattedLog);
+          }
+        }
+      } catch (e) {
+        this.reportTransportError(e);
+      }
+    }
+  }
+
+  /**
+   * Writes out any buffered entries, then waits for each transport to flush.
+   *
+   * Buffered entries are handed to the transports before this returns, so
+   * only transports that send output asynchronously need the returned promise
+   * to be awaited.
+   *
+   * @example
+   * ```ts
+   * const logger = new Logger({ buffer: { flushInterval: 1000 } });
+   * logger.info("queued");
+   * await logger.flush(); // written now rather than in a second
+   * ```
+   */
+  async flush(): Promise<void> {
+    if (this.root !== this) {
+      return this.root.flush();
+    }
+    this.drainBuffer();
+    await Promise.all(
+      this.transports.map((transport) => transport.flush?.()),
+    );
+  }
+
+  /**
+   * Flushes any buffered entries and closes all transports. Entries logged
+   * after closing are discarded. Closing a child logger closes the logger it
+   * was created from, along with its other children.
+   *
+   * @example
+   * ```ts
+   * const logger = new Logger({ buffer: true, transports: [fileTransport] });
+   * logger.info("last words");
+   * await logger.close();
+   * ```
+   */
+  async close(): Promise<void> {
+    if (this.root !== this) {
+      return this.root.close();
+    }
+    if (this.closed) {
+      return;
+    }
+    await this.flush();
+    this.closed = true;
+    await Promise.all(
+      this.transports.map((transport) => transport.close?.()),
+    );
+  }
+
+  /**
+   * Creates a child logger that adds the given fields to every entry it logs.
+   *
+   * The child shares this logger's outputs, formatters, buffer and ring
+   * buffer, and follows its options, including later level changes, unless
+   * they are overridden with `options`. Fields are added after those of any
+   * parent, replacing ones with the same name.
+   *
+   * @param bindings - Fields to add to each entry. Can't include fields the
+   *   logger sets itself, such as `level`, `time` and `msg`
+   * @param options - Level, format, time and callerLevel for the child
+   * @returns The child logger
+   *
+   * @example
+   * ```ts
+   * const requestLogger = logger.child({ requestId: "abc123" });
+   * requestLogger.info("Request started");
+   * // {"level":"info",...,"requestId":"abc123","msg":"Request started"}
+   *
+   * const verbose = requestLogger.child({ userId: 42 }, { level: "debug" });
+   * verbose.debug("Loaded profile");
+   * ```
+   */
+  child(
+    bindings: { [key: string]: unknown },
+    options: ChildOptions<L, F> = {},
+  ): Logger<L, F> {
+    if (
+      bindings === null || typeof bindings !== "object" ||
+      Array.isArray(bindings)
+    ) {
+      throw new Error("child() bindings must be an object");
+    }
+    for (const key of Object.keys(bindings)) {
+      if (reservedFields.includes(key)) {
+        throw new Error(
+          `Invalid child field: ${key}. Reserved fields are: ${
+            reservedFields.join(", ")
+          }`,
+        );
+      }
+    }
+    if (options === null || typeof options !== "object") {
+      throw new Error("child() options must be an object");
+    }
+    for (const key of Object.keys(options)) {
+      if (!childOptionNames.includes(key)) {
+        throw new Error(
+          `Invalid child option: ${key}. Valid child options are: ${
+            childOptionNames.join(", ")
+          }`,
+        );
+      }
+    }
+    this.validateOptions(options, {
+      levels: this.options.levels,
+      formatters: this.formatters,
+    });
+
+    // The child reads everything it doesn't set itself through its prototype,
+    // so it sees changes made to this logger, such as a new level
+    const child: Logger<L, F> = Object.create(this);
+    child.options = Object.create(this.options);
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) {
+        Object.assign(child.options, { [key]: value });
+      }
+    }
+    child.bindings = { ...this.bindings, ...bindings };
+    child.callerErrorCount = 0;
+    return child;
+  }
+
+  /**
+   * Creates a child logger for a namespace, such as a subsystem, that adds a
+   * `name` field to every entry. The namespace is added to this logger's
+   * name, if it has one, after a colon.
+   *
+   * Namespaces matching the `debug` option, or the `DEBUG` environment
+   * variable, log at debug level. Others follow this logger's level.
+   *
+   * @param namespace - The namespace, such as "db" or "db:pool"
+   * @returns The child logger
+   *
+   * @example
+   * ```ts
+   * // DEBUG=db:*,-db:verbose
+   * const logger = new Logger({ name: "api" });
+   * const db = logger.namespace("db"); // name "api:db"
+   *
+   * const pool = new Logger().namespace("db:pool");
+   * pool.debug("Acquired connection"); // shown
+   * new Logger().namespace("db:verbose").debug("Row data"); // hidden
+   * ```
+   */
+  namespace(namespace: string): Logger<L, F> {
+    if (typeof namespace !== "string" || namespace === "") {
+      throw new Error("namespace() requires a non-empty string");
+    }
+
+    const name = this.name === undefined
+      ? namespace
+      : `${this.name}:${namespace}`;
+    const child = this.child(
+      {},
+      this.debugNamespaces?.enabled(name) ? { level: "debug" } : {},
+    );
+    child.name = name;
+    return child;
+  }
+
+  /**
+   * Runs a function with fields that are added to every entry logged within
+   * it, including from async code it starts, such as awaited calls, timers
+   * and promise callbacks.
+   *
+   * The context is shared with this logger's parent and children. Nested
+   * calls add to the fields of the calls they are in. Fields bound with
+   * {@link child} are added after the context's, replacing ones with the
+   * same name.
+   *
+   * Uses `AsyncLocalStorage` from `node:async_hooks`. On runtimes without it,
+   * the fields are only added to entries logged before `fn` returns.
+   *
+   * @param fields - Fields to add to each entry. Can't include fields the
+   *   logger sets itself, such as `level`, `time` and `msg`
+   * @param fn - Function to run
+   * @returns What `fn` returns
+   *
+   * @example
+   * ```ts
+   * Deno.serve((req) =>
+   *   logger.runWithContext({ requestId: crypto.randomUUID() }, async () => {
+   *     logger.info("Request started"); // includes requestId
+   *     return await handle(req); // so does anything handle() logs
+   *   })
+   * );
+   * ```
+   */
+  runWithContext<T>(fields: { [key: string]: unknown }, fn: () => T): T {
+    if (
+      fields === null || typeof fields !== "object" || Array.isArray(fields)
+    ) {
+      throw new Error("runWithContext() fields must be an object");
+    }
+    for (const key of Object.keys(fields)) {
+      if (reservedFields.includes(key)) {
+        throw new Error(
+          `Invalid context field: ${key}. Reserved fields are: ${
+            reservedFields.join(", ")
+          }`,
+        );
+      }
+    }
+    if (typeof fn !== "function") {
+      throw new Error("runWithContext() requires a function to run");
+    }
+
+    this.root.asyncContext ??= createAsyncContext();
+    const context = this.root.asyncContext;
+    return context.run({ ...context.getStore(), ...fields }, fn);
   }
 
   /**
@@ -779,6 +2882,106 @@ class Logger {
     this.log("debug", message, ...args);
   }
 
+  /**
+   * Changes the logger's configuration. The options are checked like the
+   * constructor's, and either all of them are applied or, if any is
+   * invalid, none are. Colours and streams are merged into the current ones,
+   * and console output checks again whether each stream is a terminal.
+   *
+   * Child loggers follow changes made to their parent, except for options
+   * they set themselves. On a child logger, only the options that
+   * {@link child} accepts can be changed.
+   *
+   * @param options - The options to change
+   * @returns The previous values of the options that were changed, which can
+   *   be passed to `configure()` to restore them
+   * @throws If an option is invalid or can't be changed after creation
+   *
+   * @example
+   * ```ts
+   * // Debug the database code for a while, then put things back
+   * const previous = logger.configure({
+   *   format: "simple",
+   *   fileLevels: { "src/db/**": "debug" },
+   * });
+   * await reproduceIssue();
+   * logger.configure(previous);
+   * ```
+   */
+  configure(options: ConfigureOptions<L, F>): ConfigureOptions<L, F> {
+    if (options === null || typeof options !== "object") {
+      throw new Error("configure() options must be an object");
+    }
+    const isChild = this.root !== this;
+    const validOptionNames = isChild ? childOptionNames : configureOptionNames;
+    for (const key of Object.keys(options)) {
+      if (!validOptionNames.includes(key)) {
+        throw new Error(
+          `Invalid configure option: ${key}. Valid ${
+            isChild ? "options for a child logger" : "configure options"
+          } are: ${validOptionNames.join(", ")}`,
+        );
+      }
+    }
+    this.validateOptions(options, {
+      levels: this.options.levels,
+      formatters: this.formatters,
+    });
+    if (this.root.worker && typeof options.format === "function") {
+      throw new Error(
+        "Formatter functions can't be used with the worker option. Register them in worker.module instead",
+      );
+    }
+
+    const previous: ConfigureOptions<L, F> = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined) {
+        continue;
+      }
+      const option = key as keyof ConfigureOptions<L, F>;
+      const current = this.options[option];
+      Object.assign(previous, {
+        [option]: typeof current === "object" ? { ...current } : current,
+      });
+      Object.assign(this.options, {
+        [option]: option === "colours" || option === "streams"
+          ? Object.assign({}, current, value)
+          : value,
+      });
+    }
+
+    if (options.fileLevels !== undefined) {
+      this.fileLevels = new FileLevels(options.fileLevels, this.options.levels);
+    }
+
+    if (!isChild) {
+      // The pretty formatters follow the colours. Children share the
+      // formatters, so see the new ones
+      this.setPrettyFormatters();
+      // Console transports the logger created follow its colours and
+      // streams, and check the streams for a terminal again
+      for (const output of this.outputs) {
+        if (output.console) {
+          const transport = new ConsoleTransport({
+            colours: this.options.colours,
+            streams: this.options.streams,
+            colour: output.console.colour,
+          });
+          this.transports[this.transports.indexOf(output.transport)] =
+            transport;
+          output.transport = transport;
+        }
+      }
+      this.worker?.configure({
+        format: options.format,
+        colours: options.colours,
+        streams: options.streams,
+      });
+    }
+
+    return previous;
+  }
+
   /**
    * Gets the current log level or sets a new one.
    *
@@ -798,9 +3001,9 @@ class Logger {
    * const level = logger.level("warn"); // Sets to "warn" and returns "warn"
    * ```
    */
-  level(): LogLevel;
-  level(newLevel: LogLevel): LogLevel;
-  level(newLevel?: LogLevel): LogLevel {
+  level(): LogLevel | L;
+  level(newLevel: LogLevel | L): LogLevel | L;
+  level(newLevel?: LogLevel | L): LogLevel | L {
     // If argument provided, set the new level
     if (arguments.length > 0 && newLevel !== undefined) {
       if (Object.hasOwn(this.options.levels, newLevel)) {
@@ -827,9 +3030,9 @@ class Logger {
    * logger.setLevel("error");
    * ```
    */
-  setLevel(): LogLevel;
-  setLevel(newLevel: LogLevel): LogLevel;
-  setLevel(newLevel?: LogLevel): LogLevel {
+  setLevel(): LogLevel | L;
+  setLevel(newLevel: LogLevel | L): LogLevel | L;
+  setLevel(newLevel?: LogLevel | L): LogLevel | L {
     if (arguments.length === 0) {
       // Why are you using this as a getter?
       return this.level();
@@ -838,4 +3041,43 @@ class Logger {
   }
 }
 
+/**
+ * Log methods for custom levels, such as `logger.trace()`. Levels named like
+ * something a logger already has, such as `log`, don't get one.
+ */
+export type LevelMethods<L extends string> = {
+  [
+    level in Exclude<L, LogLevel | keyof BaseLogger> as string extends L ? never
+      : level
+  ]: (message: unknown, ...args: unknown[]) => void;
+};
+
+/**
+ * A logger, with log methods for the custom levels `L` it was created with.
+ * Without type arguments, it stands for a logger with any levels and
+ * formats, so functions taking a `Logger` accept loggers with custom levels
+ * or formatters too.
+ */
+type Logger<L extends string = string, F extends string = string> =
+  & BaseLogger<L, F>
+  & LevelMethods<L>;
+
+/**
+ * The Logger class, typed so that loggers have methods for their custom
+ * levels.
+ */
+export interface LoggerConstructor {
+  new <L extends string = never, F extends string = never>(
+    options?: LoggerOptions<L, F>,
+  ): Logger<L, F>;
+  readonly prototype: BaseLogger<string, string>;
+  fromEnv<L extends string = never, F extends string = never>(
+    prefix?: string,
+    options?: LoggerOptions<L, F>,
+  ): Logger<L, F>;
+  registerFormatter(name: string, formatter: Formatter): void;
+}
+
+const Logger: LoggerConstructor = BaseLogger as unknown as LoggerConstructor;
+
 export default Logger;
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview DEBUG-style namespace patterns, for turning on debug output
+ * for some named loggers only.
+ *
+ * @module namespaces
+ */
+
+/**
+ * A parsed list of namespace patterns, such as `db:*,-db:verbose`.
+ *
+ * Patterns are separated by commas or whitespace. `*` matches any run of
+ * characters, and a pattern starting with `-` excludes the namespaces it
+ * matches. A namespace is enabled when it matches an included pattern and no
+ * excluded one.
+ *
+ * @example
+ * ```ts
+ * const patterns = new NamespacePatterns("db:*,-db:verbose");
+ * patterns.enabled("db:pool"); // true
+ * patterns.enabled("db:verbose"); // false
+ * patterns.enabled("http"); // false
+ * ```
+ */
+export class NamespacePatterns {
+  include: RegExp[];
+  exclude: RegExp[];
+
+  constructor(patterns: string) {
+    this.include = [];
+    this.exclude = [];
+    for (const pattern of patterns.split(/[\s,]+/)) {
+      if (pattern === "" || pattern === "-") {
+        continue;
+      }
+      if (pattern.startsWith("-")) {
+        this.exclude.push(toRegExp(pattern.slice(1)));
+      } else {
+        this.include.push(toRegExp(pattern));
+      }
+    }
+  }
+
+  /**
+   * Checks whether a namespace is enabled by the patterns.
+   */
+  enabled(namespace: string): boolean {
+    return this.include.some((regExp) => regExp.test(namespace)) &&
+      !this.exclude.some((regExp) => regExp.test(namespace));
+  }
+}
+
+function toRegExp(pattern: string): RegExp {
+  const source = pattern.split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
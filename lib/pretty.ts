@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Pretty formatting for local development, with a coloured level
+ * badge on each entry and its fields and error stacks indented below it.
+ *
+ * @module pretty
+ */
+
+import type { Formatter, LogEntry } from "./logger.ts";
+import {
+  formatErrorLines,
+  isSerializedError,
+  type SerializedError,
+} from "./serialize-error.ts";
+
+/**
+ * Options for the "pretty" format.
+ */
+export interface PrettyFormatOptions {
+  /**
+   * Whether to add colour codes. The logger's "pretty" format follows each
+   * output's colour setting unless this is set, while formatters made with
+   * {@link createPrettyFormatter} default to false
+   */
+  colour?: boolean;
+  /**
+   * How many levels of nested objects and arrays to show under each field.
+   * Deeper ones are shown as `[Object]` or `[Array(n)]`. Defaults to 2
+   */
+  depth?: number;
+}
+
+const reset = "\x1b[0m";
+const dim = "\x1b[2m";
+const grey = "\x1b[90m";
+const inverse = "\x1b[7m";
+
+// Fields shown on the entry's first line, or left out
+const headerFields = new Set([
+  "level",
+  "levelNumber",
+  "time",
+  "pid",
+  "hostname",
+  "msg",
+  "callerFile",
+  "callerLine",
+  "name",
+]);
+
+// Stack frames in dependencies or the runtime's own code
+const internalFrame =
+  /^\s*at\s(?:.*[\\/]node_modules[\\/]|(?:.*[\s(])?(?:node|ext):)/;
+
+type Paint = (code: string, text: string) => string;
+
+function isScalar(value: unknown): boolean {
+  return value === null || typeof value !== "object" || value instanceof Date;
+}
+
+function formatScalar(value: unknown): string {
+  if (typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  if (typeof value === "bigint") {
+    return `${value}n`;
+  }
+  if (typeof value === "function") {
+    return `[Function ${value.name || "(anonymous)"}]`;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+  }
+  return String(value);
+}
+
+function pushErrorLines(
+  lines: string[],
+  error: SerializedError,
+  indent: string,
+  paint: Paint,
+): void {
+  for (const line of formatErrorLines(error)) {
+    lines.push(
+      internalFrame.test(line)
+        ? `${indent}${paint(grey, line)}`
+        : `${indent}${line}`,
+    );
+  }
+}
+
+function pushField(
+  lines: string[],
+  key: string,
+  value: unknown,
+  indent: string,
+  depth: number,
+  seen: Set<object>,
+  paint: Paint,
+): void {
+  const label = `${indent}${key}:`;
+  if (isScalar(value)) {
+    lines.push(`${label} ${formatScalar(value)}`);
+    return;
+  }
+  const object = value as object;
+  if (seen.has(object)) {
+    lines.push(`${label} [Circular]`);
+    return;
+  }
+  if (isSerializedError(object)) {
+    lines.push(label);
+    pushErrorLines(lines, object, `${indent}  `, paint);
+    return;
+  }
+  const isArray = Array.isArray(object);
+  const entries = isArray
+    ? object.map((item, i): [string, unknown] => [`[${i}]`, item])
+    : Object.entries(object);
+  if (entries.length === 0) {
+    lines.push(`${label} ${isArray ? "[]" : "{}"}`);
+    return;
+  }
+  if (depth <= 0) {
+    lines.push(
+      `${label} ${isArray ? `[Array(${object.length})]` : "[Object]"}`,
+    );
+    return;
+  }
+  // Arrays of scalars are kept on one line
+  if (isArray && object.every(isScalar)) {
+    lines.push(`${label} [${object.map(formatScalar).join(", ")}]`);
+    return;
+  }
+  lines.push(label);
+  seen.add(object);
+  for (const [entryKey, entryValue] of entries) {
+    pushField(
+      lines,
+      entryKey,
+      entryValue,
+      `${indent}  `,
+      depth - 1,
+      seen,
+      paint,
+    );
+  }
+  seen.delete(object);
+}
+
+/**
+ * Creates a formatter that renders log entries for reading in a terminal.
+ *
+ * The first line has a dim timestamp, a level badge in the level's colour and
+ * the message. Other fields follow on indented lines, with nested objects
+ * indented further, and errors are shown as stacks with frames from
+ * `node_modules` and the runtime greyed out.
+ *
+ * Lines start with a colour code when colours are on, so console transports
+ * leave them as they are rather than colouring the whole entry.
+ *
+ * @param options - Pretty formatting options
+ * @param colours - ANSI colour codes for each level's badge, such as the
+ *   logger's colours
+ * @returns A formatter producing one or more lines per entry
+ *
+ * @example
+ * ```ts
+ * const format = createPrettyFormatter({ colour: false });
+ * format(entry);
+ * // 2024-01-15 10:30 INFO  Request done (server.ts:42)
+ * //     status: 200
+ * //     user:
+ * //       id: 42
+ * //       roles: ["admin"]
+ * ```
+ */
+export function createPrettyFormatter(
+  options: PrettyFormatOptions = {},
+  colours: { [level: string]: string } = {},
+): Formatter {
+  const colour = options.colour ?? false;
+  const depth = options.depth ?? 2;
+  const paint: Paint = (code, text) =>
+    colour && code && text ? `${code}${text}${reset}` : text;
+
+  return (logEntry: LogEntry): string => {
+    const level = logEntry.level.toUpperCase();
+    // Pad after the badge, so the badge is only as wide as the level
+    const padding = " ".repeat(Math.max(0, 5 - level.length));
+    const badge = colour
+      ? `${colours[logEntry.level] ?? ""}${inverse} ${level} ${reset}`
+      : level;
+    const caller = logEntry.callerFile
+      ? `(${logEntry.callerFile.split("/").pop()}:${logEntry.callerLine})`
+      : "";
+    const header = [
+      paint(dim, logEntry.time),
+      `${badge}${padding}`,
+      typeof logEntry.name === "string" ? paint(dim, logEntry.name) : "",
+      logEntry.msg,
+      paint(dim, caller),
+    ].filter((part) => part !== "").join(" ");
+
+    const lines = [header];
+    const seen = new Set<object>();
+    for (const [key, value] of Object.entries(logEntry)) {
+      if (headerFields.has(key) || value === undefined) {
+        continue;
+      }
+      // The entry's error is shown as a stack without its key
+      if (key === "err" && isSerializedError(value)) {
+        pushErrorLines(lines, value, "    ", paint);
+      } else {
+        pushField(lines, key, value, "    ", depth, seen, paint);
+      }
+    }
+    return lines.join("\n");
+  };
+}
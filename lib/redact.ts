@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Path-based redaction of sensitive fields in log entries.
+ *
+ * Paths are parsed once, when the logger is created. Redacting an entry only
+ * copies the objects on the way to a field that's actually redacted, so the
+ * caller's objects are never changed and entries without sensitive fields
+ * cost no more than a few property lookups.
+ *
+ * @module redact
+ */
+
+import type { LogEntry } from "./logger.ts";
+
+/**
+ * Options for redacting fields, set through {@link LoggerOptions.redact}.
+ *
+ * @example
+ * ```ts
+ * const options: RedactOptions = {
+ *   paths: ["headers.authorization", "*.password", "users[*].ssn"],
+ *   censor: "***",
+ * };
+ * ```
+ */
+export interface RedactOptions {
+  /**
+   * Fields to redact, as dot-separated paths into the entry. `*` or `[*]`
+   * matches every key or array element at that level, `[0]` matches an array
+   * index, and `["x-api-key"]` matches a key containing other characters
+   */
+  paths: string[];
+  /** Value that replaces redacted fields. Defaults to "[REDACTED]" */
+  censor?: string;
+  /** Remove redacted fields instead of replacing them. Defaults to false */
+  remove?: boolean;
+}
+
+/**
+ * Redacts the configured paths in a log entry, in place. Nested objects are
+ * copied before being changed.
+ */
+export type Redactor = (logEntry: LogEntry) => void;
+
+// Matches any key at its level of a path
+const wildcard = Symbol("wildcard");
+
+type PathSegment = string | typeof wildcard;
+
+// A key after the start of the path or a dot, or a bracketed wildcard, index
+// or quoted key
+const segmentPattern =
+  /(?:^|\.)([^.[\]"']+)|\[(?:(\*|\d+)|"([^"]*)"|'([^']*)')\]/y;
+
+/**
+ * Parses a redaction path into its segments.
+ *
+ * @param path - A path such as `users[*].ssn`
+ * @returns The path's keys, with wildcards as a symbol
+ */
+export function parseRedactPath(path: string): PathSegment[] {
+  if (typeof path !== "string" || path === "" || path.startsWith(".")) {
+    throw new Error(`Invalid redact path: ${path}`);
+  }
+
+  const segments: PathSegment[] = [];
+  segmentPattern.lastIndex = 0;
+  while (segmentPattern.lastIndex < path.length) {
+    const match = segmentPattern.exec(path);
+    if (!match) {
+      throw new Error(`Invalid redact path: ${path}`);
+    }
+    const [, key, bracketed, doubleQuoted, singleQuoted] = match;
+    segments.push(
+      key === "*" || bracketed === "*"
+        ? wildcard
+        : key ?? bracketed ?? doubleQuoted ?? singleQuoted,
+    );
+  }
+  return segments;
+}
+
+/**
+ * Creates a function that redacts the given paths in log entries.
+ *
+ * @param options - The paths to redact, and how
+ * @returns The redactor
+ */
+export function createRedactor(options: RedactOptions): Redactor {
+  const paths = options.paths.map(parseRedactPath);
+  const censor = options.censor ?? "[REDACTED]";
+  const remove = options.remove ?? false;
+
+  return (logEntry) => {
+    // Objects that belong to the entry, so can be changed in place
+    const owned = new Set<object>([logEntry]);
+
+    // Returns the object with the path redacted from `index` on: the object
+    // itself if nothing was redacted, otherwise a changed copy unless it's
+    // owned
+    const redact = (
+      target: { [key: string]: unknown },
+      segments: PathSegment[],
+      index: number,
+    ): { [key: string]: unknown } => {
+      const segment = segments[index];
+      const keys = segment === wildcard
+        ? Object.keys(target)
+        : Object.hasOwn(target, segment)
+        ? [segment]
+        : [];
+      const last = index === segments.length - 1;
+
+      let result = target;
+      for (const key of keys) {
+        let replacement: unknown = censor;
+        if (!last) {
+          const value = target[key];
+          if (value === null || typeof value !== "object") {
+            continue;
+          }
+          replacement = redact(
+            value as { [key: string]: unknown },
+            segments,
+            index + 1,
+          );
+          if (replacement === value) {
+            continue;
+          }
+        }
+
+        if (!owned.has(result)) {
+          result = Array.isArray(result)
+            ? [...result] as unknown as { [key: string]: unknown }
+            : { ...result };
+          owned.add(result);
+        }
+        if (last && remove) {
+          delete result[key];
+        } else {
+          result[key] = replacement;
+        }
+      }
+      return result;
+    };
+
+    for (const segments of paths) {
+      redact(logEntry, segments, 0);
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Fixed-size ring buffer that keeps the most recent items.
+ *
+ * @module ring-buffer
+ */
+
+/**
+ * Holds up to `capacity` items, overwriting the oldest once full. Pushing is
+ * constant time however full the buffer is.
+ *
+ * @example
+ * ```ts
+ * const buffer = new RingBuffer<number>(2);
+ * buffer.push(1);
+ * buffer.push(2);
+ * buffer.push(3); // returns 1, which made way for 3
+ * buffer.toArray(); // [2, 3]
+ * ```
+ */
+export class RingBuffer<T> {
+  capacity: number;
+  items: (T | undefined)[];
+  start: number;
+  length: number;
+
+  constructor(capacity: number) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new Error("capacity must be a positive integer");
+    }
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Adds an item, returning the oldest item if it was overwritten.
+   */
+  push(item: T): T | undefined {
+    const end = (this.start + this.length) % this.capacity;
+    if (this.length < this.capacity) {
+      this.items[end] = item;
+      this.length++;
+      return undefined;
+    }
+    const evicted = this.items[end];
+    this.items[end] = item;
+    this.start = (this.start + 1) % this.capacity;
+    return evicted;
+  }
+
+  /**
+   * Returns the items from oldest to newest.
+   */
+  toArray(): T[] {
+    const result: T[] = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity] as T);
+    }
+    return result;
+  }
+
+  clear(): void {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
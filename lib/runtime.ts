@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Cross-platform wrappers for the runtime APIs the logger needs.
+ *
+ * Each wrapper uses the Deno API when running on Deno, and the equivalent
+ * Node.js built-in module on Node.js and Bun.
+ *
+ * @module runtime
+ */
+
+// Cross-platform process interface
+interface NodeProcess {
+  pid: number;
+  versions?: {
+    node?: string;
+    bun?: string;
+  };
+  stdout?: {
+    isTTY?: boolean;
+  };
+  stderr?: {
+    isTTY?: boolean;
+  };
+  getBuiltinModule?: (module: string) => unknown;
+  on?: (event: string, listener: () => void) => void;
+  env?: { [name: string]: string | undefined };
+}
+
+// Cross-platform global interface
+interface CrossPlatformGlobal {
+  process?: NodeProcess;
+  require?: (module: string) => unknown;
+}
+
+// Subset of node:fs used by the file wrappers
+interface NodeFs {
+  openSync(path: string, flags: string): number;
+  writeSync(fd: number, data: Uint8Array): number;
+  closeSync(fd: number): void;
+  statSync(path: string): { size: number; mtime: Date };
+  renameSync(oldPath: string, newPath: string): void;
+  unlinkSync(path: string): void;
+  readFileSync(path: string): Uint8Array;
+  writeFileSync(path: string, data: Uint8Array): void;
+}
+
+// Subset of node:net and node:dgram used by the socket wrappers
+interface NodeSocket {
+  write(data: Uint8Array, callback: (error?: Error | null) => void): boolean;
+  end(): void;
+  unref(): void;
+  on(event: string, listener: (error?: Error) => void): void;
+  once(event: string, listener: (error?: Error) => void): void;
+}
+
+interface NodeNet {
+  createConnection(
+    options: { host: string; port: number } | { path: string },
+  ): NodeSocket;
+}
+
+interface NodeDatagramSocket {
+  send(
+    data: Uint8Array,
+    port: number,
+    host: string,
+    callback: (error: Error | null) => void,
+  ): void;
+  close(): void;
+  unref?(): void;
+}
+
+interface NodeDgram {
+  createSocket(type: "udp4" | "udp6"): NodeDatagramSocket;
+}
+
+// Deno's UDP API is still behind --unstable-net, so it isn't in the default types
+interface DenoDatagramConn {
+  send(
+    data: Uint8Array,
+    address: { transport: "udp"; hostname: string; port: number },
+  ): Promise<number>;
+  close(): void;
+}
+
+type DenoListenDatagram = (
+  options: { transport: "udp"; hostname: string; port: number },
+) => DenoDatagramConn;
+
+// Subset of node:worker_threads used by the worker wrappers
+interface NodeWorkerThreads {
+  Worker: new (url: URL) => WorkerThread;
+  parentPort: ParentPort | null;
+}
+
+// Subset of node:async_hooks used by createAsyncContext
+interface NodeAsyncHooks {
+  AsyncLocalStorage: new <T>() => AsyncContext<T>;
+}
+
+// Runtime detection and cross-platform utilities
+export const runtime = {
+  isDeno: typeof Deno !== "undefined",
+  isNode: typeof (globalThis as CrossPlatformGlobal).process !== "undefined" &&
+    Boolean((globalThis as CrossPlatformGlobal).process?.versions?.node),
+  isBun: typeof (globalThis as CrossPlatformGlobal).process !== "undefined" &&
+    Boolean((globalThis as CrossPlatformGlobal).process?.versions?.bun),
+};
+
+/**
+ * Loads a Node.js built-in module on Node.js and Bun, without a static import
+ * so the library still loads on runtimes that don't provide it.
+ *
+ * ES modules on Node.js before 20.16 have neither `process.getBuiltinModule`
+ * nor `require`, so get undefined there.
+ */
+export function getNodeModule<T>(name: string): T | undefined {
+  const process = (globalThis as CrossPlatformGlobal).process;
+  try {
+    if (process?.getBuiltinModule) {
+      return process.getBuiltinModule(name) as T;
+    }
+    // Try accessing require if available
+    const requireFn = (globalThis as CrossPlatformGlobal)?.require ||
+      eval("require");
+    return requireFn?.(name) as T;
+  } catch {
+    // Fallback if require is not available
+    return undefined;
+  }
+}
+
+// Cross-platform API wrappers
+export function getPid(): number {
+  if (runtime.isDeno) {
+    return Deno.pid;
+  }
+  return (globalThis as CrossPlatformGlobal).process?.pid || 0;
+}
+
+export function getHostname(): string {
+  if (runtime.isDeno) {
+    return Deno.hostname();
+  }
+  // For Node.js/Bun, we need to import os module
+  if (runtime.isNode || runtime.isBun) {
+    try {
+      const os = getNodeModule<{ hostname?: () => string }>("os");
+      return os?.hostname?.() || "localhost";
+    } catch {
+      return "localhost";
+    }
+  }
+  return "localhost";
+}
+
+/**
+ * Checks whether an environment variable can be read. Always true except on
+ * Deno, where env access has to be granted.
+ */
+export function canReadEnv(name: string): boolean {
+  if (!runtime.isDeno) {
+    return true;
+  }
+  const permission = Deno.permissions.querySync?.({
+    name: "env",
+    variable: name,
+  });
+  return !permission || permission.state === "granted";
+}
+
+/**
+ * Reads an environment variable. Returns undefined when it isn't set, or
+ * can't be read, rather than prompting for env access on Deno.
+ */
+export function getEnv(name: string): string | undefined {
+  if (!canReadEnv(name)) {
+    return undefined;
+  }
+  if (runtime.isDeno) {
+    try {
+      return Deno.env.get(name);
+    } catch {
+      return undefined;
+    }
+  }
+  return (globalThis as CrossPlatformGlobal).process?.env?.[name];
+}
+
+/**
+ * Standard output streams a log line can be written to.
+ */
+export type LogStream = "stdout" | "stderr";
+
+export function isTerminal(stream: LogStream = "stdout"): boolean {
+  if (runtime.isDeno) {
+    return stream === "stderr"
+      ? Deno.stderr.isTerminal()
+      : Deno.stdout.isTerminal();
+  }
+  return (globalThis as CrossPlatformGlobal).process?.[stream]?.isTTY || false;
+}
+
+/**
+ * Whether console output is passed to the main thread to be written, as on a
+ * Node.js worker thread, and so is lost if the process exits first.
+ */
+export function isConsoleRelayed(): boolean {
+  if (runtime.isDeno) {
+    return false;
+  }
+  const workerThreads = getNodeModule<{ isMainThread: boolean }>(
+    "worker_threads",
+  );
+  return workerThreads?.isMainThread === false;
+}
+
+/**
+ * Writes text straight to stdout or stderr, synchronously.
+ */
+export function writeStream(stream: LogStream, text: string): void {
+  const data = new TextEncoder().encode(text);
+  let written = 0;
+  if (runtime.isDeno) {
+    const output = stream === "stderr" ? Deno.stderr : Deno.stdout;
+    while (written < data.length) {
+      written += output.writeSync(data.subarray(written));
+    }
+    return;
+  }
+  const fs = getNodeFs();
+  const fd = stream === "stderr" ? 2 : 1;
+  while (written < data.length) {
+    written += fs.writeSync(fd, data.subarray(written));
+  }
+}
+
+/**
+ * Stops a timer from keeping the process alive.
+ */
+export function unrefTimer(timer: ReturnType<typeof setTimeout>): void {
+  // Deno timer IDs are numbers, Node.js and Bun return objects with unref()
+  if (runtime.isDeno && typeof timer === "number") {
+    Deno.unrefTimer(timer);
+    return;
+  }
+  (timer as { unref?: () => void }).unref?.();
+}
+
+/**
+ * Runs a handler synchronously when the process exits or the page unloads.
+ */
+export function addExitHandler(handler: () => void): void {
+  const process = (globalThis as CrossPlatformGlobal).process;
+  if (runtime.isDeno) {
+    globalThis.addEventListener("unload", handler);
+  } else if (process?.on) {
+    process.on("exit", handler);
+  } else if (typeof globalThis.addEventListener === "function") {
+    globalThis.addEventListener("pagehide", handler);
+  }
+}
+
+function getNodeFs(): NodeFs {
+  const fs = getNodeModule<NodeFs>("fs");
+  if (!fs) {
+    throw new Error("File system access is not available in this runtime");
+  }
+  return fs;
+}
+
+/**
+ * A file opened for appending, written to synchronously.
+ */
+export interface AppendFile {
+  write(data: Uint8Array): void;
+  close(): void;
+}
+
+export function openAppendFile(path: string): AppendFile {
+  if (runtime.isDeno) {
+    const file = Deno.openSync(path, { append: true, create: true });
+    return {
+      write(data) {
+        let written = 0;
+        while (written < data.length) {
+          written += file.writeSync(data.subarray(written));
+        }
+      },
+      close() {
+        file.close();
+      },
+    };
+  }
+
+  const fs = getNodeFs();
+  const fd = fs.openSync(path, "a");
+  return {
+    write(data) {
+      let written = 0;
+      while (written < data.length) {
+        written += fs.writeSync(fd, data.subarray(written));
+      }
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Returns the size and modification time of a file, or undefined if it
+ * doesn't exist.
+ */
+export function statFile(
+  path: string,
+): { size: number; mtime: Date } | undefined {
+  try {
+    if (runtime.isDeno) {
+      const info = Deno.statSync(path);
+      return { size: info.size, mtime: info.mtime ?? new Date() };
+    }
+    const info = getNodeFs().statSync(path);
+    return { size: info.size, mtime: info.mtime };
+  } catch {
+    return undefined;
+  }
+}
+
+export function renameFile(oldPath: string, newPath: string): void {
+  if (runtime.isDeno) {
+    Deno.renameSync(oldPath, newPath);
+    return;
+  }
+  getNodeFs().renameSync(oldPath, newPath);
+}
+
+export function removeFile(path: string): void {
+  if (runtime.isDeno) {
+    Deno.removeSync(path);
+    return;
+  }
+  getNodeFs().unlinkSync(path);
+}
+
+export function readFile(path: string): Uint8Array {
+  if (runtime.isDeno) {
+    return Deno.readFileSync(path);
+  }
+  return getNodeFs().readFileSync(path);
+}
+
+export function writeFile(path: string, data: Uint8Array): void {
+  if (runtime.isDeno) {
+    Deno.writeFileSync(path, data);
+    return;
+  }
+  getNodeFs().writeFileSync(path, data);
+}
+
+/**
+ * Where a socket connects to: a TCP or UDP host and port, or a unix socket
+ * path.
+ */
+export type SocketAddress =
+  | { transport: "tcp" | "udp"; hostname: string; port: number }
+  | { transport: "unix"; path: string };
+
+/**
+ * A connected socket that data can be sent over. For UDP, each write is sent
+ * as a single datagram.
+ */
+export interface SocketConnection {
+  write(data: Uint8Array): Promise<void>;
+  close(): void;
+}
+
+/**
+ * Connects a socket. The socket doesn't keep the process alive, so pending
+ * writes should be awaited before exiting.
+ */
+export async function connectSocket(
+  address: SocketAddress,
+): Promise<SocketConnection> {
+  if (address.transport === "udp") {
+    return openDatagramSocket(address.hostname, address.port);
+  }
+
+  if (runtime.isDeno) {
+    const conn = address.transport === "unix"
+      ? await Deno.connect({ transport: "unix", path: address.path })
+      : await Deno.connect({ hostname: address.hostname, port: address.port });
+    conn.unref();
+    return {
+      async write(data) {
+        let written = 0;
+        while (written < data.length) {
+          written += await conn.write(data.subarray(written));
+        }
+      },
+      close() {
+        try {
+          conn.close();
+        } catch {
+          // Already closed by the other end
+        }
+      },
+    };
+  }
+
+  const net = getNodeModule<NodeNet>("net");
+  if (!net) {
+    throw new Error("Sockets are not available in this runtime");
+  }
+  const socket = net.createConnection(
+    address.transport === "unix"
+      ? { path: address.path }
+      : { host: address.hostname, port: address.port },
+  );
+  await new Promise<void>((resolve, reject) => {
+    socket.once("connect", () => resolve());
+    socket.once("error", reject);
+  });
+  socket.unref();
+  // Later errors are reported through the write callbacks, but without a
+  // listener Node.js would also throw them
+  socket.on("error", () => {});
+  return {
+    write(data) {
+      return new Promise((resolve, reject) => {
+        socket.write(data, (error) => error ? reject(error) : resolve());
+      });
+    },
+    close() {
+      socket.end();
+    },
+  };
+}
+
+function openDatagramSocket(hostname: string, port: number): SocketConnection {
+  const listenDatagram = runtime.isDeno
+    ? (Deno as unknown as { listenDatagram?: DenoListenDatagram })
+      .listenDatagram
+    : undefined;
+  if (listenDatagram) {
+    const conn = listenDatagram({
+      transport: "udp",
+      hostname: hostname.includes(":") ? "::" : "0.0.0.0",
+      port: 0,
+    });
+    return {
+      async write(data) {
+        await conn.send(data, { transport: "udp", hostname, port });
+      },
+      close() {
+        conn.close();
+      },
+    };
+  }
+
+  // Without --unstable-net, Deno provides UDP through its node:dgram support
+  const dgram = getNodeModule<NodeDgram>("dgram");
+  if (!dgram) {
+    throw new Error("UDP sockets are not available in this runtime");
+  }
+  const socket = dgram.createSocket(hostname.includes(":") ? "udp6" : "udp4");
+  socket.unref?.();
+  return {
+    write(data) {
+      return new Promise((resolve, reject) => {
+        socket.send(data, port, hostname, (error) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    },
+    close() {
+      socket.close();
+    },
+  };
+}
+
+/**
+ * A worker thread, as returned by {@link startWorker}.
+ */
+export interface WorkerThread {
+  postMessage(message: unknown): void;
+  on(event: "message", listener: (message: unknown) => void): void;
+  on(event: "error", listener: (error: Error) => void): void;
+  on(event: "exit", listener: () => void): void;
+  ref(): void;
+  unref(): void;
+  terminate(): Promise<number>;
+}
+
+/**
+ * The channel a worker thread uses to talk to the thread that started it.
+ */
+export interface ParentPort {
+  postMessage(message: unknown): void;
+  on(event: "message", listener: (message: unknown) => void): void;
+  /** Lets the worker exit once it's idle. Not available on Deno */
+  close?(): void;
+}
+
+function getWorkerThreads(): NodeWorkerThreads {
+  // Web Workers can't be unref'd in Deno and would keep the process alive
+  // forever, so use worker_threads on every runtime
+  const workerThreads = getNodeModule<NodeWorkerThreads>("worker_threads");
+  if (!workerThreads) {
+    throw new Error("Worker threads are not available in this runtime");
+  }
+  return workerThreads;
+}
+
+/**
+ * Starts a worker thread running the given module.
+ */
+export function startWorker(url: URL): WorkerThread {
+  return new (getWorkerThreads().Worker)(url);
+}
+
+/**
+ * Returns the channel to the parent thread when running in a worker thread,
+ * or null on the main thread.
+ */
+export function getParentPort(): ParentPort | null {
+  return getWorkerThreads().parentPort;
+}
+
+/**
+ * A value that follows async calls made within {@link AsyncContext.run}, as
+ * returned by {@link createAsyncContext}.
+ */
+export interface AsyncContext<T> {
+  run<R>(store: T, fn: () => R): R;
+  getStore(): T | undefined;
+}
+
+// Whether the warning about async context not following async calls has
+// been shown
+let asyncContextWarned = false;
+
+/**
+ * Creates an `AsyncLocalStorage` from `node:async_hooks`, which Node.js, Bun
+ * and Deno all provide. Elsewhere, the value only lasts until the function
+ * passed to `run` returns, so isn't seen by its async callbacks.
+ *
+ * On Node.js, that only happens for ES modules before 20.16, which can't load
+ * `node:async_hooks` without a static import, so a warning is shown once.
+ */
+export function createAsyncContext<T>(): AsyncContext<T> {
+  const asyncHooks = getNodeModule<NodeAsyncHooks>("async_hooks");
+  if (asyncHooks?.AsyncLocalStorage) {
+    return new asyncHooks.AsyncLocalStorage<T>();
+  }
+
+  if (runtime.isNode && !asyncContextWarned) {
+    asyncContextWarned = true;
+    console.error(
+      "Warning: node:async_hooks could not be loaded, so runWithContext() fields won't follow async calls. Use Node.js 20.16 or later",
+    );
+  }
+
+  let current: T | undefined;
+  return {
+    run(store, fn) {
+      const previous = current;
+      current = store;
+      try {
+        return fn();
+      } finally {
+        current = previous;
+      }
+    },
+    getStore: () => current,
+  };
+}
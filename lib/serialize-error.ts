@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Error serialization for the `err` field of log entries.
+ *
+ * `JSON.stringify` turns an `Error` into `{}`, because its name, message and
+ * stack aren't own enumerable properties. These helpers copy them into plain
+ * objects, following `cause` and `AggregateError.errors`, and render them
+ * back as indented stack traces for text formats.
+ *
+ * @module serialize-error
+ */
+
+/**
+ * An `Error` as plain data, as found in the `err` field of a log entry.
+ *
+ * @example
+ * ```ts
+ * const err: SerializedError = {
+ *   name: "Error",
+ *   message: "Query failed",
+ *   stack: "Error: Query failed\n    at query (db.ts:12:11)",
+ *   code: "ECONNRESET",
+ *   cause: { name: "Error", message: "socket hang up", stack: "..." },
+ * };
+ * ```
+ */
+export interface SerializedError {
+  /** The error's name, such as "TypeError" */
+  name: string;
+  /** The error's message */
+  message: string;
+  /** The stack trace, when the runtime provides one */
+  stack?: string;
+  /** The error's `code`, as set by Node.js system errors and many libraries */
+  code?: unknown;
+  /** The error's cause, serialized if it is an Error */
+  cause?: unknown;
+  /** The errors of an `AggregateError`, serialized if they are Errors */
+  errors?: unknown[];
+  /** Other own enumerable properties of the error */
+  [key: string]: unknown;
+}
+
+/**
+ * Copies an Error into a plain object with its name, message, stack, code,
+ * cause, aggregated errors and own enumerable properties. Errors found along
+ * the way are serialized too, and one already being serialized is replaced
+ * with "[Circular]".
+ *
+ * @param error - The error to serialize
+ * @param seen - Errors being serialized further up, for spotting cycles
+ * @returns The error as plain data
+ */
+export function serializeError(
+  error: Error,
+  seen: Set<Error> = new Set(),
+): SerializedError {
+  seen.add(error);
+  const serialize = (value: unknown): unknown => {
+    if (!(value instanceof Error)) {
+      return value;
+    }
+    return seen.has(value) ? "[Circular]" : serializeError(value, seen);
+  };
+
+  const serialized: SerializedError = {
+    name: error.name,
+    message: error.message,
+  };
+  if (error.stack !== undefined) {
+    serialized.stack = error.stack;
+  }
+  const { code } = error as { code?: unknown };
+  if (code !== undefined) {
+    serialized.code = code;
+  }
+  for (const [key, value] of Object.entries(error)) {
+    if (!(key in serialized)) {
+      serialized[key] = serialize(value);
+    }
+  }
+  if (error.cause !== undefined) {
+    serialized.cause = serialize(error.cause);
+  }
+  if (error instanceof AggregateError && Array.isArray(error.errors)) {
+    serialized.errors = error.errors.map(serialize);
+  }
+  seen.delete(error);
+  return serialized;
+}
+
+/**
+ * Checks whether a value looks like a {@link SerializedError}.
+ */
+export function isSerializedError(value: unknown): value is SerializedError {
+  return value !== null && typeof value === "object" &&
+    typeof (value as SerializedError).name === "string" &&
+    typeof (value as SerializedError).message === "string";
+}
+
+// Renders a cause or aggregated error that isn't an Error
+function describe(value: unknown): string {
+  if (value !== null && typeof value === "object") {
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return "[object Object]";
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Renders a serialized error as lines of text: its stack, or name and message
+ * without one, followed by its aggregated errors and its cause chain.
+ *
+ * @param error - The serialized error
+ * @returns The lines, unindented. Aggregated errors are indented by two
+ *   spaces
+ */
+export function formatErrorLines(error: SerializedError): string[] {
+  const lines = (error.stack ?? `${error.name}: ${error.message}`).split("\n")
+    .map((line) => line.trimEnd());
+
+  error.errors?.forEach((aggregated, i) => {
+    const [first, ...rest] = isSerializedError(aggregated)
+      ? formatErrorLines(aggregated)
+      : [describe(aggregated)];
+    lines.push(
+      `  [${i}] ${first}`,
+      ...rest.map((line) => `  ${line}`),
+    );
+  });
+
+  if (error.cause !== undefined) {
+    const [first, ...rest] = isSerializedError(error.cause)
+      ? formatErrorLines(error.cause)
+      : [describe(error.cause)];
+    lines.push(`Caused by: ${first}`, ...rest);
+  }
+  return lines;
+}
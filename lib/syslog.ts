@@ -0,0 +1,497 @@
+/**
+ * @fileoverview Syslog formatting (RFC 5424 and RFC 3164) and a transport that
+ * sends syslog messages over UDP, TCP or a unix socket.
+ *
+ * @module syslog
+ */
+
+import type { Formatter, LogEntry, Transport } from "./logger.ts";
+import {
+  connectSocket,
+  getHostname,
+  getPid,
+  type SocketConnection,
+} from "./runtime.ts";
+
+/**
+ * Syslog message formats: RFC 5424 (the current standard, with structured
+ * data) or the older BSD format from RFC 3164.
+ */
+export type SyslogProtocol = "5424" | "3164";
+
+/**
+ * Syslog facility names, mapped to their numeric codes.
+ */
+export const syslogFacilities: { [facility: string]: number } = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+/**
+ * Default mapping from log levels to syslog severities, including common
+ * custom levels. Levels not listed here are sent as informational (6).
+ */
+export const defaultSyslogSeverities: { [level: string]: number } = {
+  error: 3,
+  warn: 4,
+  info: 6,
+  debug: 7,
+  fatal: 2,
+  critical: 2,
+  notice: 5,
+  verbose: 7,
+  trace: 7,
+};
+
+/**
+ * Options for syslog formatting.
+ *
+ * @example
+ * ```ts
+ * const logger = new Logger({
+ *   format: "syslog",
+ *   syslog: { appName: "billing", facility: "local0" },
+ * });
+ * ```
+ */
+export interface SyslogFormatOptions {
+  /** Message format. Defaults to "5424" */
+  protocol?: SyslogProtocol;
+  /** Facility name or code (0-23). Defaults to "user" */
+  facility?: string | number;
+  /** APP-NAME header (TAG in RFC 3164). Defaults to "logger" */
+  appName?: string;
+  /** MSGID header for RFC 5424. Defaults to "-" (none) */
+  msgId?: string;
+  /**
+   * SD-ID of the STRUCTURED-DATA element holding extra entry fields. Defaults
+   * to "fields@32473", using the example enterprise number from RFC 5424 -
+   * replace it with one based on your own enterprise number
+   */
+  sdId?: string;
+  /** Syslog severity (0-7) for each log level, merged with the defaults */
+  severities?: { [level: string]: number };
+}
+
+// Fields that become syslog headers rather than structured data
+const headerFields = new Set([
+  "level",
+  "levelNumber",
+  "time",
+  "pid",
+  "hostname",
+  "msg",
+]);
+
+const months = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Gets the date an entry was logged. Short timestamps have no seconds or
+ * zone, so for them it's the current time.
+ */
+export function getEntryDate(logEntry: LogEntry): Date {
+  const date = typeof logEntry.time === "string" && logEntry.time.includes("T")
+    ? new Date(logEntry.time)
+    : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+// RFC 3164 timestamps are local time, e.g. "Jan  5 14:03:01"
+function formatBsdTimestamp(date: Date): string {
+  const day = String(date.getDate()).padStart(2, " ");
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+  return `${months[date.getMonth()]} ${day} ${time}`;
+}
+
+// Header fields are printable US-ASCII without spaces, or "-" when empty
+function toHeaderValue(value: unknown, maxLength: number): string {
+  const header = String(value ?? "").replace(/[^\x21-\x7e]/g, "_").slice(
+    0,
+    maxLength,
+  );
+  return header === "" ? "-" : header;
+}
+
+function toParamName(name: string): string {
+  return name.replace(/[^\x21-\x7e]|[= \]"]/g, "_").slice(0, 32);
+}
+
+function stringify(value: unknown): string {
+  if (typeof value === "string") {
+    return value;
+  }
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+function toParamValue(value: unknown): string {
+  return stringify(value).replace(/["\\\]]/g, (char) => `\\${char}`);
+}
+
+function getExtraFields(logEntry: LogEntry): [string, unknown][] {
+  return Object.entries(logEntry).filter(([key, value]) =>
+    !headerFields.has(key) && value !== undefined
+  );
+}
+
+/**
+ * Creates a formatter that renders log entries as syslog messages.
+ *
+ * With RFC 5424, fields other than the standard ones (including caller info)
+ * are sent as STRUCTURED-DATA. RFC 3164 has no structured data, so they are
+ * appended to the message as JSON.
+ *
+ * @param options - Syslog formatting options
+ * @returns A formatter producing a single syslog message per entry
+ *
+ * @example
+ * ```ts
+ * const format = createSyslogFormatter({ appName: "billing" });
+ * format(entry);
+ * // <11>1 2024-01-15T10:30:00.000Z myhost billing 1234 - [fields@32473 callerFile="app.ts" callerLine="42"] Payment failed
+ * ```
+ */
+export function createSyslogFormatter(
+  options: SyslogFormatOptions = {},
+): Formatter {
+  validateSyslogOptions(options);
+
+  const protocol = options.protocol ?? "5424";
+  const facility = typeof options.facility === "number"
+    ? options.facility
+    : syslogFacilities[options.facility ?? "user"];
+  const severities = Object.assign(
+    {},
+    defaultSyslogSeverities,
+    options.severities,
+  );
+  const appName = options.appName ?? "logger";
+  const msgId = options.msgId ?? "-";
+  const sdId = options.sdId ?? "fields@32473";
+
+  return (logEntry: LogEntry): string => {
+    const severity = severities[logEntry.level] ?? 6;
+    const pri = `<${facility * 8 + severity}>`;
+    const date = getEntryDate(logEntry);
+    const hostname = logEntry.hostname ?? getHostname();
+    const pid = logEntry.pid ?? getPid();
+    const fields = getExtraFields(logEntry);
+
+    if (protocol === "3164") {
+      const tag = toHeaderValue(appName, 32);
+      const extra = fields.length > 0
+        ? ` ${stringify(Object.fromEntries(fields))}`
+        : "";
+      return `${pri}${formatBsdTimestamp(date)} ${
+        toHeaderValue(hostname, 255)
+      } ${tag}[${pid}]: ${logEntry.msg}${extra}`;
+    }
+
+    const structuredData = fields.length > 0
+      ? `[${sdId}${
+        fields.map(([key, value]) =>
+          ` ${toParamName(key)}="${toParamValue(value)}"`
+        ).join("")
+      }]`
+      : "-";
+
+    return `${pri}1 ${date.toISOString()} ${toHeaderValue(hostname, 255)} ${
+      toHeaderValue(appName, 48)
+    } ${toHeaderValue(pid, 128)} ${
+      toHeaderValue(msgId, 32)
+    } ${structuredData} ${logEntry.msg}`;
+  };
+}
+
+function validateSyslogOptions(options: SyslogFormatOptions): void {
+  if (typeof options !== "object" || options === null) {
+    throw new Error("syslog option must be an object");
+  }
+
+  if (options.protocol !== undefined) {
+    const validProtocols: SyslogProtocol[] = ["5424", "3164"];
+    if (!validProtocols.includes(options.protocol)) {
+      throw new Error(
+        `Invalid syslog protocol: ${options.protocol}. Valid protocols are: ${
+          validProtocols.join(", ")
+        }`,
+      );
+    }
+  }
+
+  if (options.facility !== undefined) {
+    const validCode = typeof options.facility === "number" &&
+      Number.isInteger(options.facility) && options.facility >= 0 &&
+      options.facility <= 23;
+    if (!validCode && !Object.hasOwn(syslogFacilities, options.facility)) {
+      throw new Error(
+        `Invalid syslog facility: ${options.facility}. Valid facilities are 0-23 or: ${
+          Object.keys(syslogFacilities).join(", ")
+        }`,
+      );
+    }
+  }
+
+  if (options.severities !== undefined) {
+    for (const [level, severity] of Object.entries(options.severities)) {
+      if (!Number.isInteger(severity) || severity < 0 || severity > 7) {
+        throw new Error(
+          `Syslog severity for '${level}' must be an integer from 0 to 7`,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Socket types the {@link SyslogTransport} can send over.
+ */
+export type SyslogTransportProtocol = "udp" | "tcp" | "unix";
+
+/**
+ * How messages are delimited on stream sockets (TCP and unix), per RFC 6587.
+ *
+ * - `octet-counting`: Each message is prefixed with its length in bytes
+ * - `newline`: Each message is terminated with a newline
+ */
+export type SyslogFraming = "octet-counting" | "newline";
+
+/**
+ * Configuration options for the {@link SyslogTransport}.
+ */
+export interface SyslogTransportOptions extends SyslogFormatOptions {
+  /** Socket type. Defaults to "udp" */
+  transport?: SyslogTransportProtocol;
+  /** Syslog server host for UDP and TCP. Defaults to "localhost" */
+  host?: string;
+  /** Syslog server port for UDP and TCP. Defaults to 514 */
+  port?: number;
+  /**
+   * Socket path for unix stream sockets. The system's `/dev/log` is usually a
+   * datagram socket, so can't be used
+   */
+  path?: string;
+  /**
+   * Message framing for TCP and unix sockets. Defaults to "octet-counting"
+   * for TCP and "newline" for unix. With "newline", newlines in a message are
+   * escaped as `\n`
+   */
+  framing?: SyslogFraming;
+  /** Maximum number of messages held while the server is unreachable. Defaults to 1000 */
+  maxQueue?: number;
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Transport that sends each entry to a syslog server.
+ *
+ * Entries are formatted as syslog messages by the transport itself, whatever
+ * format the logger uses. Messages are sent in the background and queued
+ * while the connection is being made; if the queue fills up because the
+ * server is unreachable, the oldest messages are dropped and counted in
+ * `droppedCount`. The socket doesn't keep the process alive, so close the
+ * transport (or the logger) before exiting to make sure everything is sent.
+ *
+ * Unix sockets are connected as stream sockets, such as a syslog daemon's
+ * stream listener. Unix datagram sockets, which is what `/dev/log` usually
+ * is, aren't supported: send to the local daemon over UDP instead.
+ *
+ * @example
+ * ```ts
+ * import Logger, { SyslogTransport } from "@iankulin/logger";
+ *
+ * const syslog = new SyslogTransport({
+ *   transport: "tcp",
+ *   host: "logs.internal",
+ *   port: 6514,
+ *   appName: "billing",
+ *   facility: "local0",
+ * });
+ * const logger = new Logger({ transports: [syslog] });
+ * logger.error("Payment failed");
+ * await logger.close();
+ * ```
+ */
+export class SyslogTransport implements Transport {
+  format: Formatter;
+  transport: SyslogTransportProtocol;
+  host: string;
+  port: number;
+  path?: string;
+  framing: SyslogFraming;
+  maxQueue: number;
+  queue: Uint8Array[];
+  droppedCount: number;
+  connection: SocketConnection | null;
+  sending: Promise<void> | null;
+  failing: boolean;
+
+  constructor(options: SyslogTransportOptions = {}) {
+    this.validateOptions(options);
+
+    this.format = createSyslogFormatter(options);
+    this.transport = options.transport ?? "udp";
+    this.host = options.host ?? "localhost";
+    this.port = options.port ?? 514;
+    this.path = options.path;
+    this.framing = options.framing ??
+      (this.transport === "unix" ? "newline" : "octet-counting");
+    this.maxQueue = options.maxQueue ?? 1000;
+    this.queue = [];
+    this.droppedCount = 0;
+    this.connection = null;
+    this.sending = null;
+    this.failing = false;
+  }
+
+  validateOptions(options: SyslogTransportOptions): void {
+    if (options.transport !== undefined) {
+      const validTransports: SyslogTransportProtocol[] = ["udp", "tcp", "unix"];
+      if (!validTransports.includes(options.transport)) {
+        throw new Error(
+          `Invalid syslog transport: ${options.transport}. Valid transports are: ${
+            validTransports.join(", ")
+          }`,
+        );
+      }
+    }
+
+    if (options.transport === "unix" && !options.path) {
+      throw new Error("path option is required for unix sockets");
+    }
+
+    if (
+      options.port !== undefined &&
+      (!Number.isInteger(options.port) || options.port <= 0 ||
+        options.port > 65535)
+    ) {
+      throw new Error("port option must be an integer from 1 to 65535");
+    }
+
+    if (options.framing !== undefined) {
+      const validFramings: SyslogFraming[] = ["octet-counting", "newline"];
+      if (!validFramings.includes(options.framing)) {
+        throw new Error(
+          `Invalid framing: ${options.framing}. Valid framings are: ${
+            validFramings.join(", ")
+          }`,
+        );
+      }
+    }
+
+    if (
+      options.maxQueue !== undefined &&
+      (!Number.isInteger(options.maxQueue) || options.maxQueue <= 0)
+    ) {
+      throw new Error("maxQueue option must be a positive integer");
+    }
+  }
+
+  write(logEntry: LogEntry): void {
+    const message = this.format(logEntry);
+
+    let data = encoder.encode(message);
+    if (this.transport !== "udp") {
+      // A newline ends the message with newline framing, so ones within it
+      // are escaped to keep it one record
+      data = this.framing === "octet-counting"
+        ? encoder.encode(`${data.length} ${message}`)
+        : encoder.encode(`${message.replaceAll("\n", "\\n")}\n`);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.queue.shift();
+      this.droppedCount++;
+    }
+    this.queue.push(data);
+
+    this.sending ??= this.send();
+  }
+
+  async send(): Promise<void> {
+    try {
+      while (this.queue.length > 0) {
+        this.connection ??= await connectSocket(
+          this.transport === "unix"
+            ? { transport: "unix", path: this.path! }
+            : {
+              transport: this.transport,
+              hostname: this.host,
+              port: this.port,
+            },
+        );
+        await this.connection.write(this.queue[0]);
+        this.queue.shift();
+        this.failing = false;
+      }
+    } catch (error) {
+      // Keep the queue and reconnect on the next write. Only report the first
+      // failure, rather than one per entry while the server is down
+      this.connection?.close();
+      this.connection = null;
+      if (!this.failing) {
+        this.failing = true;
+        console.error("Error sending to syslog:", error);
+      }
+    } finally {
+      this.sending = null;
+    }
+  }
+
+  /**
+   * Waits for queued messages to be sent, retrying once if sending failed.
+   */
+  async flush(): Promise<void> {
+    await this.sending;
+    if (this.queue.length > 0) {
+      this.sending ??= this.send();
+      await this.sending;
+    }
+  }
+
+  /**
+   * Sends any queued messages, then closes the socket.
+   */
+  async close(): Promise<void> {
+    await this.flush();
+    this.connection?.close();
+    this.connection = null;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Web Streams integration: a transport that writes to any
+ * `WritableStream`, and the transport behind `Logger.readable()`.
+ *
+ * @module web-streams
+ */
+
+import type { LogEntry, LogLevel, LogLine, Transport } from "./logger.ts";
+
+/**
+ * Configuration options for the {@link WritableStreamTransport}.
+ */
+export interface WritableStreamTransportOptions {
+  /** Write strings instead of UTF-8 encoded bytes. Defaults to false */
+  text?: boolean;
+  /** Leave the stream open when the transport is closed. Defaults to false */
+  preventClose?: boolean;
+  /** Maximum number of chunks held while the stream applies backpressure. Defaults to 1000 */
+  maxQueue?: number;
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Transport that writes each line to a `WritableStream`, such as
+ * `Deno.stdout.writable`, a file's `writable`, or a `TransformStream`.
+ *
+ * Lines are written as UTF-8 bytes, or as strings with `text: true`, each
+ * followed by a newline. Writes wait for the stream to be ready, so
+ * backpressure is respected without blocking the logger: chunks are queued
+ * until the stream catches up, and if the queue fills, the oldest are dropped
+ * and counted in `droppedCount`.
+ *
+ * A `WritableStream` passed as a transport or output is wrapped in one of
+ * these with the default options.
+ *
+ * @example
+ * ```ts
+ * import Logger, { WritableStreamTransport } from "@iankulin/logger";
+ *
+ * const file = await Deno.open("./app.log.gz", { write: true, create: true });
+ * const gzip = new CompressionStream("gzip");
+ * gzip.readable.pipeTo(file.writable);
+ *
+ * const logger = new Logger({
+ *   transports: [new WritableStreamTransport(gzip.writable)],
+ * });
+ * logger.info("compressed");
+ * await logger.close(); // closes the stream, finishing the gzip file
+ * ```
+ */
+export class WritableStreamTransport implements Transport {
+  writer: WritableStreamDefaultWriter<string | Uint8Array>;
+  text: boolean;
+  preventClose: boolean;
+  maxQueue: number;
+  queue: string[];
+  droppedCount: number;
+  sending: Promise<void> | null;
+  failed: boolean;
+
+  constructor(
+    stream: WritableStream<string> | WritableStream<Uint8Array>,
+    options: WritableStreamTransportOptions = {},
+  ) {
+    this.validateOptions(stream, options);
+
+    this.writer = (stream as WritableStream<string | Uint8Array>).getWriter();
+    this.text = options.text ?? false;
+    this.preventClose = options.preventClose ?? false;
+    this.maxQueue = options.maxQueue ?? 1000;
+    this.queue = [];
+    this.droppedCount = 0;
+    this.sending = null;
+    this.failed = false;
+  }
+
+  validateOptions(
+    stream: unknown,
+    options: WritableStreamTransportOptions,
+  ): void {
+    if (
+      typeof (stream as WritableStream | undefined)?.getWriter !== "function"
+    ) {
+      throw new Error("stream must be a WritableStream");
+    }
+
+    if (
+      options.maxQueue !== undefined &&
+      (!Number.isInteger(options.maxQueue) || options.maxQueue <= 0)
+    ) {
+      throw new Error("maxQueue option must be a positive integer");
+    }
+  }
+
+  write(_logEntry: LogEntry, formattedLog: string): void {
+    this.enqueue(`${formattedLog}\n`);
+  }
+
+  writeBatch(logLines: LogLine[]): void {
+    this.enqueue(
+      logLines.map(({ formattedLog }) => `${formattedLog}\n`).join(""),
+    );
+  }
+
+  enqueue(chunk: string): void {
+    // Nothing more can be written to an errored stream
+    if (this.failed) {
+      this.droppedCount++;
+      return;
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.queue.shift();
+      this.droppedCount++;
+    }
+    this.queue.push(chunk);
+
+    this.sending ??= this.send();
+  }
+
+  async send(): Promise<void> {
+    try {
+      while (this.queue.length > 0) {
+        // Wait for the stream to want more, rather than piling up writes
+        await this.writer.ready;
+        const chunk = this.queue.shift()!;
+        await this.writer.write(this.text ? chunk : encoder.encode(chunk));
+      }
+    } catch (error) {
+      this.failed = true;
+      this.droppedCount += this.queue.length;
+      this.queue = [];
+      console.error("Error writing to stream:", error);
+    } finally {
+      this.sending = null;
+    }
+  }
+
+  /**
+   * Waits for queued chunks to be written to the stream.
+   */
+  async flush(): Promise<void> {
+    await this.sending;
+  }
+
+  /**
+   * Writes any queued chunks, then closes the stream, unless `preventClose`
+   * is set.
+   */
+  async close(): Promise<void> {
+    await this.flush();
+    if (this.preventClose || this.failed) {
+      this.writer.releaseLock();
+      return;
+    }
+    await this.writer.close();
+  }
+}
+
+/**
+ * Options for {@link Logger.readable}.
+ */
+export interface ReadableOptions<L extends string = never> {
+  /** Only entries at this level and above. Defaults to the logger's level, following changes to it */
+  level?: LogLevel | L;
+  /** Maximum number of entries held for a slow reader before new entries are dropped. Defaults to 1000 */
+  highWaterMark?: number;
+}
+
+/**
+ * Transport that enqueues entries into a `ReadableStream`. Used by
+ * `Logger.readable()`.
+ *
+ * Logging never waits for the reader. Once `highWaterMark` entries are
+ * waiting to be read, new entries are dropped and counted in `droppedCount`.
+ */
+export class ReadableStreamTransport implements Transport {
+  readable: ReadableStream<LogEntry>;
+  controller!: ReadableStreamDefaultController<LogEntry>;
+  droppedCount: number;
+  closed: boolean;
+
+  constructor(highWaterMark: number, onCancel: () => void) {
+    this.droppedCount = 0;
+    this.closed = false;
+    this.readable = new ReadableStream<LogEntry>(
+      {
+        start: (controller) => {
+          this.controller = controller;
+        },
+        cancel: () => {
+          this.closed = true;
+          onCancel();
+        },
+      },
+      new CountQueuingStrategy({ highWaterMark }),
+    );
+  }
+
+  write(logEntry: LogEntry): void {
+    if (this.closed) {
+      return;
+    }
+    if ((this.controller.desiredSize ?? 0) <= 0) {
+      this.droppedCount++;
+      return;
+    }
+    this.controller.enqueue(logEntry);
+  }
+
+  /**
+   * Ends the stream. Entries already enqueued can still be read.
+   */
+  close(): void {
+    if (!this.closed) {
+      this.closed = true;
+      this.controller.close();
+    }
+  }
+}
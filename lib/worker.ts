@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Worker thread mode, where entries are formatted and written
+ * off the calling thread.
+ *
+ * The logger builds each entry on the calling thread, so caller info and
+ * timestamps are accurate, then posts it to a worker thread running
+ * `log-worker.ts`, which formats and writes it.
+ *
+ * @module worker
+ */
+
+import type {
+  LogEntry,
+  LoggerOptions,
+  OutputOptions,
+  Transport,
+} from "./logger.ts";
+import { addExitHandler, startWorker, type WorkerThread } from "./runtime.ts";
+
+/**
+ * Options for worker thread mode, set through {@link LoggerOptions.worker}.
+ */
+export interface LogWorkerOptions {
+  /**
+   * URL of a module that creates outputs in the worker, for transports other
+   * than the console. Its default export is an array of {@link OutputOptions},
+   * or a function returning one
+   */
+  module?: string | URL;
+  /** Milliseconds to wait for the worker to write pending entries when the process exits. Defaults to 1000 */
+  shutdownTimeout?: number;
+}
+
+/**
+ * Logger options that are passed on to the worker. Everything else is
+ * handled on the calling thread.
+ */
+export type LogWorkerLoggerOptions = Pick<
+  LoggerOptions<string, string>,
+  | "levels"
+  | "format"
+  | "time"
+  | "colours"
+  | "streams"
+  | "syslog"
+  | "pretty"
+  | "ecs"
+  | "otlp"
+  | "buffer"
+>;
+
+/**
+ * Options changed with `Logger.configure()` that the worker applies to its own
+ * logger.
+ */
+export type LogWorkerConfigureOptions = Pick<
+  LoggerOptions<string, string>,
+  "format" | "colours" | "streams"
+>;
+
+/**
+ * Messages from the logger to the worker.
+ *
+ * - `init`: Sets up the worker's outputs. Console outputs come first, in the
+ *   same order as on the calling thread, followed by the module's outputs
+ * - `log`: Writes an entry to the outputs at the given indexes. The index
+ *   after the console outputs stands for all of the module's outputs
+ * - `configure`: Changes the worker's logger, for entries posted after it
+ * - `flush` and `close`: Answered with a `done` message with the same id.
+ *   After closing, the worker exits by itself if its runtime allows it
+ * - `exit`: Closes the worker's logger, then sets the first element of
+ *   `signal` to 1 and notifies the waiting thread
+ */
+export type LogWorkerRequest =
+  | {
+    type: "init";
+    options: LogWorkerLoggerOptions;
+    outputs: OutputOptions<string, string>[];
+    module?: string;
+  }
+  | { type: "log"; logEntry: LogEntry; outputs: number[] }
+  | { type: "configure"; options: LogWorkerConfigureOptions }
+  | { type: "flush" | "close"; id: number }
+  | { type: "exit"; signal: SharedArrayBuffer };
+
+/**
+ * Messages from the worker to the logger. `exiting` is true when the worker
+ * is about to exit by itself.
+ */
+export type LogWorkerResponse = { type: "done"; id: number; exiting: boolean };
+
+// Workers still running when the process exits
+const workersToCloseOnExit = new Set<LogWorker>();
+let exitHandlerAdded = false;
+
+function closeWorkersOnExit(): void {
+  for (const worker of workersToCloseOnExit) {
+    worker.exit();
+  }
+}
+
+/**
+ * Runs the worker side of worker thread mode, posting entries to it and
+ * handling the shutdown handshake.
+ *
+ * The worker doesn't keep the process alive. Pending entries are written when
+ * the logger is closed, or, within `shutdownTimeout`, when the process exits.
+ */
+export class LogWorker implements Transport {
+  thread: WorkerThread;
+  outputCount: number;
+  shutdownTimeout: number;
+  requests: Map<number, (response: LogWorkerResponse) => void>;
+  nextId: number;
+  closed: boolean;
+  exited: Promise<void>;
+
+  constructor(
+    options: LogWorkerLoggerOptions,
+    outputs: OutputOptions<string, string>[],
+    workerOptions: LogWorkerOptions = {},
+  ) {
+    // Load the worker script the same way this module was loaded, as
+    // TypeScript source or compiled JavaScript
+    const extension = import.meta.url.endsWith(".ts") ? "ts" : "js";
+    this.thread = startWorker(
+      new URL(`./log-worker.${extension}`, import.meta.url),
+    );
+    this.outputCount = outputs.length + (workerOptions.module ? 1 : 0);
+    this.shutdownTimeout = workerOptions.shutdownTimeout ?? 1000;
+    this.requests = new Map();
+    this.nextId = 0;
+    this.closed = false;
+
+    this.thread.on("message", (message) => {
+      const response = message as LogWorkerResponse;
+      this.requests.get(response.id)?.(response);
+      this.requests.delete(response.id);
+      if (this.requests.size === 0) {
+        this.thread.unref();
+      }
+    });
+    this.thread.on("error", (error) => {
+      console.error("Error in log worker:", error);
+    });
+    this.exited = new Promise((resolve) => {
+      this.thread.on("exit", () => {
+        // Nothing more is coming back
+        for (const resolveRequest of this.requests.values()) {
+          resolveRequest({ type: "done", id: -1, exiting: true });
+        }
+        this.requests.clear();
+        this.closed = true;
+        workersToCloseOnExit.delete(this);
+        resolve();
+      });
+    });
+    // Listening for messages keeps the process alive on Node.js, so unref
+    // afterwards
+    this.thread.unref();
+
+    this.post({
+      type: "init",
+      options,
+      outputs,
+      module: workerOptions.module && String(workerOptions.module),
+    });
+
+    if (!exitHandlerAdded) {
+      addExitHandler(closeWorkersOnExit);
+      exitHandlerAdded = true;
+    }
+    workersToCloseOnExit.add(this);
+  }
+
+  post(request: LogWorkerRequest): void {
+    this.thread.postMessage(request);
+  }
+
+  /**
+   * Posts an entry for the outputs at the given indexes.
+   */
+  writeEntry(logEntry: LogEntry, outputs: number[]): void {
+    if (!this.closed) {
+      this.post({ type: "log", logEntry, outputs });
+    }
+  }
+
+  /**
+   * Posts options for the worker's logger, which apply to entries posted
+   * from now on.
+   */
+  configure(options: LogWorkerConfigureOptions): void {
+    if (!this.closed) {
+      this.post({ type: "configure", options });
+    }
+  }
+
+  /**
+   * Posts an entry for all of the worker's outputs.
+   */
+  write(logEntry: LogEntry): void {
+    this.writeEntry(
+      logEntry,
+      Array.from({ length: this.outputCount }, (_, i) => i),
+    );
+  }
+
+  request(type: "flush" | "close"): Promise<LogWorkerResponse> {
+    if (this.closed) {
+      return Promise.resolve({ type: "done", id: -1, exiting: true });
+    }
+    const id = this.nextId++;
+    // Keep the process alive until the worker answers
+    this.thread.ref();
+    return new Promise((resolve) => {
+      this.requests.set(id, resolve);
+      this.post({ type, id });
+    });
+  }
+
+  /**
+   * Waits for the worker to write everything posted so far.
+   */
+  async flush(): Promise<void> {
+    await this.request("flush");
+  }
+
+  /**
+   * Waits for the worker to write everything posted so far and close its
+   * transports, then stops the worker.
+   */
+  async close(): Promise<void> {
+    const { exiting } = await this.request("close");
+    this.closed = true;
+    workersToCloseOnExit.delete(this);
+    // On Node.js, the worker's console output is passed through this thread,
+    // and terminating the worker can lose what's still on its way
+    if (exiting) {
+      this.thread.ref();
+      await this.exited;
+    } else {
+      await this.thread.terminate();
+    }
+  }
+
+  /**
+   * Synchronously waits, up to `shutdownTimeout`, for the worker to write
+   * everything posted so far. Used when the process exits, where there's no
+   * chance to await {@link close}.
+   */
+  exit(): void {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    workersToCloseOnExit.delete(this);
+
+    const signal = new SharedArrayBuffer(4);
+    this.post({ type: "exit", signal });
+    Atomics.wait(new Int32Array(signal), 0, 0, this.shutdownTimeout);
+  }
+}
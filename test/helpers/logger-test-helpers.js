@@ -1,32 +1,41 @@
 // Shared test utilities for logger tests
 
+import Logger from "../../lib/logger.ts";
+
 // Mock console.log to capture output
 let capturedLogs = [];
 let capturedErrors = [];
+// stdout and stderr lines together, in the order they were written
+let capturedOutput = [];
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
 const originalIsTTY = Deno.stdout.isTerminal();
+const originalStderrIsTTY = Deno.stderr.isTerminal();
 
 export function mockConsole() {
   console.log = (...args) => {
     capturedLogs.push(args.join(" "));
+    capturedOutput.push(args.join(" "));
   };
 }
 
 export function mockConsoleError() {
   console.error = (...args) => {
     capturedErrors.push(args);
+    capturedOutput.push(args.join(" "));
   };
 }
 
 export function restoreConsole() {
   console.log = originalConsoleLog;
   capturedLogs = [];
+  capturedOutput = [];
 }
 
 export function restoreConsoleError() {
   console.error = originalConsoleError;
   capturedErrors = [];
+  capturedOutput = [];
 }
 
 export function getCapturedLogs() {
@@ -37,26 +46,39 @@ export function getCapturedErrors() {
   return capturedErrors;
 }
 
+// Lines written to either stdout or stderr, e.g. error and warn entries
+export function getCapturedOutput() {
+  return capturedOutput;
+}
+
 export function clearCapturedLogs() {
   capturedLogs = [];
+  capturedOutput = [];
 }
 
 export function clearCapturedErrors() {
   capturedErrors = [];
+  capturedOutput = [];
 }
 
 let mockIsTTY = originalIsTTY;
+let mockStderrIsTTY = originalStderrIsTTY;
 
-export function setTTYMode(isTTY) {
+// stderr follows stdout unless given, e.g. to test a redirected stderr
+export function setTTYMode(isTTY, stderrIsTTY = isTTY) {
   mockIsTTY = isTTY;
-  // Mock Deno.stdout.isTerminal for testing
+  mockStderrIsTTY = stderrIsTTY;
+  // Mock Deno.stdout.isTerminal and Deno.stderr.isTerminal for testing
   Deno.stdout.isTerminal = () => mockIsTTY;
+  Deno.stderr.isTerminal = () => mockStderrIsTTY;
 }
 
 export function restoreTTY() {
   mockIsTTY = originalIsTTY;
-  // Restore original Deno.stdout.isTerminal
+  mockStderrIsTTY = originalStderrIsTTY;
+  // Restore original Deno.stdout.isTerminal and Deno.stderr.isTerminal
   Deno.stdout.isTerminal = () => originalIsTTY;
+  Deno.stderr.isTerminal = () => originalStderrIsTTY;
 }
 
 // Helper to setup both console mocks
@@ -71,10 +93,38 @@ export function restoreMocks() {
   restoreConsoleError();
 }
 
-// Helper to get parsed JSON from first captured log
+// Helper to get parsed JSON from first captured log on either stream
 export function getFirstLogAsJSON() {
-  if (capturedLogs.length === 0) {
+  if (capturedOutput.length === 0) {
     throw new Error("No logs captured");
   }
-  return JSON.parse(capturedLogs[0]);
+  return JSON.parse(capturedOutput[0]);
+}
+
+// A transport that keeps what it's given: the formatted lines in `written`
+// and the entries in `logEntries`
+export function createMemoryTransport() {
+  const written = [];
+  const logEntries = [];
+  return {
+    written,
+    logEntries,
+    write(logEntry, formattedLog) {
+      logEntries.push(logEntry);
+      written.push(formattedLog);
+    },
+  };
+}
+
+// A logger that writes to a memory transport, with the lines it wrote and
+// those lines parsed as JSON
+export function createMemoryLogger(options = {}) {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport], ...options });
+  return {
+    logger,
+    transport,
+    lines: () => transport.written,
+    entries: () => transport.written.map((line) => JSON.parse(line)),
+  };
 }
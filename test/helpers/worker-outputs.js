@@ -0,0 +1,14 @@
+// Outputs for the worker tests, created inside the log worker. The log file
+// path, level and format come from the module URL's query string. A format of
+// "logger" follows the worker's logger
+import { FileTransport } from "../../lib/logger.ts";
+
+export default function () {
+  const params = new URL(import.meta.url).searchParams;
+  const format = params.get("format") ?? "json";
+  return [{
+    transport: new FileTransport({ path: params.get("path") }),
+    format: format === "logger" ? undefined : format,
+    level: params.get("level") ?? undefined,
+  }];
+}
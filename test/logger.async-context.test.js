@@ -0,0 +1,154 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import { createAsyncContext } from "../lib/runtime.ts";
+import {
+  clearCapturedErrors,
+  createMemoryLogger,
+  getCapturedErrors,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Async Context - Fields - should add the context's fields to entries", () => {
+  const { logger, entries } = createMemoryLogger();
+
+  const result = logger.runWithContext({ requestId: "abc123" }, () => {
+    logger.info("inside");
+    return 42;
+  });
+  logger.info("outside");
+
+  assertEquals(result, 42);
+  const [inside, outside] = entries();
+  assertEquals(inside.requestId, "abc123");
+  assertEquals(outside.requestId, undefined);
+});
+
+Deno.test("Logger Async Context - Fields - should follow awaits, timers and promise callbacks", async () => {
+  const { logger, entries } = createMemoryLogger();
+
+  async function deepLibraryCode() {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    logger.info("after timer");
+    await Promise.resolve().then(() => logger.info("in callback"));
+  }
+
+  await logger.runWithContext({ requestId: "abc123" }, async () => {
+    await deepLibraryCode();
+  });
+
+  assertEquals(
+    entries().map(({ msg, requestId }) => [msg, requestId]),
+    [["after timer", "abc123"], ["in callback", "abc123"]],
+  );
+});
+
+Deno.test("Logger Async Context - Fields - should keep concurrent contexts apart", async () => {
+  const { logger, entries } = createMemoryLogger();
+
+  const handle = (requestId, delay) =>
+    logger.runWithContext({ requestId }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      logger.info(`done ${requestId}`);
+    });
+  await Promise.all([handle("first", 10), handle("second", 1)]);
+
+  assertEquals(
+    entries().map(({ msg, requestId }) => [msg, requestId]),
+    [["done second", "second"], ["done first", "first"]],
+  );
+});
+
+Deno.test("Logger Async Context - Fields - should add nested contexts to the outer one", () => {
+  const { logger, entries } = createMemoryLogger();
+
+  logger.runWithContext({ requestId: "abc123", step: "auth" }, () => {
+    logger.runWithContext({ step: "query" }, () => logger.info("nested"));
+    logger.info("outer");
+  });
+
+  const [nested, outer] = entries();
+  assertEquals(nested.requestId, "abc123");
+  assertEquals(nested.step, "query");
+  assertEquals(outer.step, "auth");
+});
+
+Deno.test("Logger Async Context - Child - should share the context with children and parents", () => {
+  const { logger, entries } = createMemoryLogger();
+  const child = logger.child({ component: "db" });
+
+  logger.runWithContext(
+    { requestId: "abc123" },
+    () => child.info("from child"),
+  );
+  child.runWithContext(
+    { requestId: "def456" },
+    () => logger.info("from parent"),
+  );
+
+  const [fromChild, fromParent] = entries();
+  assertEquals(fromChild.requestId, "abc123");
+  assertEquals(fromChild.component, "db");
+  assertEquals(fromParent.requestId, "def456");
+});
+
+Deno.test("Logger Async Context - Child - should let bound and argument fields replace context fields", () => {
+  const { logger, entries } = createMemoryLogger({ mergeObjects: true });
+  const child = logger.child({ step: "bound" });
+
+  logger.runWithContext({ requestId: "abc123", step: "context" }, () => {
+    child.info("bound");
+    child.info("argument", { step: "argument" });
+  });
+
+  const [bound, argument] = entries();
+  assertEquals(bound.step, "bound");
+  assertEquals(argument.step, "argument");
+  assertEquals(Object.keys(bound).slice(5, 7), ["requestId", "step"]);
+});
+
+Deno.test("Logger Async Context - Storage - should only hold the value while run is running", () => {
+  const context = createAsyncContext();
+
+  assertEquals(context.getStore(), undefined);
+  assertEquals(context.run("outer", () => context.getStore()), "outer");
+  assertEquals(context.getStore(), undefined);
+});
+
+Deno.test("Logger Async Context - Storage - should warn once when async_hooks can't be loaded", () => {
+  clearCapturedErrors();
+  // As on Node.js ES modules before 20.16, which have no way to load it
+  const { getBuiltinModule } = globalThis.process;
+  globalThis.process.getBuiltinModule = () => undefined;
+  try {
+    const first = createAsyncContext();
+    createAsyncContext();
+
+    assertEquals(first.run("outer", () => first.getStore()), "outer");
+    const errors = getCapturedErrors();
+    assertEquals(errors.length, 1);
+    assert(errors[0][0].includes("Use Node.js 20.16 or later"));
+  } finally {
+    globalThis.process.getBuiltinModule = getBuiltinModule;
+  }
+});
+
+Deno.test("Logger Async Context - Validation - should throw for invalid fields", () => {
+  const { logger } = createMemoryLogger();
+  assertThrows(
+    () => logger.runWithContext("abc123", () => {}),
+    Error,
+    "runWithContext() fields must be an object",
+  );
+  assertThrows(
+    () => logger.runWithContext({ time: 1 }, () => {}),
+    Error,
+    "Invalid context field: time. Reserved fields are: level, levelNumber, time, pid, hostname, msg, callerFile, callerLine",
+  );
+  assertThrows(
+    () => logger.runWithContext({}),
+    Error,
+    "runWithContext() requires a function to run",
+  );
+});
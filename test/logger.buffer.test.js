@@ -0,0 +1,234 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import {
+  clearCapturedLogs,
+  createMemoryTransport,
+  getCapturedLogs,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+// A memory transport that also keeps the batches it's given
+function createBatchTransport() {
+  const batches = [];
+  return {
+    ...createMemoryTransport(),
+    batches,
+    writeBatch(logLines) {
+      batches.push(logLines.map(({ formattedLog }) => formattedLog));
+    },
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+Deno.test("Logger Buffer - Buffering - should hold entries until flushed", async () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    format: "simple",
+    buffer: true,
+    transports: [transport],
+  });
+
+  logger.info("first");
+  logger.info("second");
+  assertEquals(transport.batches.length, 0);
+  assertEquals(logger.buffered.length, 2);
+
+  await logger.flush();
+  assertEquals(transport.batches.length, 1);
+  assertEquals(transport.batches[0].length, 2);
+  assert(transport.batches[0][0].includes("first"));
+  assert(transport.batches[0][1].includes("second"));
+  assertEquals(logger.buffered.length, 0);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Buffering - should flush automatically after flushInterval", async () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    buffer: { flushInterval: 10 },
+    transports: [transport],
+  });
+
+  logger.info("timed");
+  assertEquals(transport.batches.length, 0);
+
+  await delay(30);
+  assertEquals(transport.batches.length, 1);
+  assertEquals(JSON.parse(transport.batches[0][0]).msg, "timed");
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Buffering - should write console output in chunks", async () => {
+  clearCapturedLogs();
+  const logger = new Logger({ format: "simple", buffer: true });
+
+  logger.info("one");
+  logger.info("two");
+  logger.info("three");
+  await logger.flush();
+
+  const logs = getCapturedLogs();
+  assertEquals(logs.length, 1);
+  assertEquals(logs[0].split("\n").length, 3);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Buffering - should fall back to write() for transports without writeBatch", async () => {
+  const written = [];
+  const logger = new Logger({
+    buffer: true,
+    transports: [{ write: (_entry, line) => written.push(line) }],
+  });
+
+  logger.info("a");
+  logger.info("b");
+  assertEquals(written.length, 0);
+
+  await logger.flush();
+  assertEquals(written.length, 2);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Buffering - should write straight through when not buffering", () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({ transports: [transport] });
+  logger.info("immediate");
+
+  assertEquals(transport.written.length, 1);
+  assertEquals(logger.options.buffer, null);
+});
+
+Deno.test("Logger Buffer - Overflow - should drop the oldest entries with drop-oldest", async () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    buffer: { highWaterMark: 2, overflow: "drop-oldest" },
+    transports: [transport],
+  });
+
+  logger.info("1");
+  logger.info("2");
+  logger.info("3");
+  await logger.flush();
+
+  const messages = transport.batches[0].map((line) => JSON.parse(line).msg);
+  assertEquals(messages, ["2", "3"]);
+  assertEquals(logger.droppedCount, 1);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Overflow - should drop new entries with drop-newest", async () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    buffer: { highWaterMark: 2, overflow: "drop-newest" },
+    transports: [transport],
+  });
+
+  logger.info("1");
+  logger.info("2");
+  logger.info("3");
+  await logger.flush();
+
+  const messages = transport.batches[0].map((line) => JSON.parse(line).msg);
+  assertEquals(messages, ["1", "2"]);
+  assertEquals(logger.droppedCount, 1);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Overflow - should write the buffer out synchronously with block", async () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    buffer: { highWaterMark: 2, overflow: "block" },
+    transports: [transport],
+  });
+
+  logger.info("1");
+  logger.info("2");
+  logger.info("3");
+
+  // The full buffer was written before "3" was buffered
+  assertEquals(transport.batches.length, 1);
+  assertEquals(transport.batches[0].length, 2);
+  assertEquals(logger.buffered.length, 1);
+  assertEquals(logger.droppedCount, 0);
+  await logger.close();
+});
+
+Deno.test("Logger Buffer - Flush and Close - should wait for transports to flush", async () => {
+  let flushed = false;
+  const logger = new Logger({
+    transports: [{
+      write() {},
+      async flush() {
+        await delay(1);
+        flushed = true;
+      },
+    }],
+  });
+
+  await logger.flush();
+  assert(flushed);
+});
+
+Deno.test("Logger Buffer - Flush and Close - should flush and close transports on close", async () => {
+  const transport = createBatchTransport();
+  let closeCount = 0;
+  transport.close = () => {
+    closeCount++;
+  };
+  const logger = new Logger({ buffer: true, transports: [transport] });
+
+  logger.info("before close");
+  await logger.close();
+  await logger.close();
+
+  assertEquals(transport.batches.length, 1);
+  assertEquals(closeCount, 1);
+
+  // Entries logged after closing are discarded
+  logger.info("after close");
+  assertEquals(logger.buffered.length, 0);
+  assertEquals(transport.written.length, 0);
+});
+
+Deno.test("Logger Buffer - Flush and Close - should flush buffered entries on unload", () => {
+  const transport = createBatchTransport();
+  const logger = new Logger({
+    buffer: { flushInterval: 60000 },
+    transports: [transport],
+  });
+
+  logger.info("flushed on exit");
+  globalThis.dispatchEvent(new Event("unload"));
+
+  assertEquals(transport.batches.length, 1);
+  assertEquals(logger.flushTimer, undefined);
+});
+
+Deno.test("Logger Buffer - Validation - should throw for invalid buffer options", () => {
+  assertThrows(
+    () => new Logger({ buffer: "yes" }),
+    Error,
+    "buffer option must be a boolean or an object",
+  );
+  assertThrows(
+    () => new Logger({ buffer: { highWaterMark: 0 } }),
+    Error,
+    "buffer.highWaterMark must be a positive integer",
+  );
+  assertThrows(
+    () => new Logger({ buffer: { overflow: "drop-all" } }),
+    Error,
+    "Invalid buffer.overflow: drop-all. Valid policies are: drop-oldest, drop-newest, block",
+  );
+  assertThrows(
+    () => new Logger({ buffer: { flushInterval: -1 } }),
+    Error,
+    "buffer.flushInterval must be a non-negative number",
+  );
+});
@@ -4,10 +4,10 @@ import Logger from "../lib/logger.ts";
 Deno.test("Logger callerLevel - Caller Information Filtering - should include caller info for error when callerLevel is warn", () => {
   const logger = new Logger({ callerLevel: "warn" });
 
-  // Mock console.log to capture output
-  const originalLog = console.log;
+  // Mock console.error to capture output (error and warn go to stderr)
+  const originalError = console.error;
   let capturedOutput = "";
-  console.log = (message) => {
+  console.error = (message) => {
     capturedOutput = message;
   };
 
@@ -25,17 +25,17 @@ Deno.test("Logger callerLevel - Caller Information Filtering - should include ca
       "Should include callerLine for error level",
     );
   } finally {
-    console.log = originalLog;
+    console.error = originalError;
   }
 });
 
 Deno.test("Logger callerLevel - Caller Information Filtering - should include caller info for warn when callerLevel is warn", () => {
   const logger = new Logger({ callerLevel: "warn" });
 
-  // Mock console.log to capture output
-  const originalLog = console.log;
+  // Mock console.error to capture output (error and warn go to stderr)
+  const originalError = console.error;
   let capturedOutput = "";
-  console.log = (message) => {
+  console.error = (message) => {
     capturedOutput = message;
   };
 
@@ -53,7 +53,7 @@ Deno.test("Logger callerLevel - Caller Information Filtering - should include ca
       "Should include callerLine for warn level",
     );
   } finally {
-    console.log = originalLog;
+    console.error = originalError;
   }
 });
 
@@ -120,10 +120,11 @@ Deno.test("Logger callerLevel - Caller Information Filtering - should NOT includ
 Deno.test("Logger callerLevel - Caller Information Filtering - should include caller info for all levels when callerLevel is debug", () => {
   const logger = new Logger({ callerLevel: "debug", level: "debug" });
 
-  // Mock console.log to capture output
+  // Mock console.log and console.error to capture output on both streams
   const originalLog = console.log;
+  const originalError = console.error;
   let capturedOutput = "";
-  console.log = (message) => {
+  console.log = console.error = (message) => {
     capturedOutput = message;
   };
 
@@ -145,16 +146,18 @@ Deno.test("Logger callerLevel - Caller Information Filtering - should include ca
     }
   } finally {
     console.log = originalLog;
+    console.error = originalError;
   }
 });
 
 Deno.test("Logger callerLevel - Caller Information Filtering - should NOT include caller info for any level when callerLevel is silent", () => {
   const logger = new Logger({ callerLevel: "silent", level: "debug" });
 
-  // Mock console.log to capture output
+  // Mock console.log and console.error to capture output on both streams
   const originalLog = console.log;
+  const originalError = console.error;
   let capturedOutput = "";
-  console.log = (message) => {
+  console.log = console.error = (message) => {
     capturedOutput = message;
   };
 
@@ -178,6 +181,7 @@ Deno.test("Logger callerLevel - Caller Information Filtering - should NOT includ
     }
   } finally {
     console.log = originalLog;
+    console.error = originalError;
   }
 });
 
@@ -281,9 +285,9 @@ Deno.test("Logger callerLevel - Performance Considerations - should call getCall
     return originalGetCallerInfo.call(this);
   };
 
-  // Mock console.log to prevent actual output
-  const originalLog = console.log;
-  console.log = () => {};
+  // Mock console.error to prevent actual output (errors go to stderr)
+  const originalError = console.error;
+  console.error = () => {};
 
   try {
     logger.error("test message");
@@ -293,6 +297,6 @@ Deno.test("Logger callerLevel - Performance Considerations - should call getCall
       "getCallerInfo should be called for error level when callerLevel is warn",
     );
   } finally {
-    console.log = originalLog;
+    console.error = originalError;
   }
 });
@@ -0,0 +1,194 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import {
+  createMemoryTransport,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Child - Fields - should add bound fields to every entry", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const child = logger.child({ requestId: "abc123", userId: 42 });
+
+  child.info("Request started");
+  child.warn("Slow request");
+
+  const [first, second] = transport.written.map((line) => JSON.parse(line));
+  assertEquals(first.requestId, "abc123");
+  assertEquals(first.userId, 42);
+  assertEquals(first.msg, "Request started");
+  assertEquals(second.requestId, "abc123");
+  assertEquals(Object.keys(first), [
+    "level",
+    "levelNumber",
+    "time",
+    "pid",
+    "hostname",
+    "requestId",
+    "userId",
+    "msg",
+  ]);
+});
+
+Deno.test("Logger Child - Fields - should not add fields to the parent's entries", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  logger.child({ requestId: "abc123" });
+
+  logger.info("From the parent");
+
+  assertEquals(JSON.parse(transport.written[0]).requestId, undefined);
+});
+
+Deno.test("Logger Child - Fields - should merge fields from nested children", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const child = logger.child({ requestId: "abc123", step: "auth" });
+  const grandchild = child.child({ step: "query", table: "users" });
+
+  grandchild.info("Querying");
+
+  const entry = JSON.parse(transport.written[0]);
+  assertEquals(entry.requestId, "abc123");
+  assertEquals(entry.step, "query");
+  assertEquals(entry.table, "users");
+  assertEquals(child.bindings, { requestId: "abc123", step: "auth" });
+});
+
+Deno.test("Logger Child - Options - should follow the parent's level unless overridden", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const following = logger.child({ name: "following" });
+  const verbose = logger.child({ name: "verbose" }, { level: "debug" });
+
+  following.debug("hidden");
+  verbose.debug("shown");
+  logger.level("debug");
+  following.debug("now shown");
+  verbose.level("error");
+  verbose.info("hidden again");
+
+  assertEquals(
+    transport.written.map((line) => JSON.parse(line).msg),
+    ["shown", "now shown"],
+  );
+  assertEquals(logger.level(), "debug");
+});
+
+Deno.test("Logger Child - Options - should render in the child's format", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const child = logger.child({ requestId: "abc123" }, { format: "simple" });
+
+  child.info("hello");
+  logger.info("hello");
+
+  assert(transport.written[0].includes("[INFO ] hello"));
+  assertEquals(JSON.parse(transport.written[1]).msg, "hello");
+});
+
+Deno.test("Logger Child - Options - should include caller info from the child's callerLevel", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const child = logger.child({}, { callerLevel: "info" });
+
+  child.info("with caller");
+
+  const entry = JSON.parse(transport.written[0]);
+  assert(entry.callerFile.endsWith("logger.child.test.js"));
+  assert(entry.callerLine > 0);
+});
+
+Deno.test("Logger Child - Sharing - should share the parent's buffer", async () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ buffer: true, transports: [transport] });
+  const child = logger.child({ requestId: "abc123" }, { format: "simple" });
+
+  logger.info("one");
+  child.info("two");
+  assertEquals(logger.buffered.length, 2);
+  assertEquals(transport.written.length, 0);
+
+  await child.flush();
+
+  assertEquals(transport.written.length, 2);
+  assertEquals(JSON.parse(transport.written[0]).msg, "one");
+  assert(transport.written[1].includes("[INFO ] two"));
+  await logger.close();
+});
+
+Deno.test("Logger Child - Sharing - should share the parent's recent entries", () => {
+  const logger = new Logger({ recent: true, transports: [] });
+  const child = logger.child({ requestId: "abc123" });
+
+  child.debug("captured");
+
+  const [logEntry] = logger.recent();
+  assertEquals(logEntry.msg, "captured");
+  assertEquals(logEntry.requestId, "abc123");
+});
+
+Deno.test("Logger Child - Sharing - should stop logging when the parent is closed", async () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const child = logger.child({ requestId: "abc123" });
+
+  await logger.close();
+  child.info("discarded");
+
+  assertEquals(transport.written.length, 0);
+});
+
+Deno.test("Logger Child - Sharing - should close the parent when closed", async () => {
+  let closed = false;
+  const logger = new Logger({
+    transports: [{
+      write() {},
+      close() {
+        closed = true;
+      },
+    }],
+  });
+
+  await logger.child({ requestId: "abc123" }).close();
+
+  assertEquals(closed, true);
+  assertEquals(logger.closed, true);
+});
+
+Deno.test("Logger Child - Validation - should throw for invalid fields and options", () => {
+  const logger = new Logger({ transports: [] });
+  assertThrows(
+    () => logger.child("abc123"),
+    Error,
+    "child() bindings must be an object",
+  );
+  assertThrows(
+    () => logger.child(["abc123"]),
+    Error,
+    "child() bindings must be an object",
+  );
+  assertThrows(
+    () => logger.child({ msg: "replaced" }),
+    Error,
+    "Invalid child field: msg. Reserved fields are: level, levelNumber, time, pid, hostname, msg, callerFile, callerLine",
+  );
+  assertThrows(
+    () => logger.child({}, { transports: [] }),
+    Error,
+    "Invalid child option: transports. Valid child options are: level, format, time, callerLevel",
+  );
+  assertThrows(
+    () => logger.child({}, { level: "verbose" }),
+    Error,
+    "Invalid log level: verbose",
+  );
+  assertThrows(
+    () => logger.child({}, { format: "xml" }),
+    Error,
+    "Invalid format: xml",
+  );
+});
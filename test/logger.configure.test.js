@@ -0,0 +1,164 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import {
+  clearCapturedLogs,
+  createMemoryLogger,
+  getCapturedLogs,
+  restoreTTY,
+  setTTYMode,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Configure - Options - should change options after creation", () => {
+  const { logger, lines } = createMemoryLogger();
+
+  logger.configure({ format: "simple", time: "long", callerLevel: "silent" });
+  logger.info("Started");
+
+  assert(/^\[\d{4}-\d{2}-\d{2}T[\d:.]+Z\] \[INFO \] Started$/.test(lines()[0]));
+});
+
+Deno.test("Logger Configure - Options - should return the previous values for restoring them", () => {
+  const { logger, lines } = createMemoryLogger({ level: "warn" });
+
+  const previous = logger.configure({ level: "debug", format: "simple" });
+  logger.debug("while debugging");
+  const restored = logger.configure(previous);
+  logger.debug("hidden");
+  logger.warn("after");
+
+  assertEquals(previous, { level: "warn", format: "json" });
+  assertEquals(restored, { level: "debug", format: "simple" });
+  assertEquals(lines().length, 2);
+  assertEquals(JSON.parse(lines()[1]).msg, "after");
+});
+
+Deno.test("Logger Configure - Options - should merge colours and streams into the current ones", () => {
+  const { logger } = createMemoryLogger({ colours: { info: "\x1b[32m" } });
+
+  const previous = logger.configure({
+    colours: { debug: "\x1b[90m" },
+    streams: { info: "stderr" },
+  });
+
+  assertEquals(logger.options.colours.info, "\x1b[32m");
+  assertEquals(logger.options.colours.debug, "\x1b[90m");
+  assertEquals(logger.options.streams.info, "stderr");
+  assertEquals(logger.options.streams.error, "stderr");
+  assertEquals(previous.colours.debug, "\x1b[37m");
+  assertEquals(previous.streams.info, undefined);
+});
+
+Deno.test("Logger Configure - Options - should change file levels", () => {
+  const { logger, lines } = createMemoryLogger();
+
+  const previous = logger.configure({ fileLevels: { "test/**": "debug" } });
+  logger.debug("shown");
+  logger.configure(previous);
+  logger.debug("hidden");
+
+  assertEquals(previous, { fileLevels: {} });
+  assertEquals(lines().map((line) => JSON.parse(line).msg), ["shown"]);
+});
+
+Deno.test("Logger Configure - Options - should accept custom levels", () => {
+  const { logger, lines } = createMemoryLogger({ levels: { trace: 4 } });
+
+  logger.configure({ level: "trace" });
+  logger.trace("traced");
+
+  assertEquals(lines().length, 1);
+});
+
+Deno.test("Logger Configure - Validation - should apply nothing when an option is invalid", () => {
+  const { logger } = createMemoryLogger();
+
+  assertThrows(
+    () => logger.configure({ format: "simple", level: "verbose" }),
+    Error,
+    "Invalid log level: verbose",
+  );
+  assertEquals(logger.options.format, "json");
+  assertEquals(logger.options.level, "info");
+});
+
+Deno.test("Logger Configure - Validation - should reject options that can't be changed", () => {
+  const { logger } = createMemoryLogger();
+
+  assertThrows(
+    () => logger.configure({ transports: [] }),
+    Error,
+    "Invalid configure option: transports. Valid configure options are: level, format, time, callerLevel, colours, streams, fileLevels",
+  );
+  assertThrows(
+    () => logger.child({}).configure({ colours: {} }),
+    Error,
+    "Invalid configure option: colours. Valid options for a child logger are: level, format, time, callerLevel",
+  );
+  assertThrows(
+    () => logger.configure(null),
+    Error,
+    "configure() options must be an object",
+  );
+});
+
+Deno.test("Logger Configure - Children - should be followed by children that don't set the option", () => {
+  const { logger, lines } = createMemoryLogger();
+  const child = logger.child({ requestId: 1 });
+  const ownFormat = logger.child({}, { format: "json" });
+
+  logger.configure({ format: "simple", callerLevel: "silent" });
+  child.info("child");
+  ownFormat.info("own");
+  child.configure({ format: "json" });
+  child.info("configured");
+
+  assert(lines()[0].endsWith("child requestId=1"));
+  assertEquals(JSON.parse(lines()[1]).msg, "own");
+  assertEquals(JSON.parse(lines()[2]).msg, "configured");
+  assertEquals(logger.options.format, "simple");
+});
+
+Deno.test("Logger Configure - Console - should check for a terminal again", () => {
+  setTTYMode(false);
+  try {
+    clearCapturedLogs();
+    const logger = new Logger({ format: "simple" });
+    logger.info("plain");
+
+    setTTYMode(true);
+    logger.configure({ colours: { info: "\x1b[32m" } });
+    logger.info("coloured");
+
+    const [plain, coloured] = getCapturedLogs();
+    assert(!plain.includes("\x1b["));
+    assert(coloured.startsWith("\x1b[32m"));
+  } finally {
+    restoreTTY();
+  }
+});
+
+Deno.test("Logger Configure - Worker - should change the format on the worker", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const module = new URL("./helpers/worker-outputs.js", import.meta.url);
+  module.searchParams.set("path", path);
+  module.searchParams.set("format", "logger");
+  const logger = new Logger({ callerLevel: "silent", worker: { module } });
+
+  try {
+    logger.info("before");
+    logger.configure({ format: "simple" });
+    logger.info("after");
+    await logger.close();
+
+    const [before, after] = Deno.readTextFileSync(path).trim().split("\n");
+    assertEquals(JSON.parse(before).msg, "before");
+    assert(after.endsWith("[INFO ] after"));
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
@@ -17,7 +17,7 @@ Deno.test("Logger Constructor - should throw error for invalid format", () => {
       new Logger({ format: "invalid" });
     },
     Error,
-    "Invalid format: invalid. Valid formats are: json, simple",
+    "Invalid format: invalid. Valid formats are: json, simple, syslog",
   );
 });
 
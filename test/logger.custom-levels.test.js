@@ -0,0 +1,198 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { ConsoleTransport } from "../lib/logger.ts";
+import { createSyslogFormatter } from "../lib/syslog.ts";
+import {
+  clearCapturedErrors,
+  clearCapturedLogs,
+  createMemoryLogger,
+  getCapturedErrors,
+  getCapturedLogs,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+const levels = { fatal: 0, notice: 2, trace: 4 };
+
+function createLogger(options = {}) {
+  return createMemoryLogger({ levels, ...options });
+}
+
+Deno.test("Logger Custom Levels - Methods - should add a log method for each custom level", () => {
+  const { logger, entries } = createLogger({ level: "trace" });
+
+  logger.trace("Entering %s", "handler");
+  logger.notice("Config reloaded");
+  logger.fatal("Out of memory");
+
+  assertEquals(
+    entries().map(({ level, levelNumber, msg }) => [level, levelNumber, msg]),
+    [
+      ["trace", 4, "Entering handler"],
+      ["notice", 2, "Config reloaded"],
+      ["fatal", 0, "Out of memory"],
+    ],
+  );
+  assertEquals("trace" in new Logger(), false);
+});
+
+Deno.test("Logger Custom Levels - Methods - should filter custom levels by number", () => {
+  const { logger, entries } = createLogger();
+
+  logger.trace("hidden");
+  logger.notice("shown");
+  logger.level("warn");
+  logger.notice("hidden");
+  logger.fatal("shown");
+
+  assertEquals(entries().map(({ level }) => level), ["notice", "fatal"]);
+});
+
+Deno.test("Logger Custom Levels - Methods - should be available on child and namespaced loggers", () => {
+  const { logger, entries } = createLogger();
+
+  logger.child({ requestId: 1 }, { level: "trace" }).trace("child");
+  logger.namespace("db").fatal("namespaced");
+
+  const [child, namespaced] = entries();
+  assertEquals([child.msg, child.requestId], ["child", 1]);
+  assertEquals([namespaced.msg, namespaced.name], ["namespaced", "db"]);
+});
+
+Deno.test("Logger Custom Levels - Methods - should not replace the logger's own members", () => {
+  const { logger, entries } = createLogger({ levels: { close: 2, name: 2 } });
+
+  assertEquals(logger.name, undefined);
+  logger.log("close", "logged with log()");
+
+  assertEquals(entries()[0].level, "close");
+});
+
+Deno.test("Logger Custom Levels - Options - should accept custom levels wherever a level is used", () => {
+  const { logger, entries } = createLogger({
+    level: "notice",
+    callerLevel: "fatal",
+    recent: { level: "trace" },
+    outputs: [{ transport: { write() {} }, level: "trace" }],
+  });
+
+  logger.trace("kept");
+  logger.fatal("with caller");
+
+  assertEquals(entries().length, 1);
+  assert(entries()[0].callerFile);
+  assertEquals(logger.recent({ level: "notice" }).map(({ msg }) => msg), [
+    "with caller",
+  ]);
+  assertEquals(logger.recent().length, 2);
+  assertEquals(logger.level("trace"), "trace");
+  logger.readable({ level: "trace" }).cancel();
+});
+
+Deno.test("Logger Custom Levels - Options - should list custom levels when a level is invalid", () => {
+  assertThrows(
+    () => new Logger({ levels, level: "verbose" }),
+    Error,
+    "Invalid log level: verbose. Valid levels are: silent, error, warn, info, debug, fatal, notice, trace",
+  );
+  assertThrows(
+    () => new Logger({ levels, recent: { level: "verbose" } }),
+    Error,
+    "Invalid recent.level: verbose",
+  );
+  assertThrows(
+    () => new Logger({ level: "trace" }),
+    Error,
+    "Invalid log level: trace",
+  );
+  assertThrows(
+    () => createLogger().logger.child({}, { level: "verbose" }),
+    Error,
+    "Invalid log level: verbose",
+  );
+});
+
+Deno.test("Logger Custom Levels - Options - should read custom levels from the environment", () => {
+  Deno.env.set("CUSTOM_LOG_LEVEL", "trace");
+  try {
+    const logger = Logger.fromEnv("CUSTOM_LOG_", { levels });
+    assertEquals(logger.level(), "trace");
+    assertThrows(
+      () => Logger.fromEnv("CUSTOM_LOG_"),
+      Error,
+      "Invalid CUSTOM_LOG_LEVEL environment variable: Invalid log level: trace",
+    );
+  } finally {
+    Deno.env.delete("CUSTOM_LOG_LEVEL");
+  }
+});
+
+Deno.test("Logger Custom Levels - Simple Format - should pad levels to the longest name", () => {
+  const { logger, lines } = createLogger({
+    format: "simple",
+    levels: { critical: 0 },
+    callerLevel: "silent",
+  });
+
+  logger.critical("Disk failed");
+  logger.info("Started");
+  logger.child({}, { level: "debug" }).debug("From a child");
+
+  assert(lines()[0].includes("[CRITICAL] Disk failed"));
+  assert(lines()[1].includes("[INFO    ] Started"));
+  assert(lines()[2].includes("[DEBUG   ] From a child"));
+});
+
+Deno.test("Logger Custom Levels - Console - should colour custom levels and route severe ones to stderr", () => {
+  clearCapturedLogs();
+  clearCapturedErrors();
+  const logger = new Logger({
+    levels: { fatal: 0, audit: 1, trace: 4 },
+    level: "trace",
+    format: "simple",
+    outputs: [{ colour: true }],
+  });
+
+  logger.fatal("fatal");
+  logger.audit("audit");
+  logger.trace("trace");
+
+  const [fatal, audit] = getCapturedErrors().map(([line]) => line);
+  const [trace] = getCapturedLogs();
+  assert(fatal.startsWith("\x1b[35m"));
+  // Coloured like warn, the nearest built-in level above it
+  assert(audit.startsWith("\x1b[33m"));
+  assert(trace.startsWith("\x1b[90m"));
+  assertEquals(logger.options.streams.trace, undefined);
+});
+
+Deno.test("Logger Custom Levels - Console - should let colours and streams options override the defaults", () => {
+  const logger = new Logger({
+    levels,
+    colours: { trace: "\x1b[32m" },
+    streams: { fatal: "stdout" },
+  });
+
+  assertEquals(logger.options.colours.trace, "\x1b[32m");
+  assertEquals(logger.options.colours.notice, "\x1b[36m");
+  assertEquals(logger.options.streams.fatal, "stdout");
+  assertEquals(new ConsoleTransport().colours.fatal, "\x1b[35m");
+});
+
+Deno.test("Logger Custom Levels - Syslog - should map common custom levels to severities", () => {
+  const format = createSyslogFormatter({ appName: "app" });
+  const entry = (level) => ({
+    level,
+    levelNumber: 0,
+    time: "2024-01-15 10:30",
+    pid: 1,
+    hostname: "host",
+    msg: "m",
+  });
+
+  assert(format(entry("fatal")).startsWith("<10>"));
+  assert(format(entry("notice")).startsWith("<13>"));
+  assert(format(entry("trace")).startsWith("<15>"));
+  assert(format(entry("audit")).startsWith("<14>"));
+});
@@ -0,0 +1,163 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { createEcsFormatter, ecsVersion } from "../lib/ecs.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  const { logger, lines, entries } = createMemoryLogger({
+    format: "ecs",
+    mergeObjects: true,
+    callerLevel: "silent",
+    ...options,
+  });
+  return { logger, lines, documents: entries };
+}
+
+Deno.test("Logger ECS - Fields - should map the logger's fields to ECS names", () => {
+  const { logger, documents } = createLogger({ time: "long" });
+
+  logger.info("User logged in", { user: { name: "alice" } });
+
+  const [document] = documents();
+  assert(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(document["@timestamp"]));
+  assertEquals(document["log.level"], "info");
+  assertEquals(document.message, "User logged in");
+  assertEquals(document["ecs.version"], ecsVersion);
+  assertEquals(typeof document.process.pid, "number");
+  assertEquals(typeof document.host.hostname, "string");
+  assertEquals(document.user, { name: "alice" });
+  for (const field of ["level", "levelNumber", "time", "pid", "hostname"]) {
+    assertEquals(field in document, false);
+  }
+});
+
+Deno.test("Logger ECS - Fields - should write the required fields first", () => {
+  const { logger, lines } = createLogger();
+
+  logger.info("ordered", { a: 1 });
+
+  assertEquals(Object.keys(JSON.parse(lines()[0])).slice(0, 5), [
+    "@timestamp",
+    "log.level",
+    "message",
+    "ecs.version",
+    "a",
+  ]);
+});
+
+Deno.test("Logger ECS - Fields - should use the entry's own time for long timestamps", () => {
+  const format = createEcsFormatter();
+
+  const document = JSON.parse(format({
+    level: "warn",
+    levelNumber: 1,
+    time: "2024-01-15T10:30:00.000Z",
+    pid: 1,
+    hostname: "host",
+    msg: "m",
+  }));
+
+  assertEquals(document["@timestamp"], "2024-01-15T10:30:00.000Z");
+  assertEquals(document.process, { pid: 1 });
+  assertEquals(document.host, { hostname: "host" });
+});
+
+Deno.test("Logger ECS - Fields - should write caller info and namespaces under log", () => {
+  const { logger, documents } = createLogger({ callerLevel: "info" });
+
+  logger.namespace("db").info("Connected");
+  logger.configure({ callerLevel: "silent" });
+  logger.info("plain");
+
+  const [namespaced, plain] = documents();
+  assertEquals(namespaced.log.logger, "db");
+  assert(namespaced.log.origin.file.name.endsWith("logger.ecs.test.js"));
+  assertEquals(typeof namespaced.log.origin.file.line, "number");
+  assertEquals("log" in plain, false);
+});
+
+Deno.test("Logger ECS - Errors - should nest error fields under error", () => {
+  const { logger, documents } = createLogger();
+  const error = new TypeError("Bad input", {
+    cause: new Error("Parse failed"),
+  });
+  error.code = "E_INPUT";
+
+  logger.error("Request failed", error);
+
+  const [document] = documents();
+  assertEquals(document.error.type, "TypeError");
+  assertEquals(document.error.message, "Bad input");
+  assertEquals(document.error.code, "E_INPUT");
+  assert(document.error.stack_trace.startsWith("TypeError: Bad input\n"));
+  assert(document.error.stack_trace.includes("Caused by: Error: Parse failed"));
+  assertEquals("err" in document, false);
+});
+
+Deno.test("Logger ECS - Fields - should keep fields ECS has nothing for, and merge into objects", () => {
+  const { logger, documents } = createLogger();
+
+  logger.info("Retried", {
+    error: "timeout",
+    service: "payments",
+    log: { file: { path: "/var/log/app.log" } },
+    host: { ip: "10.0.0.1" },
+  });
+
+  const [document] = documents();
+  assertEquals(document.error, "timeout");
+  assertEquals(document.service, "payments");
+  assertEquals(document.log, { file: { path: "/var/log/app.log" } });
+  assertEquals(document.host.ip, "10.0.0.1");
+  assertEquals(typeof document.host.hostname, "string");
+});
+
+Deno.test("Logger ECS - Fields - should merge ECS fields into the entry's own objects", () => {
+  const { logger, documents } = createLogger({
+    callerLevel: "error",
+    ecs: { serviceName: "billing" },
+  });
+
+  logger.error("Failed", new Error("boom"), {
+    error: { id: "E42" },
+    service: { environment: "staging", name: "ignored" },
+  });
+
+  const [document] = documents();
+  assertEquals(document.error.id, "E42");
+  assertEquals(document.error.message, "boom");
+  assertEquals(document.service, { environment: "staging", name: "billing" });
+});
+
+Deno.test("Logger ECS - Service - should add the service name and version", () => {
+  const { logger, documents } = createLogger({
+    ecs: { serviceName: "billing", serviceVersion: "1.4.2" },
+  });
+
+  logger.info("Started");
+
+  assertEquals(documents()[0].service, { name: "billing", version: "1.4.2" });
+  assertEquals(
+    "service" in JSON.parse(createEcsFormatter()({ msg: "" })),
+    false,
+  );
+});
+
+Deno.test("Logger ECS - Validation - should throw for invalid options", () => {
+  assertThrows(
+    () => new Logger({ ecs: "billing" }),
+    Error,
+    "ecs option must be an object",
+  );
+  assertThrows(
+    () => new Logger({ ecs: { serviceVersion: 2 } }),
+    Error,
+    "ecs serviceVersion must be a string",
+  );
+});
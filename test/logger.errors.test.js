@@ -0,0 +1,160 @@
+import { assert, assertEquals } from "@std/assert";
+import { serializeError } from "../lib/serialize-error.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Errors - Arguments - should serialize a trailing Error into err", () => {
+  const { logger, entries } = createMemoryLogger();
+  const error = new TypeError("Query failed");
+
+  logger.error("DB failed", error);
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "DB failed");
+  assertEquals(entry.err.name, "TypeError");
+  assertEquals(entry.err.message, "Query failed");
+  assertEquals(entry.err.stack, error.stack);
+});
+
+Deno.test("Logger Errors - Arguments - should use a leading Error's message when there is no other", () => {
+  const { logger, entries } = createMemoryLogger();
+
+  logger.error(new Error("Query failed"));
+  logger.error(new Error("Query failed"), "Retrying %s", "users_db");
+
+  const [first, second] = entries();
+  assertEquals(first.msg, "Query failed");
+  assertEquals(first.err.message, "Query failed");
+  assertEquals(second.msg, "Retrying users_db");
+  assertEquals(second.err.message, "Query failed");
+});
+
+Deno.test("Logger Errors - Arguments - should leave Errors used by the format string in the message", () => {
+  const { logger, entries } = createMemoryLogger();
+
+  logger.error("Failed: %s", new Error("boom"));
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "Failed: Error: boom");
+  assertEquals(entry.err, undefined);
+});
+
+Deno.test("Logger Errors - Arguments - should serialize Errors in merged fields", () => {
+  const { logger, entries } = createMemoryLogger({ mergeObjects: true });
+
+  logger.error({ err: new Error("boom"), attempt: 2 }, "Upload failed");
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "Upload failed");
+  assertEquals(entry.err.message, "boom");
+  assertEquals(entry.attempt, 2);
+});
+
+Deno.test("Logger Errors - Serialize - should include code and own enumerable properties", () => {
+  const error = Object.assign(new Error("connect failed"), {
+    code: "ECONNREFUSED",
+    port: 5432,
+    inner: new RangeError("bad port"),
+  });
+
+  const serialized = serializeError(error);
+
+  assertEquals(serialized.code, "ECONNREFUSED");
+  assertEquals(serialized.port, 5432);
+  assertEquals(serialized.inner.name, "RangeError");
+  assertEquals(Object.keys(serialized).slice(0, 4), [
+    "name",
+    "message",
+    "stack",
+    "code",
+  ]);
+});
+
+Deno.test("Logger Errors - Serialize - should follow the cause chain", () => {
+  const root = new Error("socket hang up");
+  const error = new Error("Query failed", {
+    cause: new Error("Connection lost", { cause: root }),
+  });
+
+  const serialized = serializeError(error);
+
+  assertEquals(serialized.cause.message, "Connection lost");
+  assertEquals(serialized.cause.cause.message, "socket hang up");
+  assertEquals(
+    serializeError(new Error("x", { cause: "timeout" })).cause,
+    "timeout",
+  );
+});
+
+Deno.test("Logger Errors - Serialize - should include AggregateError errors", () => {
+  const error = new AggregateError(
+    [new Error("first"), new TypeError("second"), "third"],
+    "All failed",
+  );
+
+  const serialized = serializeError(error);
+
+  assertEquals(serialized.name, "AggregateError");
+  assertEquals(serialized.errors.length, 3);
+  assertEquals(serialized.errors[0].message, "first");
+  assertEquals(serialized.errors[1].name, "TypeError");
+  assertEquals(serialized.errors[2], "third");
+});
+
+Deno.test("Logger Errors - Serialize - should replace circular causes", () => {
+  const error = new Error("outer");
+  const inner = new Error("inner", { cause: error });
+  error.cause = inner;
+
+  const serialized = serializeError(error);
+
+  assertEquals(serialized.cause.message, "inner");
+  assertEquals(serialized.cause.cause, "[Circular]");
+  assert(JSON.stringify(serialized));
+});
+
+Deno.test("Logger Errors - Simple - should print the stack indented under the line", () => {
+  const { logger, lines } = createMemoryLogger({ format: "simple" });
+  const error = new Error("Query failed", {
+    cause: new Error("socket hang up"),
+  });
+
+  logger.error("DB failed", error);
+
+  const [first, ...rest] = lines()[0].split("\n");
+  assert(first.endsWith("DB failed"));
+  assertEquals(rest[0], "    Error: Query failed");
+  assert(rest.slice(1).every((line) => line.startsWith("    ")));
+  assert(rest.includes("    Caused by: Error: socket hang up"));
+});
+
+Deno.test("Logger Errors - Simple - should print aggregated errors numbered and indented", () => {
+  const { logger, lines } = createMemoryLogger({ format: "simple" });
+  const error = new AggregateError([new Error("first"), "second"], "failed");
+  error.stack = "AggregateError: failed";
+  error.errors[0].stack = "Error: first\n    at task (app.ts:1:1)";
+
+  logger.error(error);
+
+  assertEquals(lines()[0].split("\n").slice(1), [
+    "    AggregateError: failed",
+    "      [0] Error: first",
+    "          at task (app.ts:1:1)",
+    "      [1] second",
+  ]);
+});
+
+Deno.test("Logger Errors - Simple - should fall back to name and message without a stack", () => {
+  const { logger, lines } = createMemoryLogger({ format: "simple" });
+  const error = new Error("no stack");
+  error.stack = undefined;
+
+  logger.error("Failed", error);
+
+  assertEquals(lines()[0].split("\n")[1], "    Error: no stack");
+});
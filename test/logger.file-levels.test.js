@@ -0,0 +1,173 @@
+import { assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { FileLevels } from "../lib/file-levels.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+// Counts the stack traces taken for caller info
+function countCallerLookups(logger) {
+  const counter = { count: 0 };
+  const getCallerInfo = logger.getCallerInfo;
+  logger.getCallerInfo = function () {
+    counter.count++;
+    return getCallerInfo.call(this);
+  };
+  return counter;
+}
+
+Deno.test("Logger File Levels - Rules - should raise the level for matching files", () => {
+  const { logger, entries } = createMemoryLogger({
+    fileLevels: { "test/**": "debug" },
+  });
+
+  logger.debug("shown");
+
+  assertEquals(entries().map(({ msg }) => msg), ["shown"]);
+  assertEquals("callerFile" in entries()[0], false);
+});
+
+Deno.test("Logger File Levels - Rules - should lower the level for matching files", () => {
+  const { logger, entries } = createMemoryLogger({
+    fileLevels: { "logger.file-levels.test.js": "error" },
+  });
+
+  logger.warn("hidden");
+  logger.error("shown");
+
+  assertEquals(entries().map(({ msg }) => msg), ["shown"]);
+});
+
+Deno.test("Logger File Levels - Rules - should leave other files at the logger's level", () => {
+  const { logger, entries } = createMemoryLogger({
+    fileLevels: { "src/db/**": "debug", "vendor/**": "silent" },
+  });
+
+  logger.debug("hidden");
+  logger.info("shown");
+
+  assertEquals(entries().map(({ msg }) => msg), ["shown"]);
+});
+
+Deno.test("Logger File Levels - Rules - should use the longest matching pattern", () => {
+  const { logger, entries } = createMemoryLogger({
+    fileLevels: {
+      "test/*.test.js": "debug",
+      "**": "error",
+    },
+  });
+
+  logger.debug("shown");
+
+  assertEquals(entries().map(({ msg }) => msg), ["shown"]);
+});
+
+Deno.test("Logger File Levels - Outputs - should only replace the level of outputs that follow the logger's", () => {
+  const followed = [];
+  const own = [];
+  const logger = new Logger({
+    fileLevels: { "test/**": "debug" },
+    outputs: [
+      { transport: { write: (logEntry) => followed.push(logEntry.msg) } },
+      {
+        transport: { write: (logEntry) => own.push(logEntry.msg) },
+        level: "info",
+      },
+    ],
+  });
+
+  logger.debug("debug");
+  logger.info("info");
+
+  assertEquals(followed, ["debug", "info"]);
+  assertEquals(own, ["info"]);
+});
+
+Deno.test("Logger File Levels - Outputs - should apply to child and namespaced loggers", () => {
+  const { logger, entries } = createMemoryLogger({
+    fileLevels: { "test/**": "debug" },
+  });
+
+  logger.child({ requestId: 1 }).debug("child");
+  logger.namespace("db").debug("namespaced");
+
+  assertEquals(entries().map(({ msg }) => msg), ["child", "namespaced"]);
+});
+
+Deno.test("Logger File Levels - Caching - should only take a stack trace when a rule could decide", () => {
+  const { logger } = createMemoryLogger({
+    fileLevels: { "src/db/**": "debug" },
+  });
+  const lookups = countCallerLookups(logger);
+
+  logger.info("at or above every rule");
+  assertEquals(lookups.count, 0);
+
+  logger.debug("only a rule would log this");
+  assertEquals(lookups.count, 1);
+
+  logger.warn("with caller info");
+  assertEquals(lookups.count, 2);
+});
+
+Deno.test("Logger File Levels - Caching - should match each file against the patterns once", () => {
+  const fileLevels = new FileLevels({ "src/db/**": "debug" }, { debug: 3 });
+  let tests = 0;
+  const test = fileLevels.rules[0].regExp.test;
+  fileLevels.rules[0].regExp.test = function (file) {
+    tests++;
+    return test.call(this, file);
+  };
+
+  fileLevels.levelFor("file:///app/src/db/pool.ts");
+  fileLevels.levelFor("file:///app/src/db/pool.ts");
+  fileLevels.levelFor("file:///app/src/http.ts");
+  fileLevels.levelFor("file:///app/src/http.ts");
+
+  assertEquals(tests, 2);
+});
+
+Deno.test("Logger File Levels - Patterns - should match the end of paths and URLs", () => {
+  const fileLevels = new FileLevels({
+    "src/db/**": "debug",
+    "lib/*.ts": "info",
+    "/opt/vendor/**/client.js": "error",
+    "https://deno.land/x/**": "warn",
+    "handler?.ts": "silent",
+  }, { silent: -1, error: 0, warn: 1, info: 2, debug: 3 });
+
+  assertEquals(fileLevels.levelFor("file:///app/src/db/pool.ts"), 3);
+  assertEquals(fileLevels.levelFor("/app/src/db/deep/query.ts"), 3);
+  assertEquals(fileLevels.levelFor("/app/mysrc/db/pool.ts"), undefined);
+  assertEquals(fileLevels.levelFor("/app/lib/a.ts"), 2);
+  assertEquals(fileLevels.levelFor("/app/lib/sub/a.ts"), undefined);
+  assertEquals(fileLevels.levelFor("file:///opt/vendor/client.js"), 0);
+  assertEquals(fileLevels.levelFor("/opt/vendor/a/b/client.js"), 0);
+  assertEquals(fileLevels.levelFor("/app/opt/vendor/client.js"), undefined);
+  assertEquals(fileLevels.levelFor("https://deno.land/x/mod/a.ts"), 1);
+  assertEquals(fileLevels.levelFor("/app/handler1.ts"), -1);
+  assertEquals(fileLevels.levelFor("/app/handler.ts"), undefined);
+});
+
+Deno.test("Logger File Levels - Validation - should throw for invalid rules", () => {
+  assertThrows(
+    () => new Logger({ fileLevels: ["src/**"] }),
+    Error,
+    "fileLevels option must be an object",
+  );
+  assertThrows(
+    () => new Logger({ fileLevels: { "": "debug" } }),
+    Error,
+    "fileLevels patterns must be non-empty",
+  );
+  assertThrows(
+    () => new Logger({ fileLevels: { "src/**": "verbose" } }),
+    Error,
+    "Invalid level for fileLevels 'src/**': verbose. Valid levels are: silent, error, warn, info, debug",
+  );
+  new Logger({ levels: { trace: 4 }, fileLevels: { "src/**": "trace" } });
+});
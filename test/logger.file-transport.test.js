@@ -0,0 +1,304 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { FileTransport } from "../lib/logger.ts";
+
+function readLines(path) {
+  return Deno.readTextFileSync(path).split("\n").filter((line) => line !== "");
+}
+
+function exists(path) {
+  try {
+    Deno.statSync(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function gunzip(path) {
+  const stream = (await Deno.open(path)).readable.pipeThrough(
+    new DecompressionStream("gzip"),
+  );
+  return await new Response(stream).text();
+}
+
+Deno.test("Logger File Transport - Writing - should append NDJSON lines to the file", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path });
+  const logger = new Logger({ transports: [file] });
+
+  try {
+    logger.info("first %s", "line");
+    logger.warn("second line");
+
+    const lines = readLines(path).map((line) => JSON.parse(line));
+    assertEquals(lines.length, 2);
+    assertEquals(lines[0].msg, "first line");
+    assertEquals(lines[1].level, "warn");
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Writing - should append to an existing file", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  Deno.writeTextFileSync(path, "existing\n");
+  const file = new FileTransport({ path });
+
+  try {
+    new Logger({ format: "simple", transports: [file] }).info("appended");
+
+    const lines = readLines(path);
+    assertEquals(lines[0], "existing");
+    assert(lines[1].includes("[INFO ] appended"));
+    assertEquals(file.size, Deno.statSync(path).size);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Writing - should use its own formatter when given", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({
+    path,
+    formatter: (entry) => `${entry.level}: ${entry.msg}`,
+  });
+
+  try {
+    new Logger({ format: "json", transports: [file] }).info("custom");
+    assertEquals(readLines(path), ["info: custom"]);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Writing - should throw when writing after close", async () => {
+  const dir = Deno.makeTempDirSync();
+  const file = new FileTransport({ path: `${dir}/app.log` });
+  await file.close();
+
+  try {
+    assertThrows(
+      () => file.write({ level: "info" }, "line"),
+      Error,
+      "is closed",
+    );
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Size Rotation - should rotate before exceeding maxSize", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, maxSize: 20 });
+
+  try {
+    file.write({ level: "info" }, "first line");
+    file.write({ level: "info" }, "second line");
+    file.write({ level: "info" }, "third line");
+
+    assertEquals(readLines(path), ["third line"]);
+    assertEquals(readLines(`${path}.1`), ["second line"]);
+    assertEquals(readLines(`${path}.2`), ["first line"]);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Size Rotation - should keep at most maxFiles rotated files", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, maxSize: 10, maxFiles: 2 });
+
+  try {
+    for (let i = 1; i <= 5; i++) {
+      file.write({ level: "info" }, `line ${i}`);
+    }
+
+    assertEquals(readLines(path), ["line 5"]);
+    assertEquals(readLines(`${path}.1`), ["line 4"]);
+    assertEquals(readLines(`${path}.2`), ["line 3"]);
+    assert(!exists(`${path}.3`));
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Size Rotation - should discard the old file when maxFiles is 0", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, maxSize: 10, maxFiles: 0 });
+
+  try {
+    file.write({ level: "info" }, "line 1");
+    file.write({ level: "info" }, "line 2");
+
+    assertEquals(readLines(path), ["line 2"]);
+    assert(!exists(`${path}.1`));
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Size Rotation - should rotate within a batch", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({
+    path,
+    maxSize: 8,
+    formatter: (entry) => entry.msg,
+  });
+  const logger = new Logger({ buffer: true, transports: [file] });
+
+  try {
+    logger.info("one");
+    logger.info("two");
+    logger.info("three");
+    logger.info("four");
+    await logger.close();
+
+    assertEquals(readLines(`${path}.2`), ["one", "two"]);
+    assertEquals(readLines(`${path}.1`), ["three"]);
+    assertEquals(readLines(path), ["four"]);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Time Rotation - should rotate when the period changes", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, interval: "daily" });
+
+  try {
+    file.write({ level: "info" }, "yesterday");
+    // Pretend the current file was started on an earlier day
+    file.period = "2000-01-01";
+    file.write({ level: "info" }, "today");
+
+    assertEquals(readLines(`${path}.1`), ["yesterday"]);
+    assertEquals(readLines(path), ["today"]);
+    assertEquals(file.period, new Date().toISOString().slice(0, 10));
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Time Rotation - should track hourly periods", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, interval: "hourly" });
+
+  try {
+    file.write({ level: "info" }, "line");
+    assertEquals(file.period, new Date().toISOString().slice(0, 13));
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Compression - should gzip rotated files", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, maxSize: 10, compress: true });
+
+  try {
+    file.write({ level: "info" }, "line 1");
+    file.write({ level: "info" }, "line 2");
+    await file.compressing;
+
+    assert(!exists(`${path}.1`));
+    assertEquals(await gunzip(`${path}.1.gz`), "line 1\n");
+
+    // The next rotation shifts the compressed file along
+    file.write({ level: "info" }, "line 3");
+    await file.close();
+
+    assertEquals(await gunzip(`${path}.2.gz`), "line 1\n");
+    assertEquals(await gunzip(`${path}.1.gz`), "line 2\n");
+    assertEquals(readLines(path), ["line 3"]);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Compression - should rotate once the previous file is compressed", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const file = new FileTransport({ path, maxSize: 10, compress: true });
+
+  try {
+    file.write({ level: "info" }, "line 1");
+    file.write({ level: "info" }, "line 2");
+    // Due for rotation while line 1 is still being compressed
+    file.write({ level: "info" }, "line 3");
+    assertEquals(readLines(path), ["line 2", "line 3"]);
+
+    await file.compressing;
+    await file.close();
+
+    assertEquals(await gunzip(`${path}.2.gz`), "line 1\n");
+    assertEquals(await gunzip(`${path}.1.gz`), "line 2\nline 3\n");
+    assertEquals(readLines(path), []);
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Compression - should shift along a rotated file left uncompressed", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  Deno.writeTextFileSync(`${path}.1`, "leftover\n");
+  const file = new FileTransport({ path, maxSize: 10, compress: true });
+
+  try {
+    file.write({ level: "info" }, "line 1");
+    file.write({ level: "info" }, "line 2");
+    await file.close();
+
+    assertEquals(readLines(`${path}.2`), ["leftover"]);
+    assertEquals(await gunzip(`${path}.1.gz`), "line 1\n");
+    assert(!exists(`${path}.1`));
+  } finally {
+    await file.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger File Transport - Validation - should throw for invalid options", () => {
+  assertThrows(() => new FileTransport({}), Error, "path option is required");
+  assertThrows(
+    () => new FileTransport({ path: "app.log", maxSize: 0 }),
+    Error,
+    "maxSize option must be a positive integer",
+  );
+  assertThrows(
+    () => new FileTransport({ path: "app.log", interval: "weekly" }),
+    Error,
+    "Invalid interval: weekly. Valid intervals are: daily, hourly",
+  );
+  assertThrows(
+    () => new FileTransport({ path: "app.log", maxFiles: -1 }),
+    Error,
+    "maxFiles option must be a non-negative integer",
+  );
+  assertThrows(
+    () => new FileTransport({ path: "app.log", formatter: "json" }),
+    Error,
+    "formatter option must be a function",
+  );
+});
@@ -0,0 +1,155 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+const csv = (logEntry) => `${logEntry.level},${logEntry.msg}`;
+
+Deno.test("Logger Formatters - Registered - should select a registered formatter by name", () => {
+  Logger.registerFormatter("test-csv", csv);
+  const { logger, lines } = createMemoryLogger({ format: "test-csv" });
+
+  logger.info("Started");
+
+  assertEquals(lines(), ["info,Started"]);
+});
+
+Deno.test("Logger Formatters - Registered - should be usable by loggers created before registering", () => {
+  const { logger, lines } = createMemoryLogger();
+
+  Logger.registerFormatter("test-late", (logEntry) => `late ${logEntry.msg}`);
+  logger.configure({ format: "test-late" });
+  logger.child({}, { format: "test-late" }).info("child");
+
+  assertEquals(lines(), ["late child"]);
+});
+
+Deno.test("Logger Formatters - Functions - should accept a formatter function as the format", () => {
+  const { logger, lines } = createMemoryLogger({ format: csv });
+
+  logger.warn("Low disk");
+
+  assertEquals(lines(), ["warn,Low disk"]);
+});
+
+Deno.test("Logger Formatters - Functions - should render once for outputs with the same formatter", () => {
+  let calls = 0;
+  const counting = (logEntry) => {
+    calls++;
+    return logEntry.msg;
+  };
+  const first = [];
+  const second = [];
+  const logger = new Logger({
+    outputs: [
+      { transport: { write: (_, line) => first.push(line) }, format: counting },
+      {
+        transport: { write: (_, line) => second.push(line) },
+        format: counting,
+      },
+    ],
+  });
+
+  logger.info("once");
+
+  assertEquals([first, second], [["once"], ["once"]]);
+  assertEquals(calls, 1);
+});
+
+Deno.test("Logger Formatters - Instance - should only be available to the logger and its children", () => {
+  const { logger, lines } = createMemoryLogger({
+    formatters: {
+      "test-tsv": (logEntry) => `${logEntry.level}\t${logEntry.msg}`,
+    },
+    format: "test-tsv",
+  });
+
+  logger.child({}, { format: "test-tsv" }).info("child");
+
+  assertEquals(lines(), ["info\tchild"]);
+  assertThrows(
+    () => new Logger({ format: "test-tsv" }),
+    Error,
+    "Invalid format: test-tsv",
+  );
+});
+
+Deno.test("Logger Formatters - Instance - should take precedence over registered formatters", () => {
+  Logger.registerFormatter("test-shadowed", () => "registered");
+  const { logger, lines } = createMemoryLogger({
+    formatters: { "test-shadowed": () => "instance" },
+    format: "test-shadowed",
+  });
+
+  logger.info("message");
+
+  assertEquals(lines(), ["instance"]);
+});
+
+Deno.test("Logger Formatters - Errors - should fall back to JSON when a formatter throws", () => {
+  const { logger, lines } = createMemoryLogger({
+    format: () => {
+      throw new Error("broken");
+    },
+  });
+
+  logger.info("still logged");
+
+  const entry = JSON.parse(lines()[0]);
+  assertEquals(entry.msg, "still logged");
+  assertEquals(entry.formatterError, "Formatter failed: broken");
+});
+
+Deno.test("Logger Formatters - Validation - should list registered names for invalid formats", () => {
+  Logger.registerFormatter("test-listed", csv);
+
+  const error = assertThrows(
+    () => new Logger({ format: "xml" }),
+    Error,
+    "Invalid format: xml. Valid formats are: json, simple, syslog,",
+  );
+  assert(error.message.includes("test-listed"));
+  assertThrows(
+    () => new Logger({ outputs: [{ format: "xml" }] }),
+    Error,
+    "Invalid format for output 0: xml",
+  );
+});
+
+Deno.test("Logger Formatters - Validation - should throw for invalid formatters", () => {
+  assertThrows(
+    () => Logger.registerFormatter("json", csv),
+    Error,
+    "Invalid formatter name: json. Built-in formats can't be replaced",
+  );
+  assertThrows(
+    () => Logger.registerFormatter("", csv),
+    Error,
+    "registerFormatter() name must be a non-empty string",
+  );
+  assertThrows(
+    () => Logger.registerFormatter("test-invalid", "csv"),
+    Error,
+    "registerFormatter() formatter must be a function",
+  );
+  assertThrows(
+    () => new Logger({ formatters: { simple: csv } }),
+    Error,
+    "Invalid formatter name: simple. Built-in formats can't be replaced",
+  );
+  assertThrows(
+    () => new Logger({ formatters: { csv: "csv" } }),
+    Error,
+    "Formatter 'csv' must be a function",
+  );
+  assertThrows(
+    () => new Logger({ format: csv, worker: true }),
+    Error,
+    "Formatter functions can't be used with the worker option. Register them in worker.module instead",
+  );
+});
@@ -0,0 +1,125 @@
+import { assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { setupMocks } from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+// Sets environment variables for the duration of fn
+function withEnv(variables, fn) {
+  const previous = {};
+  for (const [name, value] of Object.entries(variables)) {
+    previous[name] = Deno.env.get(name);
+    Deno.env.set(name, value);
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        Deno.env.delete(name);
+      } else {
+        Deno.env.set(name, value);
+      }
+    }
+  }
+}
+
+Deno.test("Logger From Env - Variables - should read options from prefixed variables", () => {
+  const logger = withEnv({
+    TEST_LOG_LEVEL: "debug",
+    TEST_LOG_FORMAT: "simple",
+    TEST_LOG_TIME: "long",
+    TEST_LOG_CALLER_LEVEL: "info",
+    TEST_LOG_NAME: "api",
+  }, () => Logger.fromEnv("TEST_LOG_"));
+
+  assertEquals(logger.options.level, "debug");
+  assertEquals(logger.options.format, "simple");
+  assertEquals(logger.options.time, "long");
+  assertEquals(logger.options.callerLevel, "info");
+  assertEquals(logger.name, "api");
+});
+
+Deno.test("Logger From Env - Variables - should default to the LOG_ prefix", () => {
+  const logger = withEnv(
+    { LOG_LEVEL: "warn" },
+    () => Logger.fromEnv(),
+  );
+
+  assertEquals(logger.level(), "warn");
+});
+
+Deno.test("Logger From Env - Variables - should trim values and ignore case, except for the name", () => {
+  const logger = withEnv({
+    CASE_LOG_LEVEL: " WARN ",
+    CASE_LOG_FORMAT: "Simple",
+    CASE_LOG_NAME: "Billing",
+  }, () => Logger.fromEnv("CASE_LOG_"));
+
+  assertEquals(logger.options.level, "warn");
+  assertEquals(logger.options.format, "simple");
+  assertEquals(logger.name, "Billing");
+});
+
+Deno.test("Logger From Env - Variables - should match custom levels and formats as given", () => {
+  const logger = withEnv({
+    CUSTOM_LOG_LEVEL: "Audit",
+    CUSTOM_LOG_CALLER_LEVEL: "ERROR",
+    CUSTOM_LOG_FORMAT: "CSV",
+  }, () =>
+    Logger.fromEnv("CUSTOM_LOG_", {
+      levels: { error: 0, Audit: 1, audit: 2 },
+      formatters: { CSV: (entry) => `${entry.level},${entry.msg}` },
+    }));
+
+  assertEquals(logger.options.level, "Audit");
+  assertEquals(logger.options.callerLevel, "error");
+  assertEquals(logger.options.format, "CSV");
+});
+
+Deno.test("Logger From Env - Options - should let variables take precedence over options", () => {
+  const logger = withEnv(
+    { MIXED_LOG_LEVEL: "error", MIXED_LOG_FORMAT: "" },
+    () =>
+      Logger.fromEnv("MIXED_LOG_", {
+        level: "debug",
+        format: "simple",
+        time: "long",
+      }),
+  );
+
+  assertEquals(logger.options.level, "error");
+  assertEquals(logger.options.format, "simple");
+  assertEquals(logger.options.time, "long");
+});
+
+Deno.test("Logger From Env - Options - should use defaults when no variables are set", () => {
+  const logger = Logger.fromEnv("UNSET_LOG_");
+
+  assertEquals(logger.options.level, "info");
+  assertEquals(logger.options.format, "json");
+  assertEquals(logger.name, undefined);
+});
+
+Deno.test("Logger From Env - Validation - should name the variable with an invalid value", () => {
+  withEnv({ BAD_LOG_LEVEL: "verbose" }, () => {
+    assertThrows(
+      () => Logger.fromEnv("BAD_LOG_"),
+      Error,
+      "Invalid BAD_LOG_LEVEL environment variable: Invalid log level: verbose. Valid levels are: silent, error, warn, info, debug",
+    );
+  });
+  withEnv({ BAD_LOG_TIME: "medium" }, () => {
+    assertThrows(
+      () => Logger.fromEnv("BAD_LOG_"),
+      Error,
+      "Invalid BAD_LOG_TIME environment variable: Invalid time: medium",
+    );
+  });
+  assertThrows(
+    () => Logger.fromEnv(1),
+    Error,
+    "fromEnv() prefix must be a string",
+  );
+});
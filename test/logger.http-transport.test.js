@@ -0,0 +1,426 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { HttpTransport } from "../lib/logger.ts";
+import {
+  clearCapturedErrors,
+  getCapturedErrors,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+const entry = (msg) => ({
+  level: "info",
+  levelNumber: 2,
+  time: "2024-01-15T10:30:00.000Z",
+  pid: 1234,
+  hostname: "myhost",
+  msg,
+});
+
+// Starts a local server that records each request. `respond` returns the
+// status for each request, defaulting to 200
+function startServer(respond = () => 200) {
+  const requests = [];
+  const server = Deno.serve(
+    { hostname: "127.0.0.1", port: 0, onListen() {} },
+    async (request) => {
+      requests.push({
+        method: request.method,
+        headers: request.headers,
+        body: await request.text(),
+      });
+      return new Response(null, { status: respond(requests.length) });
+    },
+  );
+  return {
+    url: `http://127.0.0.1:${server.addr.port}/ingest`,
+    requests,
+    shutdown: () => server.shutdown(),
+  };
+}
+
+// Returns the URL of a port nothing is listening on
+function unusedUrl() {
+  const listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  const port = listener.addr.port;
+  listener.close();
+  return `http://127.0.0.1:${port}/ingest`;
+}
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const messages = (request) => JSON.parse(request.body).map((e) => e.msg);
+
+Deno.test("Logger HTTP Transport - Batching - should send a batch when batchSize is reached", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({
+    url: server.url,
+    batchSize: 3,
+    flushInterval: 10000,
+  });
+
+  transport.write(entry("one"));
+  transport.write(entry("two"));
+  assertEquals(transport.sending, null);
+  transport.write(entry("three"));
+  transport.write(entry("four"));
+  await waitFor(() => server.requests.length === 1);
+
+  assertEquals(server.requests[0].method, "POST");
+  assertEquals(messages(server.requests[0]), ["one", "two", "three"]);
+  assertEquals(transport.queue.length, 1);
+
+  await transport.close();
+  assertEquals(messages(server.requests[1]), ["four"]);
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Batching - should send a partial batch after flushInterval", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({
+    url: server.url,
+    batchSize: 100,
+    flushInterval: 20,
+  });
+
+  transport.write(entry("one"));
+  transport.write(entry("two"));
+  await waitFor(() => server.requests.length === 1);
+
+  assertEquals(messages(server.requests[0]), ["one", "two"]);
+  assertEquals(transport.timer, null);
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Encoding - should send JSON by default with custom headers", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({
+    url: server.url,
+    method: "PUT",
+    headers: { Authorization: "Bearer secret" },
+  });
+
+  transport.write(entry("one"));
+  await transport.flush();
+
+  const request = server.requests[0];
+  assertEquals(request.method, "PUT");
+  assertEquals(request.headers.get("content-type"), "application/json");
+  assertEquals(request.headers.get("authorization"), "Bearer secret");
+  assertEquals(JSON.parse(request.body), [entry("one")]);
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Encoding - should support ndjson and custom encoders", async () => {
+  const server = startServer();
+  const ndjson = new HttpTransport({ url: server.url, encoding: "ndjson" });
+  ndjson.write(entry("one"));
+  ndjson.write(entry("two"));
+  await ndjson.close();
+
+  assertEquals(
+    server.requests[0].headers.get("content-type"),
+    "application/x-ndjson",
+  );
+  assertEquals(
+    server.requests[0].body,
+    `${JSON.stringify(entry("one"))}\n${JSON.stringify(entry("two"))}\n`,
+  );
+
+  const custom = new HttpTransport({
+    url: server.url,
+    headers: { "content-type": "text/plain" },
+    encoding: (entries) => entries.map((e) => e.msg).join("|"),
+  });
+  custom.write(entry("one"));
+  custom.write(entry("two"));
+  await custom.close();
+
+  assertEquals(server.requests[1].headers.get("content-type"), "text/plain");
+  assertEquals(server.requests[1].body, "one|two");
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Retries - should retry failed batches with backoff", async () => {
+  clearCapturedErrors();
+  const server = startServer((count) => count <= 2 ? 503 : 200);
+  const transport = new HttpTransport({
+    url: server.url,
+    batchSize: 2,
+    retryDelay: 20,
+  });
+
+  const start = Date.now();
+  transport.write(entry("one"));
+  transport.write(entry("two"));
+  await waitFor(() => server.requests.length === 3);
+  await waitFor(() => transport.batch === null);
+
+  // 20ms, then 40ms
+  assert(Date.now() - start >= 60);
+  assertEquals(messages(server.requests[2]), ["one", "two"]);
+  assertEquals(transport.retries, 0);
+  assertEquals(transport.droppedCount, 0);
+  // Only the first failure is reported
+  assertEquals(getCapturedErrors().length, 1);
+  assertEquals(
+    getCapturedErrors()[0][0],
+    `Error sending logs to ${server.url}:`,
+  );
+  assertEquals(
+    getCapturedErrors()[0][1].message,
+    "HTTP 503 Service Unavailable",
+  );
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Retries - should double the retry delay up to maxRetryDelay", () => {
+  const transport = new HttpTransport({
+    url: "http://localhost/ingest",
+    retryDelay: 100,
+    maxRetryDelay: 1000,
+  });
+
+  const delays = [1, 2, 3, 4, 5, 6].map((retries) => {
+    transport.retries = retries;
+    return transport.backoff();
+  });
+  assertEquals(delays, [100, 200, 400, 800, 1000, 1000]);
+});
+
+Deno.test("Logger HTTP Transport - Retries - should drop batches rejected by the endpoint", async () => {
+  clearCapturedErrors();
+  const server = startServer((count) => count === 1 ? 400 : 200);
+  const transport = new HttpTransport({ url: server.url, batchSize: 2 });
+
+  transport.write(entry("one"));
+  transport.write(entry("two"));
+  transport.write(entry("three"));
+  await transport.flush();
+
+  assertEquals(server.requests.length, 2);
+  assertEquals(messages(server.requests[1]), ["three"]);
+  assertEquals(transport.droppedCount, 2);
+  assertEquals(getCapturedErrors()[0][1].message, "HTTP 400 Bad Request");
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Retries - should drop batches that can't be encoded", async () => {
+  clearCapturedErrors();
+  const server = startServer();
+  const transport = new HttpTransport({ url: server.url, batchSize: 1 });
+
+  transport.write({ ...entry("one"), big: 1n });
+  transport.write(entry("two"));
+  await transport.flush();
+
+  assertEquals(server.requests.length, 1);
+  assertEquals(messages(server.requests[0]), ["two"]);
+  assertEquals(transport.droppedCount, 1);
+  assertEquals(transport.retries, 0);
+  assert(getCapturedErrors()[0][0].startsWith("Error encoding logs for"));
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Retries - should drop a batch after maxRetries", async () => {
+  const server = startServer((count) => count <= 3 ? 500 : 200);
+  const transport = new HttpTransport({
+    url: server.url,
+    batchSize: 1,
+    maxRetries: 2,
+    retryDelay: 5,
+  });
+
+  transport.write(entry("one"));
+  await waitFor(() => server.requests.length === 3);
+  await waitFor(() => transport.batch === null);
+  assertEquals(transport.droppedCount, 1);
+
+  transport.write(entry("two"));
+  await transport.flush();
+  assertEquals(messages(server.requests[3]), ["two"]);
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Spill - should hold entries up to maxBuffer while the endpoint is down", async () => {
+  let up = false;
+  const server = startServer(() => up ? 200 : 503);
+  const transport = new HttpTransport({
+    url: server.url,
+    batchSize: 2,
+    maxBuffer: 5,
+    retryDelay: 10000,
+  });
+
+  for (let i = 1; i <= 8; i++) {
+    transport.write(entry(`${i}`));
+  }
+  await waitFor(() => server.requests.length === 1);
+
+  // The first batch is waiting to be retried, the oldest queued entries made
+  // way for newer ones
+  assertEquals(transport.batch.map((e) => e.msg), ["1", "2"]);
+  assertEquals(transport.queue.map((e) => e.msg), ["6", "7", "8"]);
+  assertEquals(transport.droppedCount, 3);
+
+  up = true;
+  await transport.flush();
+  assertEquals(
+    server.requests.slice(1).flatMap(messages),
+    ["1", "2", "6", "7", "8"],
+  );
+
+  await transport.close();
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Spill - should not hang on flush or close when the endpoint is unreachable", async () => {
+  clearCapturedErrors();
+  const transport = new HttpTransport({ url: unusedUrl(), retryDelay: 10000 });
+
+  transport.write(entry("one"));
+  transport.write(entry("two"));
+  await transport.flush();
+
+  assertEquals(transport.batch.length, 2);
+  assertEquals(getCapturedErrors().length, 1);
+
+  await transport.close();
+  assertEquals(transport.droppedCount, 2);
+  assertEquals(transport.timer, null);
+  assertThrows(
+    () => transport.write(entry("three")),
+    Error,
+    "is closed",
+  );
+});
+
+Deno.test("Logger HTTP Transport - Flush - should keep sending after flushing while idle", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({ url: server.url, flushInterval: 10 });
+  const logger = new Logger({ transports: [transport] });
+
+  try {
+    await transport.flush();
+    assertEquals(transport.sending, null);
+
+    logger.info("one");
+    logger.info("two");
+    await waitFor(() => server.requests.length === 1);
+
+    assertEquals(messages(server.requests[0]), ["one", "two"]);
+    assertEquals(transport.queue.length, 0);
+
+    logger.info("three");
+    await transport.flush();
+    assertEquals(messages(server.requests[1]), ["three"]);
+  } finally {
+    await transport.close();
+    await server.shutdown();
+  }
+});
+
+Deno.test("Logger HTTP Transport - Flush - should close an idle transport", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({ url: server.url });
+
+  await transport.close();
+
+  assertEquals(server.requests.length, 0);
+  assertEquals(transport.sending, null);
+  assertEquals(transport.timer, null);
+  assertEquals(transport.droppedCount, 0);
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Flush - should send entries logged after a flush on close", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({ url: server.url });
+  const logger = new Logger({ transports: [transport] });
+
+  logger.info("one");
+  await transport.flush();
+  logger.info("two");
+  await logger.close();
+
+  assertEquals(server.requests.map(messages), [["one"], ["two"]]);
+  assertEquals(transport.droppedCount, 0);
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Logger - should ship entries from the logger on close", async () => {
+  const server = startServer();
+  const transport = new HttpTransport({ url: server.url });
+  const logger = new Logger({ transports: [transport] });
+
+  logger.info("Order %d placed", 42);
+  logger.error("Payment failed");
+  await logger.close();
+
+  const body = JSON.parse(server.requests[0].body);
+  assertEquals(body.map((e) => [e.level, e.msg]), [
+    ["info", "Order 42 placed"],
+    ["error", "Payment failed"],
+  ]);
+  await server.shutdown();
+});
+
+Deno.test("Logger HTTP Transport - Validation - should throw for invalid options", () => {
+  assertThrows(() => new HttpTransport({}), Error, "url option is required");
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", headers: "x" }),
+    Error,
+    "headers option must be an object",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", encoding: "xml" }),
+    Error,
+    "Invalid encoding: xml. Valid encodings are: json, ndjson, or a function",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", batchSize: 0 }),
+    Error,
+    "batchSize option must be a positive integer",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", maxBuffer: 1.5 }),
+    Error,
+    "maxBuffer option must be a positive integer",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", maxRetries: -1 }),
+    Error,
+    "maxRetries option must be a non-negative integer",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", retryDelay: -1 }),
+    Error,
+    "retryDelay option must be a non-negative number",
+  );
+  assertThrows(
+    () => new HttpTransport({ url: "http://x", timeout: "fast" }),
+    Error,
+    "timeout option must be a non-negative number",
+  );
+});
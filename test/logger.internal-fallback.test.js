@@ -1,4 +1,4 @@
-import { assert, assertEquals, assertThrows } from "@std/assert";
+import { assert, assertEquals } from "@std/assert";
 import Logger from "../lib/logger.ts";
 import {
   clearCapturedErrors,
@@ -243,15 +243,13 @@ Deno.test("Logger Additional Fallback Tests - Extreme Error Conditions - should
   };
 
   try {
-    // This should not crash the process, but the error will bubble up
-    // since there's no try-catch around console.log in the logger
-    assertThrows(
-      () => {
-        logger.info("test message");
-      },
-      Error,
-      "Console is broken",
-    );
+    clearCapturedErrors();
+    // The failing console transport is reported rather than thrown
+    logger.info("test message");
+
+    const [[message, error]] = getCapturedErrors();
+    assertEquals(message, "Error writing to transport:");
+    assertEquals(error.message, "Console is broken");
   } finally {
     console.log = originalLog;
   }
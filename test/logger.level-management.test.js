@@ -2,7 +2,7 @@ import { assertEquals, assertThrows } from "@std/assert";
 import Logger from "../lib/logger.ts";
 import {
   clearCapturedLogs,
-  getCapturedLogs,
+  getCapturedOutput,
   setupMocks,
 } from "./helpers/logger-test-helpers.js";
 
@@ -101,21 +101,21 @@ Deno.test("Logger Level Management - Log Level Filtering - should filter debug m
   clearCapturedLogs();
   const logger = new Logger({ level: "info" });
   logger.debug("debug message");
-  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedOutput().length, 0);
 });
 
 Deno.test("Logger Level Management - Log Level Filtering - should show info messages when level is info", () => {
   clearCapturedLogs();
   const logger = new Logger({ level: "info" });
   logger.info("info message");
-  assertEquals(getCapturedLogs().length, 1);
+  assertEquals(getCapturedOutput().length, 1);
 });
 
 Deno.test("Logger Level Management - Log Level Filtering - should show error messages at any level", () => {
   clearCapturedLogs();
   const logger = new Logger({ level: "error" });
   logger.error("error message");
-  assertEquals(getCapturedLogs().length, 1);
+  assertEquals(getCapturedOutput().length, 1);
 });
 
 Deno.test("Logger Level Management - Log Level Filtering - should filter warn and info when level is error", () => {
@@ -123,7 +123,7 @@ Deno.test("Logger Level Management - Log Level Filtering - should filter warn an
   const logger = new Logger({ level: "error" });
   logger.warn("warn message");
   logger.info("info message");
-  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedOutput().length, 0);
 });
 
 Deno.test("Logger Level Management - Log Level Filtering - should show all messages when level is debug", () => {
@@ -133,7 +133,7 @@ Deno.test("Logger Level Management - Log Level Filtering - should show all messa
   logger.warn("warn message");
   logger.info("info message");
   logger.debug("debug message");
-  assertEquals(getCapturedLogs().length, 4);
+  assertEquals(getCapturedOutput().length, 4);
 });
 
 Deno.test("Logger Level Management - Log Level Filtering - should show warn and above when level is warn", () => {
@@ -143,7 +143,7 @@ Deno.test("Logger Level Management - Log Level Filtering - should show warn and
   logger.warn("warn message");
   logger.info("info message");
   logger.debug("debug message");
-  assertEquals(getCapturedLogs().length, 2);
+  assertEquals(getCapturedOutput().length, 2);
 });
 
 Deno.test("Logger Level Management - Silent Level - should suppress all output when level is silent", () => {
@@ -156,7 +156,7 @@ Deno.test("Logger Level Management - Silent Level - should suppress all output w
   logger.debug("debug message");
 
   // No messages should be logged
-  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedOutput().length, 0);
 });
 
 Deno.test("Logger Level Management - Silent Level - should allow setting level to silent", () => {
@@ -186,7 +186,7 @@ Deno.test("Logger Level Management - Silent Level - should remain silent after m
   }
 
   // Still no output
-  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedOutput().length, 0);
 });
 
 Deno.test("Logger Level Management - Dynamic Level Changes - should respect level changes during runtime", () => {
@@ -195,19 +195,19 @@ Deno.test("Logger Level Management - Dynamic Level Changes - should respect leve
 
   // Should not log at info level
   logger.info("info message 1");
-  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedOutput().length, 0);
 
   // Change to info level
   logger.level("info");
 
   // Should now log info messages
   logger.info("info message 2");
-  assertEquals(getCapturedLogs().length, 1);
+  assertEquals(getCapturedOutput().length, 1);
 
   // Change to silent
   logger.level("silent");
 
   // Should not log anything
   logger.error("error message");
-  assertEquals(getCapturedLogs().length, 1); // Still just the previous info message
+  assertEquals(getCapturedOutput().length, 1); // Still just the previous info message
 });
@@ -0,0 +1,114 @@
+import { assert, assertEquals } from "@std/assert";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  return createMemoryLogger({
+    format: "logfmt",
+    mergeObjects: true,
+    callerLevel: "silent",
+    ...options,
+  });
+}
+
+// The line without its level and time, which vary
+const afterTime = (line) => line.replace(/^level=\w+ time="[^"]*" /, "");
+
+Deno.test("Logger Logfmt - Pairs - should write the level, time and message first", () => {
+  const { logger, lines } = createLogger();
+
+  logger.info("User logged in", { user: "alice" });
+
+  assert(
+    /^level=info time="\d{4}-\d{2}-\d{2} \d{2}:\d{2}" msg="User logged in" user=alice$/
+      .test(lines()[0]),
+  );
+});
+
+Deno.test("Logger Logfmt - Pairs - should write long timestamps without quotes", () => {
+  const { logger, lines } = createLogger({ time: "long" });
+
+  logger.warn("Low disk");
+
+  assert(
+    /^level=warn time=\d{4}-[\d-]+T[\d:.]+Z msg="Low disk"$/.test(lines()[0]),
+  );
+});
+
+Deno.test("Logger Logfmt - Quoting - should quote and escape values that need it", () => {
+  const { logger, lines } = createLogger();
+
+  logger.info("ok", {
+    plain: "a/b:c",
+    space: "two words",
+    quote: 'say "hi"',
+    newline: "line 1\nline 2",
+    equals: "a=b",
+    empty: "",
+    backslash: "C:\\temp",
+  });
+
+  assertEquals(
+    afterTime(lines()[0]),
+    'msg=ok plain=a/b:c space="two words" quote="say \\"hi\\"" newline="line 1\\nline 2" equals="a=b" empty="" backslash=C:\\temp',
+  );
+});
+
+Deno.test("Logger Logfmt - Quoting - should replace characters keys can't hold", () => {
+  const { logger, lines } = createLogger();
+
+  logger.info("ok", { "user name": "alice", "a=b": 1 });
+
+  assertEquals(afterTime(lines()[0]), "msg=ok user_name=alice a_b=1");
+});
+
+Deno.test("Logger Logfmt - Nesting - should flatten nested objects into dotted keys", () => {
+  const { logger, lines } = createLogger();
+  const loop = { id: 1 };
+  loop.self = loop;
+
+  logger.info("Request", {
+    user: { id: 42, address: { city: "Perth" } },
+    tags: ["a", "b"],
+    meta: {},
+    empty: null,
+    skipped: undefined,
+    loop,
+  });
+
+  assertEquals(
+    afterTime(lines()[0]),
+    "msg=Request user.id=42 user.address.city=Perth tags.0=a tags.1=b meta={} empty=null loop.id=1 loop.self=[Circular]",
+  );
+});
+
+Deno.test("Logger Logfmt - Nesting - should flatten errors", () => {
+  const { logger, lines } = createLogger();
+
+  logger.error("Failed", new Error("boom"));
+
+  const line = afterTime(lines()[0]);
+  assert(
+    line.startsWith(
+      'msg=Failed err.name=Error err.message=boom err.stack="Error: boom\\n',
+    ),
+  );
+  assert(!line.includes("\n"));
+});
+
+Deno.test("Logger Logfmt - Caller - should write caller info as a single field", () => {
+  const { logger, lines } = createLogger({ callerLevel: "info" });
+
+  logger.child({ requestId: 7 }).info("Handled");
+
+  assert(
+    /msg=Handled requestId=7 caller=logger\.logfmt\.test\.js:\d+$/.test(
+      lines()[0],
+    ),
+  );
+});
@@ -0,0 +1,170 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  return createMemoryLogger({ mergeObjects: true, ...options });
+}
+
+Deno.test("Logger Merge Objects - Arguments - should merge a trailing object into the entry", () => {
+  const { logger, entries } = createLogger();
+
+  logger.error("DB failed", { database: "users_db", retries: 3 });
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "DB failed");
+  assertEquals(entry.database, "users_db");
+  assertEquals(entry.retries, 3);
+});
+
+Deno.test("Logger Merge Objects - Arguments - should merge a leading object and format the rest", () => {
+  const { logger, entries } = createLogger();
+
+  logger.info({ userId: 42 }, "User %s logged in", "alice");
+  logger.info({ event: "startup" });
+
+  const [first, second] = entries();
+  assertEquals(first.msg, "User alice logged in");
+  assertEquals(first.userId, 42);
+  assertEquals(second.msg, "");
+  assertEquals(second.event, "startup");
+});
+
+Deno.test("Logger Merge Objects - Arguments - should merge leading and trailing objects, the trailing one last", () => {
+  const { logger, entries } = createLogger();
+
+  logger.info({ a: 1, b: 1 }, "both", { b: 2 });
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "both");
+  assertEquals(entry.a, 1);
+  assertEquals(entry.b, 2);
+});
+
+Deno.test("Logger Merge Objects - Arguments - should leave objects used by the format string in the message", () => {
+  const { logger, entries } = createLogger();
+
+  logger.info("Config: %j", { port: 3000 });
+  logger.info("Config: %j", { port: 3000 }, { env: "test" });
+
+  const [first, second] = entries();
+  assertEquals(first.msg, 'Config: {"port":3000}');
+  assertEquals(first.port, undefined);
+  assertEquals(second.msg, 'Config: {"port":3000}');
+  assertEquals(second.env, "test");
+});
+
+Deno.test("Logger Merge Objects - Arguments - should only merge plain objects", () => {
+  const { logger, entries } = createLogger();
+
+  logger.info("Items", [1, 2, 3]);
+  logger.info("Date", new Date(0));
+
+  const [first, second] = entries();
+  assertEquals(first.msg, "Items [ 1, 2, 3 ]");
+  assert(second.msg.startsWith("Date "));
+  assertEquals(Object.keys(second).length, 6);
+});
+
+Deno.test("Logger Merge Objects - Arguments - should format objects into the message when not enabled", () => {
+  const { logger, entries } = createLogger({ mergeObjects: false });
+
+  logger.error("DB failed", { database: "users_db" });
+
+  const [entry] = entries();
+  assertEquals(entry.msg, "DB failed { database: 'users_db' }");
+  assertEquals(entry.database, undefined);
+});
+
+Deno.test("Logger Merge Objects - Reserved - should keep reserved fields with a leading underscore", () => {
+  const { logger, entries } = createLogger();
+
+  logger.info("Imported", { level: "admin", time: 12, msg: "x", pid: 1 });
+
+  const [entry] = entries();
+  assertEquals(entry.level, "info");
+  assertEquals(entry.msg, "Imported");
+  assertEquals(entry._level, "admin");
+  assertEquals(entry._time, 12);
+  assertEquals(entry._msg, "x");
+  assertEquals(entry._pid, 1);
+});
+
+Deno.test("Logger Merge Objects - Nested - should nest fields under nestedKey", () => {
+  const { logger, entries } = createLogger({
+    mergeObjects: { nestedKey: "data" },
+  });
+
+  logger.info({ level: "admin" }, "Imported", { count: 3 });
+  logger.info("No fields");
+
+  const [first, second] = entries();
+  assertEquals(first.data, { level: "admin", count: 3 });
+  assertEquals(first.level, "info");
+  assertEquals(second.data, undefined);
+});
+
+Deno.test("Logger Merge Objects - Child - should combine with bound fields, the arguments last", () => {
+  const { logger, entries } = createLogger();
+  const child = logger.child({ requestId: "abc123", step: "auth" });
+
+  child.info("Querying", { step: "query" });
+
+  const [entry] = entries();
+  assertEquals(entry.requestId, "abc123");
+  assertEquals(entry.step, "query");
+});
+
+Deno.test("Logger Merge Objects - Simple - should print fields as key=value pairs after the message", () => {
+  const { logger, lines } = createLogger({ format: "simple" });
+
+  logger.info("DB failed", {
+    database: "users_db",
+    retries: 3,
+    ok: false,
+    note: "two words",
+    empty: "",
+    query: { table: "users" },
+  });
+  logger.info({ event: "startup" });
+
+  const [first, second] = lines();
+  assert(
+    first.endsWith(
+      '[INFO ] DB failed database=users_db retries=3 ok=false note="two words" empty="" query={"table":"users"}',
+    ),
+  );
+  assert(second.endsWith("[INFO ] event=startup"));
+});
+
+Deno.test("Logger Merge Objects - Simple - should print a child's bound fields", () => {
+  const { logger, lines } = createLogger({ format: "simple" });
+
+  logger.child({ requestId: "abc123" }).info("Request started");
+
+  assert(lines()[0].endsWith("[INFO ] Request started requestId=abc123"));
+});
+
+Deno.test("Logger Merge Objects - Validation - should throw for invalid options", () => {
+  assertThrows(
+    () => new Logger({ mergeObjects: "yes" }),
+    Error,
+    "mergeObjects option must be a boolean or an object",
+  );
+  assertThrows(
+    () => new Logger({ mergeObjects: { nestedKey: "" } }),
+    Error,
+    "mergeObjects.nestedKey must be a non-empty string",
+  );
+  assertThrows(
+    () => new Logger({ mergeObjects: { nestedKey: "msg" } }),
+    Error,
+    "Invalid mergeObjects.nestedKey: msg. Reserved fields are: level, levelNumber, time, pid, hostname, msg, callerFile, callerLine",
+  );
+});
@@ -0,0 +1,135 @@
+import { assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { NamespacePatterns } from "../lib/namespaces.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  return createMemoryLogger({ debug: "", ...options });
+}
+
+Deno.test("Logger Namespaces - Name - should add the name option to entries", () => {
+  const { logger, entries } = createLogger({ name: "api" });
+
+  logger.info("Started");
+
+  const [entry] = entries();
+  assertEquals(entry.name, "api");
+  assertEquals(Object.keys(entry).indexOf("name"), 5);
+});
+
+Deno.test("Logger Namespaces - Name - should join namespaces onto the logger's name", () => {
+  const { logger, entries } = createLogger();
+
+  logger.namespace("db").info("one");
+  logger.namespace("db").namespace("pool").info("two");
+  logger.info("unnamed");
+
+  const [first, second, unnamed] = entries();
+  assertEquals(first.name, "db");
+  assertEquals(second.name, "db:pool");
+  assertEquals("name" in unnamed, false);
+  assertEquals(new Logger({ name: "api" }).namespace("db").name, "api:db");
+});
+
+Deno.test("Logger Namespaces - Name - should keep the name when binding or merging fields", () => {
+  const { logger, entries } = createLogger({ mergeObjects: true });
+  const db = logger.namespace("db").child({ name: "bound" });
+
+  db.info("Query", { name: "users" });
+  logger.info("Unnamed", { name: "users" });
+
+  const [named, unnamed] = entries();
+  assertEquals(named.name, "db");
+  assertEquals(named._name, "users");
+  assertEquals(unnamed.name, "users");
+});
+
+Deno.test("Logger Namespaces - Debug - should log matching namespaces at debug level", () => {
+  const { logger, entries } = createLogger({ debug: "db:*,-db:verbose" });
+
+  logger.namespace("db:pool").debug("pool");
+  logger.namespace("db:verbose").debug("verbose");
+  logger.namespace("http").debug("http");
+  logger.namespace("http").info("http info");
+  logger.debug("root");
+
+  assertEquals(entries().map(({ msg }) => msg), ["pool", "http info"]);
+});
+
+Deno.test("Logger Namespaces - Debug - should apply the patterns to the name option", () => {
+  const { logger, entries } = createLogger({
+    name: "worker",
+    debug: "worker",
+  });
+
+  logger.debug("shown");
+
+  assertEquals(entries().map(({ msg }) => msg), ["shown"]);
+  assertEquals(logger.level(), "debug");
+});
+
+Deno.test("Logger Namespaces - Debug - should read the DEBUG environment variable", () => {
+  const previous = Deno.env.get("DEBUG");
+  Deno.env.set("DEBUG", "cache");
+  try {
+    const written = [];
+    const logger = new Logger({
+      transports: [{ write: (logEntry) => written.push(logEntry.msg) }],
+    });
+    logger.namespace("cache").debug("from env");
+    logger.namespace("db").debug("hidden");
+
+    const withOption = new Logger({
+      debug: "db",
+      transports: [{ write: (logEntry) => written.push(logEntry.msg) }],
+    });
+    withOption.namespace("cache").debug("option wins");
+
+    assertEquals(written, ["from env"]);
+  } finally {
+    if (previous === undefined) {
+      Deno.env.delete("DEBUG");
+    } else {
+      Deno.env.set("DEBUG", previous);
+    }
+  }
+});
+
+Deno.test("Logger Namespaces - Patterns - should match wildcards and exclusions", () => {
+  const patterns = new NamespacePatterns("db:* http  -db:verbose,cache:*:hits");
+
+  assertEquals(patterns.enabled("db:pool"), true);
+  assertEquals(patterns.enabled("db:"), true);
+  assertEquals(patterns.enabled("db"), false);
+  assertEquals(patterns.enabled("db:verbose"), false);
+  assertEquals(patterns.enabled("http"), true);
+  assertEquals(patterns.enabled("http:server"), false);
+  assertEquals(patterns.enabled("cache:users:hits"), true);
+  assertEquals(new NamespacePatterns("*").enabled("anything"), true);
+  assertEquals(new NamespacePatterns("a.b").enabled("aXb"), false);
+  assertEquals(new NamespacePatterns("").enabled("db"), false);
+});
+
+Deno.test("Logger Namespaces - Validation - should throw for invalid names and patterns", () => {
+  assertThrows(
+    () => new Logger({ name: "" }),
+    Error,
+    "name option must be a non-empty string",
+  );
+  assertThrows(
+    () => new Logger({ debug: true }),
+    Error,
+    "debug option must be a string",
+  );
+  assertThrows(
+    () => new Logger().namespace(""),
+    Error,
+    "namespace() requires a non-empty string",
+  );
+});
@@ -0,0 +1,282 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { HttpTransport } from "../lib/logger.ts";
+import { createOtlpEncoder } from "../lib/otlp.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  const { logger, entries } = createMemoryLogger({
+    format: "otlp",
+    mergeObjects: true,
+    callerLevel: "silent",
+    ...options,
+  });
+  return {
+    logger,
+    requests: entries,
+    records: () =>
+      entries().map((request) =>
+        request.resourceLogs[0].scopeLogs[0].logRecords[0]
+      ),
+  };
+}
+
+const entry = (fields = {}) => ({
+  level: "info",
+  levelNumber: 2,
+  time: "2024-01-15T10:30:00.000Z",
+  pid: 1,
+  hostname: "host",
+  msg: "m",
+  ...fields,
+});
+
+// Attributes as a plain object, for comparing
+const attributesOf = (record) =>
+  Object.fromEntries(record.attributes.map(({ key, value }) => [key, value]));
+
+Deno.test("Logger OTLP - Records - should map entries to the log data model", () => {
+  const { logger, records } = createLogger({ time: "long" });
+
+  logger.warn("Disk low", { freeMb: 120, ratio: 0.05, mounted: true });
+
+  const [record] = records();
+  assertEquals(record.severityNumber, 13);
+  assertEquals(record.severityText, "warn");
+  assertEquals(record.body, { stringValue: "Disk low" });
+  assert(/^\d+000000$/.test(record.timeUnixNano));
+  assert(/^\d+$/.test(record.observedTimeUnixNano));
+  assertEquals(attributesOf(record), {
+    freeMb: { intValue: "120" },
+    ratio: { doubleValue: 0.05 },
+    mounted: { boolValue: true },
+  });
+});
+
+Deno.test("Logger OTLP - Records - should convert the entry's time to nanoseconds", () => {
+  const encode = createOtlpEncoder();
+
+  const request = JSON.parse(encode([entry()]));
+
+  assertEquals(
+    request.resourceLogs[0].scopeLogs[0].logRecords[0].timeUnixNano,
+    "1705314600000000000",
+  );
+});
+
+Deno.test("Logger OTLP - Records - should leave out the time of short timestamps", () => {
+  const { logger, records } = createLogger();
+
+  logger.info("Started");
+
+  assertEquals("timeUnixNano" in records()[0], false);
+});
+
+Deno.test("Logger OTLP - Records - should convert nested fields to OTLP values", () => {
+  const { logger, records } = createLogger();
+  const loop = { id: 1 };
+  loop.self = loop;
+
+  logger.info("Nested", {
+    user: { id: 42, roles: ["admin"] },
+    empty: null,
+    big: 2n ** 64n,
+    loop,
+  });
+
+  assertEquals(attributesOf(records()[0]), {
+    user: {
+      kvlistValue: {
+        values: [
+          { key: "id", value: { intValue: "42" } },
+          {
+            key: "roles",
+            value: { arrayValue: { values: [{ stringValue: "admin" }] } },
+          },
+        ],
+      },
+    },
+    empty: {},
+    big: { intValue: "18446744073709551616" },
+    loop: {
+      kvlistValue: {
+        values: [
+          { key: "id", value: { intValue: "1" } },
+          { key: "self", value: { stringValue: "[Circular]" } },
+        ],
+      },
+    },
+  });
+});
+
+Deno.test("Logger OTLP - Records - should map caller info and errors to semantic attributes", () => {
+  const { logger, records } = createLogger({ callerLevel: "error" });
+
+  logger.error("Failed", new TypeError("Bad input"));
+
+  const attributes = attributesOf(records()[0]);
+  assert(
+    attributes["code.file.path"].stringValue.endsWith("logger.otlp.test.js"),
+  );
+  assert(attributes["code.line.number"].intValue);
+  assertEquals(attributes["exception.type"], { stringValue: "TypeError" });
+  assertEquals(attributes["exception.message"], { stringValue: "Bad input" });
+  assert(
+    attributes["exception.stacktrace"].stringValue.startsWith(
+      "TypeError: Bad input\n",
+    ),
+  );
+  assertEquals("err" in attributes, false);
+});
+
+Deno.test("Logger OTLP - Severity - should map levels by name, including custom ones", () => {
+  const { logger, records } = createLogger({
+    levels: { fatal: 0, trace: 4, audit: 2 },
+    level: "trace",
+  });
+
+  logger.fatal("fatal");
+  logger.error("error");
+  logger.info("info");
+  logger.debug("debug");
+  logger.trace("trace");
+  logger.audit("audit");
+
+  assertEquals(
+    records().map(({ severityNumber }) => severityNumber),
+    [21, 17, 9, 5, 1, 9],
+  );
+});
+
+Deno.test("Logger OTLP - Severity - should merge configured severities with the defaults", () => {
+  const { logger, records } = createLogger({
+    levels: { audit: 2 },
+    otlp: { severities: { audit: 12, info: 10 } },
+  });
+
+  logger.audit("audit");
+  logger.info("info");
+  logger.warn("warn");
+
+  assertEquals(
+    records().map(({ severityNumber }) => severityNumber),
+    [12, 10, 13],
+  );
+});
+
+Deno.test("Logger OTLP - Resource - should describe the service, host and process", () => {
+  const { logger, requests } = createLogger({
+    otlp: {
+      serviceName: "billing",
+      serviceVersion: "1.4.2",
+      resource: { "deployment.environment.name": "staging" },
+    },
+  });
+
+  logger.info("Started");
+
+  const { resource } = requests()[0].resourceLogs[0];
+  const attributes = attributesOf(resource);
+  assertEquals(attributes["service.name"], { stringValue: "billing" });
+  assertEquals(attributes["service.version"], { stringValue: "1.4.2" });
+  assertEquals(typeof attributes["host.name"].stringValue, "string");
+  assert(attributes["process.pid"].intValue);
+  assertEquals(attributes["deployment.environment.name"], {
+    stringValue: "staging",
+  });
+  assertEquals(
+    attributesOf(JSON.parse(createOtlpEncoder()([])).resourceLogs[0].resource)[
+      "service.name"
+    ],
+    { stringValue: "unknown_service" },
+  );
+});
+
+Deno.test("Logger OTLP - Batching - should put a batch in one request, with a scope per namespace", () => {
+  const encode = createOtlpEncoder();
+
+  const request = JSON.parse(encode([
+    entry({ msg: "first" }),
+    entry({ msg: "db", name: "db" }),
+    entry({ msg: "second" }),
+  ]));
+
+  assertEquals(request.resourceLogs.length, 1);
+  assertEquals(
+    request.resourceLogs[0].scopeLogs.map(({ scope, logRecords }) => [
+      scope.name,
+      logRecords.map(({ body }) => body.stringValue),
+    ]),
+    [[undefined, ["first", "second"]], ["db", ["db"]]],
+  );
+});
+
+Deno.test("Logger OTLP - Batching - should send batches to a collector with the HTTP transport", async () => {
+  const bodies = [];
+  const server = Deno.serve(
+    { port: 0, hostname: "127.0.0.1", onListen() {} },
+    async (request) => {
+      bodies.push({
+        path: new URL(request.url).pathname,
+        type: request.headers.get("content-type"),
+        body: await request.json(),
+      });
+      return new Response("{}");
+    },
+  );
+  try {
+    const logger = new Logger({
+      time: "long",
+      transports: [
+        new HttpTransport({
+          url: `http://127.0.0.1:${server.addr.port}/v1/logs`,
+          encoding: createOtlpEncoder({ serviceName: "billing" }),
+        }),
+      ],
+    });
+
+    logger.info("one");
+    logger.info("two");
+    await logger.close();
+
+    assertEquals(bodies.length, 1);
+    assertEquals(bodies[0].path, "/v1/logs");
+    assertEquals(bodies[0].type, "application/json");
+    assertEquals(
+      bodies[0].body.resourceLogs[0].scopeLogs[0].logRecords.map(
+        ({ body }) => body.stringValue,
+      ),
+      ["one", "two"],
+    );
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("Logger OTLP - Validation - should throw for invalid options", () => {
+  assertThrows(
+    () => new Logger({ otlp: "billing" }),
+    Error,
+    "otlp option must be an object",
+  );
+  assertThrows(
+    () => new Logger({ otlp: { serviceName: 1 } }),
+    Error,
+    "otlp serviceName must be a string",
+  );
+  assertThrows(
+    () => new Logger({ otlp: { severities: { info: 0 } } }),
+    Error,
+    "OpenTelemetry severity for 'info' must be an integer from 1 to 24",
+  );
+  assertThrows(
+    () => createOtlpEncoder({ resource: "billing" }),
+    Error,
+    "otlp resource must be an object",
+  );
+});
@@ -0,0 +1,234 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { ConsoleTransport } from "../lib/logger.ts";
+import {
+  clearCapturedLogs,
+  createMemoryTransport,
+  getCapturedLogs,
+  restoreTTY,
+  setTTYMode,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Outputs - Levels - should filter each output by its own level", () => {
+  const screen = createMemoryTransport();
+  const file = createMemoryTransport();
+  const logger = new Logger({
+    outputs: [
+      { transport: screen, level: "info" },
+      { transport: file, level: "debug" },
+    ],
+  });
+
+  logger.debug("debug details");
+  logger.info("started");
+
+  assertEquals(screen.written.length, 1);
+  assert(screen.written[0].includes("started"));
+  assertEquals(file.written.length, 2);
+  assert(file.written[0].includes("debug details"));
+});
+
+Deno.test("Logger Outputs - Levels - should follow the logger's level when an output has none", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ level: "warn", outputs: [{ transport }] });
+
+  logger.info("hidden");
+  logger.level("info");
+  logger.info("shown");
+
+  assertEquals(transport.written.length, 1);
+  assert(transport.written[0].includes("shown"));
+});
+
+Deno.test("Logger Outputs - Levels - should skip building the entry when no output wants the level", () => {
+  const logger = new Logger({
+    level: "debug",
+    outputs: [
+      { transport: createMemoryTransport(), level: "warn" },
+      { transport: createMemoryTransport(), level: "error" },
+    ],
+  });
+
+  let callerLookups = 0;
+  logger.getCallerInfo = () => {
+    callerLookups++;
+    return { callerFile: "app.ts", callerLine: 1 };
+  };
+  let formatted = false;
+  logger.formatters.json = () => {
+    formatted = true;
+    return "";
+  };
+
+  logger.options.callerLevel = "debug";
+  logger.info("not wanted");
+  assertEquals(callerLookups, 0);
+  assertEquals(formatted, false);
+
+  logger.warn("wanted");
+  assertEquals(callerLookups, 1);
+  assertEquals(formatted, true);
+});
+
+Deno.test("Logger Outputs - Formats - should render each output in its own format", () => {
+  const text = createMemoryTransport();
+  const json = createMemoryTransport();
+  const logger = new Logger({
+    format: "json",
+    outputs: [
+      { transport: text, format: "simple" },
+      { transport: json },
+    ],
+  });
+
+  logger.info("hello");
+
+  assert(text.written[0].includes("[INFO ] hello"));
+  assertEquals(JSON.parse(json.written[0]).msg, "hello");
+});
+
+Deno.test("Logger Outputs - Formats - should render once per format across outputs", () => {
+  const first = createMemoryTransport();
+  const second = createMemoryTransport();
+  const logger = new Logger({
+    outputs: [
+      { transport: first, format: "simple" },
+      { transport: second, format: "simple" },
+    ],
+  });
+
+  let calls = 0;
+  const simple = logger.formatters.simple;
+  logger.formatters.simple = (logEntry) => {
+    calls++;
+    return simple(logEntry);
+  };
+  logger.info("shared");
+
+  assertEquals(calls, 1);
+  assertEquals(first.written, second.written);
+});
+
+Deno.test("Logger Outputs - Colour - should colour lines for transports only when asked", () => {
+  const coloured = createMemoryTransport();
+  const plain = createMemoryTransport();
+  const logger = new Logger({
+    format: "simple",
+    colours: { info: "\x1b[36m" },
+    outputs: [
+      { transport: coloured, colour: true },
+      { transport: plain },
+    ],
+  });
+
+  logger.info("hello");
+
+  assert(coloured.written[0].startsWith("\x1b[36m"));
+  assert(coloured.written[0].endsWith("\x1b[0m"));
+  assertEquals(plain.written[0].includes("\x1b["), false);
+});
+
+Deno.test("Logger Outputs - Colour - should create console transports with the output's colour setting", () => {
+  setTTYMode(true);
+  try {
+    const logger = new Logger({
+      format: "simple",
+      outputs: [{ level: "info" }, { level: "info", colour: false }],
+    });
+
+    assert(logger.transports[0] instanceof ConsoleTransport);
+    assertEquals(logger.transports[0].colour.stdout, true);
+    assertEquals(logger.transports[1].colour.stdout, false);
+
+    clearCapturedLogs();
+    logger.info("hello");
+    const logs = getCapturedLogs();
+    assertEquals(logs.length, 2);
+    assert(logs[0].includes("\x1b["));
+    assertEquals(logs[1].includes("\x1b["), false);
+  } finally {
+    restoreTTY();
+  }
+});
+
+Deno.test("Logger Outputs - Transports - should combine outputs with transports", () => {
+  const output = createMemoryTransport();
+  const transport = createMemoryTransport();
+  const logger = new Logger({
+    level: "warn",
+    outputs: [{ transport: output, level: "debug" }],
+    transports: [transport],
+  });
+
+  logger.info("info");
+  logger.warn("warn");
+
+  assertEquals(logger.transports, [output, transport]);
+  assertEquals(output.written.length, 2);
+  assertEquals(transport.written.length, 1);
+});
+
+Deno.test("Logger Outputs - Buffering - should batch each output's own lines", async () => {
+  const text = createMemoryTransport();
+  const json = { ...createMemoryTransport(), batches: [] };
+  json.writeBatch = (logLines) => {
+    json.batches.push(logLines.map(({ formattedLog }) => formattedLog));
+  };
+  const logger = new Logger({
+    buffer: true,
+    outputs: [
+      { transport: text, format: "simple", level: "info" },
+      { transport: json, format: "json", level: "debug" },
+    ],
+  });
+
+  logger.debug("one");
+  logger.info("two");
+  assertEquals(text.written.length, 0);
+  await logger.flush();
+
+  assertEquals(text.written.length, 1);
+  assert(text.written[0].includes("[INFO ] two"));
+  assertEquals(json.batches.length, 1);
+  assertEquals(json.batches[0].map((line) => JSON.parse(line).msg), [
+    "one",
+    "two",
+  ]);
+  await logger.close();
+});
+
+Deno.test("Logger Outputs - Validation - should throw for invalid outputs", () => {
+  assertThrows(
+    () => new Logger({ outputs: {} }),
+    Error,
+    "outputs option must be an array of objects",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [null] }),
+    Error,
+    "outputs option must be an array of objects",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [{ transport: {} }] }),
+    Error,
+    "transport for output 0 must have a write() method",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [{}, { level: "verbose" }] }),
+    Error,
+    "Invalid level for output 1: verbose. Valid levels are: silent, error, warn, info, debug",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [{ format: "xml" }] }),
+    Error,
+    "Invalid format for output 0: xml. Valid formats are: json, simple, syslog",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [{ colour: "yes" }] }),
+    Error,
+    "colour for output 0 must be a boolean",
+  );
+});
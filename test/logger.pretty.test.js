@@ -0,0 +1,230 @@
+import { assert, assertEquals } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { createPrettyFormatter } from "../lib/pretty.ts";
+import {
+  clearCapturedErrors,
+  clearCapturedLogs,
+  createMemoryLogger,
+  getCapturedErrors,
+  getCapturedLogs,
+  restoreTTY,
+  setTTYMode,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  const { logger, lines } = createMemoryLogger({
+    format: "pretty",
+    pretty: { colour: false },
+    mergeObjects: true,
+    callerLevel: "silent",
+    ...options,
+  });
+  return { logger, lines: () => lines().map((line) => line.split("\n")) };
+}
+
+const entry = (fields = {}) => ({
+  level: "info",
+  levelNumber: 2,
+  time: "2024-01-15 10:30",
+  pid: 1,
+  hostname: "host",
+  msg: "Request done",
+  ...fields,
+});
+
+Deno.test("Logger Pretty - Layout - should put fields on indented lines below the message", () => {
+  const { logger, lines } = createLogger();
+
+  logger.info("Request done", {
+    status: 200,
+    path: "/users",
+    user: { id: 42, roles: ["admin", "dev"] },
+    tags: [],
+  });
+
+  const [header, ...fields] = lines()[0];
+  assert(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2} INFO {2}Request done$/.test(header));
+  assertEquals(fields, [
+    "    status: 200",
+    '    path: "/users"',
+    "    user:",
+    "      id: 42",
+    '      roles: ["admin", "dev"]',
+    "    tags: []",
+  ]);
+});
+
+Deno.test("Logger Pretty - Layout - should show the namespace and caller on the first line", () => {
+  const { logger, lines } = createLogger({ callerLevel: "info" });
+
+  logger.namespace("db").info("Connected");
+
+  assert(
+    /INFO {2}db Connected \(logger\.pretty\.test\.js:\d+\)$/.test(
+      lines()[0][0],
+    ),
+  );
+});
+
+Deno.test("Logger Pretty - Layout - should cut nested objects short at the depth limit", () => {
+  const { logger, lines } = createLogger({
+    pretty: { colour: false, depth: 1 },
+  });
+  const loop = { name: "loop" };
+  loop.self = loop;
+
+  logger.info("Nested", {
+    config: { db: { host: "localhost" }, hosts: [["a"], ["b"]] },
+    loop,
+  });
+
+  assertEquals(lines()[0].slice(1), [
+    "    config:",
+    "      db: [Object]",
+    "      hosts: [Array(2)]",
+    "    loop:",
+    '      name: "loop"',
+    "      self: [Circular]",
+  ]);
+});
+
+Deno.test("Logger Pretty - Errors - should show stacks with internal frames greyed out", () => {
+  const format = createPrettyFormatter({ colour: true });
+
+  const [, ...stack] = format(entry({
+    err: {
+      name: "Error",
+      message: "boom",
+      stack: [
+        "Error: boom",
+        "    at handler (file:///app/src/server.ts:10:5)",
+        "    at run (/app/node_modules/framework/index.js:1:1)",
+        "    at node:internal/process/task_queues:95:5",
+        "    at Object.dispatch (ext:core/01_core.js:10:3)",
+      ].join("\n"),
+    },
+  })).split("\n");
+
+  assertEquals(stack, [
+    "    Error: boom",
+    "        at handler (file:///app/src/server.ts:10:5)",
+    "    \x1b[90m    at run (/app/node_modules/framework/index.js:1:1)\x1b[0m",
+    "    \x1b[90m    at node:internal/process/task_queues:95:5\x1b[0m",
+    "    \x1b[90m    at Object.dispatch (ext:core/01_core.js:10:3)\x1b[0m",
+  ]);
+});
+
+Deno.test("Logger Pretty - Errors - should show errors in other fields under their key", () => {
+  const { logger, lines } = createLogger();
+
+  logger.warn("Retrying", { lastError: new Error("timeout") });
+
+  const [, label, first] = lines()[0];
+  assertEquals(label, "    lastError:");
+  assertEquals(first, "      Error: timeout");
+});
+
+Deno.test("Logger Pretty - Colours - should colour the timestamp and level but not the message", () => {
+  const format = createPrettyFormatter({ colour: true }, { info: "\x1b[94m" });
+
+  assertEquals(
+    format(entry()),
+    "\x1b[2m2024-01-15 10:30\x1b[0m \x1b[94m\x1b[7m INFO \x1b[0m  Request done",
+  );
+});
+
+Deno.test("Logger Pretty - Colours - should follow the logger's colours", () => {
+  const { logger, lines } = createLogger({
+    pretty: { colour: true },
+    colours: { warn: "\x1b[31m" },
+  });
+
+  logger.warn("before");
+  logger.configure({ colours: { warn: "\x1b[32m" } });
+  logger.warn("after");
+
+  assert(lines()[0][0].includes("\x1b[31m\x1b[7m WARN \x1b[0m"));
+  assert(lines()[1][0].includes("\x1b[32m\x1b[7m WARN \x1b[0m"));
+});
+
+Deno.test("Logger Pretty - Colours - should not be wrapped in the level's colour on the console", () => {
+  setTTYMode(true);
+  try {
+    clearCapturedLogs();
+    const logger = new Logger({ format: "pretty", callerLevel: "silent" });
+
+    logger.info("Started");
+
+    const [line] = getCapturedLogs();
+    assert(line.startsWith("\x1b[2m"));
+    assert(line.endsWith(" Started"));
+  } finally {
+    restoreTTY();
+  }
+});
+
+Deno.test("Logger Pretty - Colours - should default to plain text when stdout isn't a terminal", () => {
+  setTTYMode(false);
+  try {
+    clearCapturedLogs();
+    const logger = new Logger({ format: "pretty", callerLevel: "silent" });
+
+    logger.info("Started");
+
+    const [line] = getCapturedLogs();
+    assert(!line.includes("\x1b["));
+    assert(line.endsWith(" INFO  Started"));
+  } finally {
+    restoreTTY();
+  }
+});
+
+Deno.test("Logger Pretty - Colours - should leave out colours on a redirected stderr", () => {
+  setTTYMode(true, false);
+  try {
+    clearCapturedLogs();
+    clearCapturedErrors();
+    const logger = new Logger({ format: "pretty", callerLevel: "silent" });
+
+    logger.info("Started");
+    logger.error("Failed");
+
+    assert(getCapturedLogs()[0].startsWith("\x1b[2m"));
+    const [line] = getCapturedErrors()[0];
+    assert(!line.includes("\x1b["));
+    assert(line.endsWith(" ERROR Failed"));
+  } finally {
+    restoreTTY();
+  }
+});
+
+Deno.test("Logger Pretty - Colours - should follow each output's colour setting", () => {
+  setTTYMode(true);
+  try {
+    const plain = [];
+    const coloured = [];
+    const logger = new Logger({
+      format: "pretty",
+      callerLevel: "silent",
+      outputs: [
+        { transport: { write: (_entry, line) => plain.push(line) } },
+        {
+          transport: { write: (_entry, line) => coloured.push(line) },
+          colour: true,
+        },
+      ],
+    });
+
+    logger.info("Started");
+
+    assertEquals(plain[0].includes("\x1b["), false);
+    assert(plain[0].endsWith(" INFO  Started"));
+    assert(coloured[0].startsWith("\x1b[2m"));
+  } finally {
+    restoreTTY();
+  }
+});
@@ -0,0 +1,236 @@
+import { assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { RingBuffer } from "../lib/ring-buffer.ts";
+import {
+  createMemoryTransport,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+// Each entry a transport was given, as "level:msg"
+const summaries = (transport) =>
+  transport.logEntries.map(({ level, msg }) => `${level}:${msg}`);
+
+const messages = (logEntries) => logEntries.map((logEntry) => logEntry.msg);
+
+Deno.test("Logger Recent - Ring Buffer - should keep the most recent items in order", () => {
+  const buffer = new RingBuffer(3);
+
+  assertEquals(buffer.push(1), undefined);
+  buffer.push(2);
+  buffer.push(3);
+  assertEquals(buffer.push(4), 1);
+  assertEquals(buffer.push(5), 2);
+  assertEquals(buffer.toArray(), [3, 4, 5]);
+
+  buffer.clear();
+  assertEquals(buffer.toArray(), []);
+  assertThrows(() => new RingBuffer(0), Error, "positive integer");
+});
+
+Deno.test("Logger Recent - Capture - should capture entries below the logger's level", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({
+    level: "warn",
+    recent: true,
+    transports: [transport],
+  });
+
+  logger.debug("cache miss for %s", "user:1");
+  logger.info("request started");
+  logger.warn("slow query");
+
+  assertEquals(summaries(transport), ["warn:slow query"]);
+  assertEquals(messages(logger.recent()), [
+    "cache miss for user:1",
+    "request started",
+    "slow query",
+  ]);
+});
+
+Deno.test("Logger Recent - Capture - should respect the capture level and size", () => {
+  const logger = new Logger({
+    level: "error",
+    recent: { level: "info", size: 2 },
+    transports: [createMemoryTransport()],
+  });
+
+  logger.debug("not captured");
+  logger.info("one");
+  logger.info("two");
+  logger.warn("three");
+
+  assertEquals(messages(logger.recent()), ["two", "three"]);
+});
+
+Deno.test("Logger Recent - Capture - should capture independently of level changes", () => {
+  const logger = new Logger({
+    recent: { level: "info" },
+    transports: [createMemoryTransport()],
+  });
+
+  logger.level("silent");
+  logger.info("still captured");
+  logger.level("debug");
+  logger.debug("written but not captured");
+
+  assertEquals(messages(logger.recent()), ["still captured"]);
+});
+
+Deno.test("Logger Recent - Query - should filter by level, since, limit and match", () => {
+  const logger = new Logger({
+    level: "debug",
+    recent: true,
+    transports: [createMemoryTransport()],
+  });
+
+  logger.debug("cache miss");
+  logger.info("user logged in");
+  logger.warn("cache is slow");
+  logger.error("payment failed");
+  logger.info("user logged out");
+
+  assertEquals(messages(logger.recent({ level: "warn" })), [
+    "cache is slow",
+    "payment failed",
+  ]);
+  assertEquals(messages(logger.recent({ limit: 2 })), [
+    "payment failed",
+    "user logged out",
+  ]);
+  assertEquals(logger.recent({ limit: 0 }), []);
+  assertEquals(logger.recent({ limit: 10 }).length, 5);
+  assertEquals(messages(logger.recent({ match: "cache" })), [
+    "cache miss",
+    "cache is slow",
+  ]);
+  assertEquals(messages(logger.recent({ match: /^user/g, limit: 1 })), [
+    "user logged out",
+  ]);
+  assertEquals(
+    messages(logger.recent({ match: (logEntry) => logEntry.level === "info" })),
+    ["user logged in", "user logged out"],
+  );
+  assertEquals(logger.recent({ since: Date.now() + 60_000 }), []);
+  assertEquals(
+    logger.recent({ since: new Date(Date.now() - 60_000) }).length,
+    5,
+  );
+  assertEquals(
+    messages(logger.recent({ level: "info", match: "user", limit: 1 })),
+    ["user logged out"],
+  );
+});
+
+Deno.test("Logger Recent - Query - should throw without the recent option or for invalid queries", () => {
+  const logger = new Logger({ transports: [createMemoryTransport()] });
+  assertThrows(
+    () => logger.recent(),
+    Error,
+    "recent() requires the recent option",
+  );
+
+  const recentLogger = new Logger({
+    recent: true,
+    transports: [createMemoryTransport()],
+  });
+  assertThrows(
+    () => recentLogger.recent({ level: "verbose" }),
+    Error,
+    "Invalid log level: verbose",
+  );
+  assertThrows(
+    () => recentLogger.recent({ limit: -1 }),
+    Error,
+    "limit must be a non-negative integer",
+  );
+});
+
+Deno.test("Logger Recent - Dump - should write suppressed entries before an error", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({
+    level: "warn",
+    recent: { dumpOnError: true },
+    transports: [transport],
+  });
+
+  logger.debug("loading user");
+  logger.warn("retrying");
+  logger.info("retry succeeded");
+  logger.error("payment failed");
+
+  // The warning was already written, so it isn't repeated
+  assertEquals(summaries(transport), [
+    "warn:retrying",
+    "debug:loading user",
+    "info:retry succeeded",
+    "error:payment failed",
+  ]);
+
+  logger.debug("after the error");
+  logger.error("second failure");
+  assertEquals(summaries(transport).slice(4), [
+    "debug:after the error",
+    "error:second failure",
+  ]);
+});
+
+Deno.test("Logger Recent - Dump - should leave out outputs with a level of their own", async () => {
+  const following = createMemoryTransport();
+  const silent = createMemoryTransport();
+  const logger = new Logger({
+    level: "warn",
+    recent: { dumpOnError: true },
+    outputs: [
+      { transport: following },
+      { transport: silent, level: "silent" },
+    ],
+  });
+  const reader = logger.readable({ level: "error" }).getReader();
+
+  logger.debug("loading user");
+  logger.error("payment failed");
+
+  assertEquals(summaries(following), [
+    "debug:loading user",
+    "error:payment failed",
+  ]);
+  assertEquals(summaries(silent), []);
+  assertEquals((await reader.read()).value.msg, "payment failed");
+  await logger.close();
+  assertEquals((await reader.read()).done, true);
+});
+
+Deno.test("Logger Recent - Dump - should not dump unless dumpOnError is set", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({
+    level: "warn",
+    recent: true,
+    transports: [transport],
+  });
+
+  logger.debug("loading user");
+  logger.error("payment failed");
+
+  assertEquals(summaries(transport), ["error:payment failed"]);
+});
+
+Deno.test("Logger Recent - Validation - should throw for invalid recent options", () => {
+  assertThrows(
+    () => new Logger({ recent: "yes" }),
+    Error,
+    "recent option must be a boolean or an object",
+  );
+  assertThrows(
+    () => new Logger({ recent: { size: 0 } }),
+    Error,
+    "recent.size must be a positive integer",
+  );
+  assertThrows(
+    () => new Logger({ recent: { level: "verbose" } }),
+    Error,
+    "Invalid recent.level: verbose. Valid levels are: silent, error, warn, info, debug",
+  );
+});
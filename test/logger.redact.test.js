@@ -0,0 +1,200 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { parseRedactPath } from "../lib/redact.ts";
+import {
+  createMemoryLogger,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function createLogger(options = {}) {
+  return createMemoryLogger({ mergeObjects: true, ...options });
+}
+
+Deno.test("Logger Redact - Paths - should censor nested fields", () => {
+  const { logger, entries } = createLogger({
+    redact: ["headers.authorization", "headers.cookie"],
+  });
+
+  logger.info("Request", {
+    headers: { authorization: "Bearer secret", accept: "*/*" },
+  });
+
+  const [entry] = entries();
+  assertEquals(entry.headers, {
+    authorization: "[REDACTED]",
+    accept: "*/*",
+  });
+});
+
+Deno.test("Logger Redact - Paths - should match any key with a wildcard", () => {
+  const { logger, entries } = createLogger({ redact: ["*.password"] });
+
+  logger.info("Config", {
+    db: { user: "app", password: "hunter2" },
+    cache: { password: "swordfish" },
+    password: "top level",
+  });
+
+  const [entry] = entries();
+  assertEquals(entry.db, { user: "app", password: "[REDACTED]" });
+  assertEquals(entry.cache.password, "[REDACTED]");
+  assertEquals(entry.password, "top level");
+});
+
+Deno.test("Logger Redact - Paths - should match array elements", () => {
+  const { logger, entries } = createLogger({
+    redact: ["users[*].ssn", "admins[0].token"],
+  });
+
+  logger.info("Users", {
+    users: [{ name: "a", ssn: "1" }, { name: "b", ssn: "2" }, "c"],
+    admins: [{ token: "t0" }, { token: "t1" }],
+  });
+
+  const [entry] = entries();
+  assertEquals(entry.users, [
+    { name: "a", ssn: "[REDACTED]" },
+    { name: "b", ssn: "[REDACTED]" },
+    "c",
+  ]);
+  assertEquals(entry.admins, [{ token: "[REDACTED]" }, { token: "t1" }]);
+});
+
+Deno.test("Logger Redact - Paths - should match quoted keys", () => {
+  const { logger, entries } = createLogger({
+    redact: ['headers["x-api-key"]', "headers['set-cookie']"],
+  });
+
+  logger.info("Request", {
+    headers: { "x-api-key": "key", "set-cookie": "session", host: "a" },
+  });
+
+  assertEquals(entries()[0].headers, {
+    "x-api-key": "[REDACTED]",
+    "set-cookie": "[REDACTED]",
+    host: "a",
+  });
+});
+
+Deno.test("Logger Redact - Options - should remove fields or use a custom censor", () => {
+  const removing = createLogger({
+    redact: { paths: ["user.password", "token"], remove: true },
+  });
+  removing.logger.info("Login", {
+    user: { name: "a", password: "p" },
+    token: "t",
+  });
+  const [removed] = removing.entries();
+  assertEquals(removed.user, { name: "a" });
+  assertEquals("token" in removed, false);
+
+  const censoring = createLogger({
+    redact: { paths: ["token"], censor: "***" },
+  });
+  censoring.logger.info("Login", { token: "t" });
+  assertEquals(censoring.entries()[0].token, "***");
+});
+
+Deno.test("Logger Redact - Options - should not change the logged objects", () => {
+  const { logger, entries } = createLogger({
+    redact: ["request.headers.authorization", "*.password"],
+  });
+  const headers = { authorization: "Bearer secret" };
+  const request = { headers, url: "/" };
+  const db = { password: "hunter2" };
+  const shared = { unrelated: true };
+
+  logger.info("Request", { request, db, shared });
+
+  assertEquals(headers.authorization, "Bearer secret");
+  assertEquals(request.headers, headers);
+  assertEquals(db.password, "hunter2");
+  assertEquals(entries()[0].request.headers.authorization, "[REDACTED]");
+});
+
+Deno.test("Logger Redact - Options - should leave objects without redacted fields uncopied", () => {
+  const { logger } = createLogger({ redact: ["*.password"] });
+  const seen = [];
+  logger.transports[0].write = (logEntry) => seen.push(logEntry);
+  const config = { host: "db" };
+  const db = { password: "hunter2" };
+
+  logger.info("Config", { config, db });
+
+  assert(seen[0].config === config);
+  assert(seen[0].db !== db);
+});
+
+Deno.test("Logger Redact - Sources - should redact child, context and nested fields", () => {
+  const { logger, entries } = createLogger({
+    mergeObjects: { nestedKey: "data" },
+    redact: ["auth.token", "session.id", "data.password"],
+  });
+  const child = logger.child({ auth: { token: "child" } });
+
+  logger.runWithContext({ session: { id: "context" } }, () => {
+    child.info("Login", { password: "argument" });
+  });
+
+  const [entry] = entries();
+  assertEquals(entry.auth.token, "[REDACTED]");
+  assertEquals(entry.session.id, "[REDACTED]");
+  assertEquals(entry.data.password, "[REDACTED]");
+});
+
+Deno.test("Logger Redact - Sources - should redact before formatting and capture", () => {
+  const { logger, lines } = createLogger({
+    format: "simple",
+    recent: true,
+    redact: ["token"],
+  });
+
+  logger.info("Login", { token: "secret" });
+
+  assert(lines()[0].endsWith("Login token=[REDACTED]"));
+  assertEquals(logger.recent()[0].token, "[REDACTED]");
+});
+
+Deno.test("Logger Redact - Validation - should parse paths", () => {
+  const wildcard = parseRedactPath("*")[0];
+
+  assertEquals(parseRedactPath("a.b"), ["a", "b"]);
+  assertEquals(parseRedactPath("a[*].b"), ["a", wildcard, "b"]);
+  assertEquals(parseRedactPath("a[0]"), ["a", "0"]);
+  assertEquals(parseRedactPath('a["b.c"]'), ["a", "b.c"]);
+  assertEquals(parseRedactPath('a["*"]'), ["a", "*"]);
+  assertEquals(typeof wildcard, "symbol");
+});
+
+Deno.test("Logger Redact - Validation - should throw for invalid options", () => {
+  assertThrows(
+    () => new Logger({ redact: "password" }),
+    Error,
+    "redact option must be an array of paths or an object",
+  );
+  assertThrows(
+    () => new Logger({ redact: { paths: "password" } }),
+    Error,
+    "redact.paths must be an array of strings",
+  );
+  for (const path of ["", ".a", "a..b", "a[b]", "a[0]b", "a["]) {
+    assertThrows(
+      () => new Logger({ redact: [path] }),
+      Error,
+      `Invalid redact path: ${path}`,
+    );
+  }
+  assertThrows(
+    () => new Logger({ redact: { paths: [], censor: 0 } }),
+    Error,
+    "redact.censor must be a string",
+  );
+  assertThrows(
+    () => new Logger({ redact: { paths: [], remove: "yes" } }),
+    Error,
+    "redact.remove must be a boolean",
+  );
+});
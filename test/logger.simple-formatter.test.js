@@ -2,7 +2,7 @@ import { assert, assertEquals } from "@std/assert";
 import Logger from "../lib/logger.ts";
 import {
   clearCapturedLogs,
-  getCapturedLogs,
+  getCapturedOutput,
   restoreTTY,
   setTTYMode,
   setupMocks,
@@ -16,8 +16,8 @@ Deno.test("Logger Simple Formatter - Basic Simple Format - should produce simple
   const logger = new Logger({ format: "simple" });
   logger.info("test message");
 
-  assertEquals(getCapturedLogs().length, 1);
-  const logOutput = getCapturedLogs()[0];
+  assertEquals(getCapturedOutput().length, 1);
+  const logOutput = getCapturedOutput()[0];
 
   // Should contain timestamp, level, caller, and message
   assert(logOutput.includes("[INFO ]"));
@@ -32,7 +32,7 @@ Deno.test("Logger Simple Formatter - Basic Simple Format - should pad log levels
   logger.error("error msg");
   logger.debug("debug msg");
 
-  const logs = getCapturedLogs();
+  const logs = getCapturedOutput();
   assert(logs[0].includes("[ERROR]"));
   assert(logs[1].includes("[DEBUG]"));
 });
@@ -42,7 +42,7 @@ Deno.test("Logger Simple Formatter - Basic Simple Format - should include caller
   const logger = new Logger({ format: "simple", callerLevel: "info" });
   logger.info("test message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   // Should contain filename and line number
   assert(logOutput.includes(".js:"));
 });
@@ -52,7 +52,7 @@ Deno.test("Logger Simple Formatter - Basic Simple Format - should format with lo
   const logger = new Logger({ format: "simple", time: "long" });
   logger.info("test message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
 
   // Should contain long time format in brackets
   assert(
@@ -67,7 +67,7 @@ Deno.test("Logger Simple Formatter - All Log Levels in Simple Format - should fo
   const logger = new Logger({ format: "simple" });
   logger.error("error message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes("[ERROR]"));
   assert(logOutput.includes("error message"));
 });
@@ -77,7 +77,7 @@ Deno.test("Logger Simple Formatter - All Log Levels in Simple Format - should fo
   const logger = new Logger({ format: "simple" });
   logger.warn("warn message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes("[WARN ]"));
   assert(logOutput.includes("warn message"));
 });
@@ -87,7 +87,7 @@ Deno.test("Logger Simple Formatter - All Log Levels in Simple Format - should fo
   const logger = new Logger({ format: "simple" });
   logger.info("info message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes("[INFO ]"));
   assert(logOutput.includes("info message"));
 });
@@ -97,7 +97,7 @@ Deno.test("Logger Simple Formatter - All Log Levels in Simple Format - should fo
   const logger = new Logger({ format: "simple", level: "debug" });
   logger.debug("debug message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes("[DEBUG]"));
   assert(logOutput.includes("debug message"));
 });
@@ -108,7 +108,7 @@ Deno.test("Logger Simple Formatter - Color Handling - should include color codes
   const logger = new Logger({ format: "simple" });
   logger.error("error message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   // Should contain ANSI color codes
   assert(logOutput.includes("\x1b[91m")); // red for error
   assert(logOutput.includes("\x1b[0m")); // reset
@@ -120,7 +120,7 @@ Deno.test("Logger Simple Formatter - Color Handling - should not include color c
   const logger = new Logger({ format: "simple" });
   logger.error("error message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   // Should not contain ANSI color codes
   assert(!logOutput.includes("\x1b["));
 });
@@ -135,7 +135,7 @@ Deno.test("Logger Simple Formatter - Color Handling - should use appropriate col
   logger.info("info");
   logger.debug("debug");
 
-  const logs = getCapturedLogs();
+  const logs = getCapturedOutput();
 
   // Error should be red
   assert(logs[0].includes("\x1b[91m"));
@@ -160,7 +160,7 @@ Deno.test("Logger Simple Formatter - Color Handling - should respect custom colo
   logger.error("error message");
   logger.warn("warn message");
 
-  const logs = getCapturedLogs();
+  const logs = getCapturedOutput();
   assert(logs[0].includes("\x1b[31m"));
   assert(logs[1].includes("\x1b[35m"));
 });
@@ -170,7 +170,7 @@ Deno.test("Logger Simple Formatter - Message Formatting in Simple Mode - should
   const logger = new Logger({ format: "simple" });
   logger.info("Hello %s, you are %d years old", "John", 25);
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes("Hello John, you are 25 years old"));
 });
 
@@ -179,7 +179,7 @@ Deno.test("Logger Simple Formatter - Message Formatting in Simple Mode - should
   const logger = new Logger({ format: "simple" });
   logger.info('Special chars: "quotes", \\backslash, \nnewline');
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   assert(logOutput.includes('Special chars: "quotes"'));
 });
 
@@ -188,7 +188,7 @@ Deno.test("Logger Simple Formatter - Message Formatting in Simple Mode - should
   const logger = new Logger({ format: "simple" });
   logger.info("");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
   // Should still have the level and timestamp parts
   assert(logOutput.includes("[INFO ]"));
 });
@@ -206,7 +206,7 @@ Deno.test("Logger Simple Formatter - TTY Detection Integration - should detect T
   const noTtyLogger = new Logger({ format: "simple" });
   noTtyLogger.error("no tty error");
 
-  const logs = getCapturedLogs();
+  const logs = getCapturedOutput();
 
   // First should have colors, second should not
   assert(logs[0].includes("\x1b["));
@@ -0,0 +1,174 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { ConsoleTransport } from "../lib/logger.ts";
+import {
+  clearCapturedErrors,
+  clearCapturedLogs,
+  getCapturedErrors,
+  getCapturedLogs,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+const originalStdoutIsTTY = Deno.stdout.isTerminal;
+const originalStderrIsTTY = Deno.stderr.isTerminal;
+
+function setStreamTTYs(stdout, stderr) {
+  Deno.stdout.isTerminal = () => stdout;
+  Deno.stderr.isTerminal = () => stderr;
+}
+
+function restoreStreamTTYs() {
+  Deno.stdout.isTerminal = originalStdoutIsTTY;
+  Deno.stderr.isTerminal = originalStderrIsTTY;
+}
+
+function clearCaptured() {
+  clearCapturedLogs();
+  clearCapturedErrors();
+}
+
+Deno.test("Logger Streams - Default Routing - should write error and warn to stderr", () => {
+  clearCaptured();
+  const logger = new Logger({ format: "simple" });
+  logger.error("error message");
+  logger.warn("warn message");
+
+  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(getCapturedErrors().length, 2);
+  assert(getCapturedErrors()[0][0].includes("error message"));
+  assert(getCapturedErrors()[1][0].includes("warn message"));
+});
+
+Deno.test("Logger Streams - Default Routing - should write info and debug to stdout", () => {
+  clearCaptured();
+  const logger = new Logger({ format: "simple", level: "debug" });
+  logger.info("info message");
+  logger.debug("debug message");
+
+  assertEquals(getCapturedErrors().length, 0);
+  assertEquals(getCapturedLogs().length, 2);
+  assert(getCapturedLogs()[0].includes("info message"));
+  assert(getCapturedLogs()[1].includes("debug message"));
+});
+
+Deno.test("Logger Streams - Default Routing - should include the default mapping in options", () => {
+  const logger = new Logger();
+  assertEquals(logger.options.streams, { error: "stderr", warn: "stderr" });
+});
+
+Deno.test("Logger Streams - Custom Routing - should allow overriding the stream per level", () => {
+  clearCaptured();
+  const logger = new Logger({
+    format: "simple",
+    streams: { warn: "stdout", info: "stderr" },
+  });
+  logger.error("error message");
+  logger.warn("warn message");
+  logger.info("info message");
+
+  assertEquals(getCapturedLogs().length, 1);
+  assert(getCapturedLogs()[0].includes("warn message"));
+  assertEquals(getCapturedErrors().length, 2);
+  assert(getCapturedErrors()[0][0].includes("error message"));
+  assert(getCapturedErrors()[1][0].includes("info message"));
+});
+
+Deno.test("Logger Streams - Custom Routing - should send custom levels to stdout unless mapped", () => {
+  clearCaptured();
+  const transport = new ConsoleTransport({
+    colour: false,
+    streams: { fatal: "stderr" },
+  });
+  transport.write({ level: "trace" }, "trace line");
+  transport.write({ level: "fatal" }, "fatal line");
+
+  assertEquals(getCapturedLogs(), ["trace line"]);
+  assertEquals(getCapturedErrors(), [["fatal line"]]);
+});
+
+Deno.test("Logger Streams - TTY Detection - should detect colour support per stream", () => {
+  clearCaptured();
+  setStreamTTYs(false, true);
+  try {
+    const logger = new Logger({ format: "simple" });
+    logger.error("error message");
+    logger.info("info message");
+
+    // stderr is a terminal so errors are coloured, stdout is redirected
+    assert(getCapturedErrors()[0][0].startsWith("\x1b[91m"));
+    assert(!getCapturedLogs()[0].includes("\x1b["));
+  } finally {
+    restoreStreamTTYs();
+  }
+});
+
+Deno.test("Logger Streams - TTY Detection - should not colour stderr when it is redirected", () => {
+  clearCaptured();
+  setStreamTTYs(true, false);
+  try {
+    const logger = new Logger({ format: "simple" });
+    logger.error("error message");
+    logger.info("info message");
+
+    assert(!getCapturedErrors()[0][0].includes("\x1b["));
+    assert(getCapturedLogs()[0].startsWith("\x1b[94m"));
+  } finally {
+    restoreStreamTTYs();
+  }
+});
+
+Deno.test("Logger Streams - Direct Writes - should write straight to the streams when console output is relayed", () => {
+  clearCaptured();
+  const originalStdoutWrite = Deno.stdout.writeSync;
+  const originalStderrWrite = Deno.stderr.writeSync;
+  const written = { stdout: "", stderr: "" };
+  Deno.stdout.writeSync = (data) => {
+    written.stdout += new TextDecoder().decode(data);
+    return data.length;
+  };
+  Deno.stderr.writeSync = (data) => {
+    written.stderr += new TextDecoder().decode(data);
+    return data.length;
+  };
+  try {
+    const transport = new ConsoleTransport({ colour: false });
+    // What a console transport on a Node.js worker thread does
+    transport.direct = true;
+    const logger = new Logger({ format: "simple", transports: [transport] });
+    logger.error("error message");
+    logger.info("info message");
+    logger.info("another message");
+
+    assertEquals(getCapturedLogs().length, 0);
+    assertEquals(getCapturedErrors().length, 0);
+    assertEquals(written.stderr.split("\n").length, 2);
+    assert(written.stderr.includes("error message"));
+    assert(written.stderr.endsWith("\n"));
+    assertEquals(written.stdout.split("\n").length, 3);
+    assert(written.stdout.includes("info message"));
+    assert(written.stdout.includes("another message"));
+  } finally {
+    Deno.stdout.writeSync = originalStdoutWrite;
+    Deno.stderr.writeSync = originalStderrWrite;
+  }
+});
+
+Deno.test("Logger Streams - Validation - should throw for invalid streams", () => {
+  assertThrows(
+    () => {
+      new Logger({ streams: "stderr" });
+    },
+    Error,
+    "streams option must be an object",
+  );
+
+  assertThrows(
+    () => {
+      new Logger({ streams: { error: "stdlog" } });
+    },
+    Error,
+    "Invalid stream for 'error': stdlog. Valid streams are: stdout, stderr",
+  );
+});
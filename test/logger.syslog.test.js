@@ -0,0 +1,301 @@
+import { assert, assertEquals, assertMatch, assertThrows } from "@std/assert";
+import Logger, {
+  createSyslogFormatter,
+  SyslogTransport,
+} from "../lib/logger.ts";
+import {
+  clearCapturedErrors,
+  clearCapturedLogs,
+  getCapturedErrors,
+  getCapturedOutput,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+const entry = {
+  level: "error",
+  levelNumber: 0,
+  time: "2024-01-15T10:30:00.000Z",
+  pid: 1234,
+  hostname: "myhost",
+  msg: "Payment failed",
+};
+
+async function readAll(conn) {
+  const decoder = new TextDecoder();
+  let text = "";
+  const buffer = new Uint8Array(1024);
+  let read;
+  while ((read = await conn.read(buffer)) !== null) {
+    text += decoder.decode(buffer.subarray(0, read));
+  }
+  return text;
+}
+
+Deno.test("Logger Syslog - RFC 5424 Format - should emit PRI, version and headers", () => {
+  const format = createSyslogFormatter({ appName: "billing" });
+
+  assertEquals(
+    format(entry),
+    "<11>1 2024-01-15T10:30:00.000Z myhost billing 1234 - - Payment failed",
+  );
+});
+
+Deno.test("Logger Syslog - RFC 5424 Format - should map levels to severities", () => {
+  const format = createSyslogFormatter();
+  const pri = (level) => format({ ...entry, level }).match(/^<(\d+)>/)[1];
+
+  // facility user (1) * 8 + severity
+  assertEquals(pri("error"), "11");
+  assertEquals(pri("warn"), "12");
+  assertEquals(pri("info"), "14");
+  assertEquals(pri("debug"), "15");
+  assertEquals(pri("custom"), "14");
+});
+
+Deno.test("Logger Syslog - RFC 5424 Format - should apply facility and severity overrides", () => {
+  const format = createSyslogFormatter({
+    facility: "local0",
+    severities: { warn: 5, trace: 7 },
+  });
+
+  assert(format({ ...entry, level: "warn" }).startsWith("<133>1 "));
+  assert(format({ ...entry, level: "trace" }).startsWith("<135>1 "));
+  assert(
+    createSyslogFormatter({ facility: 3 })(entry).startsWith("<27>1 "),
+  );
+});
+
+Deno.test("Logger Syslog - RFC 5424 Format - should put extra fields into STRUCTURED-DATA", () => {
+  const format = createSyslogFormatter({ msgId: "PAY" });
+  const message = format({
+    ...entry,
+    callerFile: "/app/billing.ts",
+    callerLine: 42,
+    requestId: "abc",
+    detail: { quote: 'say "hi"]', path: "C:\\tmp" },
+  });
+
+  assertEquals(
+    message,
+    '<11>1 2024-01-15T10:30:00.000Z myhost logger 1234 PAY [fields@32473 callerFile="/app/billing.ts" callerLine="42" requestId="abc" detail="{\\"quote\\":\\"say \\\\\\"hi\\\\\\"\\]\\",\\"path\\":\\"C:\\\\\\\\tmp\\"}"] Payment failed',
+  );
+});
+
+Deno.test("Logger Syslog - RFC 5424 Format - should use a custom SD-ID and sanitize param names", () => {
+  const format = createSyslogFormatter({ sdId: "app@12345" });
+  const message = format({ ...entry, "user name": "alice" });
+
+  assert(message.includes('[app@12345 user_name="alice"]'));
+});
+
+Deno.test("Logger Syslog - RFC 5424 Format - should use the current time for short timestamps", () => {
+  const format = createSyslogFormatter();
+  const message = format({ ...entry, time: "2024-01-15 10:30" });
+
+  assertMatch(message, /^<11>1 \d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z /);
+});
+
+Deno.test("Logger Syslog - RFC 3164 Format - should emit BSD syslog messages", () => {
+  const format = createSyslogFormatter({
+    protocol: "3164",
+    appName: "billing",
+  });
+  const message = format(entry);
+
+  assertMatch(
+    message,
+    /^<11>[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} myhost billing\[1234\]: Payment failed$/,
+  );
+});
+
+Deno.test("Logger Syslog - RFC 3164 Format - should append extra fields as JSON", () => {
+  const format = createSyslogFormatter({ protocol: "3164" });
+  const message = format({ ...entry, requestId: "abc" });
+
+  assert(message.endsWith('Payment failed {"requestId":"abc"}'));
+});
+
+Deno.test("Logger Syslog - Logger Format - should support format syslog", () => {
+  clearCapturedLogs();
+  const logger = new Logger({
+    format: "syslog",
+    callerLevel: "error",
+    syslog: { appName: "myapp" },
+  });
+  logger.error("disk full");
+
+  const output = getCapturedOutput()[0];
+  assertMatch(
+    output,
+    /^<11>1 \S+ \S+ myapp \d+ - \[fields@32473 callerFile="[^"]+" callerLine="\d+"\] disk full/,
+  );
+});
+
+Deno.test("Logger Syslog - Validation - should throw for invalid syslog options", () => {
+  assertThrows(
+    () => new Logger({ format: "syslog", syslog: { protocol: "1234" } }),
+    Error,
+    "Invalid syslog protocol: 1234. Valid protocols are: 5424, 3164",
+  );
+  assertThrows(
+    () => createSyslogFormatter({ facility: "local9" }),
+    Error,
+    "Invalid syslog facility: local9",
+  );
+  assertThrows(
+    () => createSyslogFormatter({ facility: 24 }),
+    Error,
+    "Invalid syslog facility: 24",
+  );
+  assertThrows(
+    () => createSyslogFormatter({ severities: { info: 8 } }),
+    Error,
+    "Syslog severity for 'info' must be an integer from 0 to 7",
+  );
+  assertThrows(
+    () => new SyslogTransport({ transport: "http" }),
+    Error,
+    "Invalid syslog transport: http. Valid transports are: udp, tcp, unix",
+  );
+  assertThrows(
+    () => new SyslogTransport({ transport: "unix" }),
+    Error,
+    "path option is required for unix sockets",
+  );
+  assertThrows(
+    () => new SyslogTransport({ port: 70000 }),
+    Error,
+    "port option must be an integer from 1 to 65535",
+  );
+  assertThrows(
+    () => new SyslogTransport({ framing: "length" }),
+    Error,
+    "Invalid framing: length. Valid framings are: octet-counting, newline",
+  );
+});
+
+Deno.test("Logger Syslog - Transport - should send messages over TCP with octet counting", async () => {
+  const listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  const received = listener.accept().then(readAll);
+
+  const transport = new SyslogTransport({
+    transport: "tcp",
+    host: "127.0.0.1",
+    port: listener.addr.port,
+    appName: "billing",
+  });
+  const logger = new Logger({ transports: [transport] });
+  logger.info("first");
+  logger.warn("second");
+  await logger.close();
+
+  const text = await received;
+  listener.close();
+
+  const messages = [...text.matchAll(/(\d+) /g)];
+  assertEquals(messages.length >= 2, true);
+  const firstLength = Number(text.slice(0, text.indexOf(" ")));
+  const first = text.slice(text.indexOf(" ") + 1).slice(0, firstLength);
+  assertMatch(first, /^<14>1 \S+ \S+ billing \d+ - - first$/);
+  assert(text.endsWith(" second"));
+});
+
+Deno.test("Logger Syslog - Transport - should send messages over a unix socket with newline framing", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/syslog.sock`;
+  const listener = Deno.listen({ transport: "unix", path });
+  const received = listener.accept().then(readAll);
+
+  const transport = new SyslogTransport({ transport: "unix", path });
+  const logger = new Logger({ transports: [transport] });
+  logger.error("over unix");
+  await logger.close();
+
+  const lines = (await received).split("\n");
+  listener.close();
+  Deno.removeSync(dir, { recursive: true });
+
+  assertEquals(lines.length, 2);
+  assertMatch(lines[0], /^<11>1 .* over unix$/);
+  assertEquals(lines[1], "");
+});
+
+Deno.test("Logger Syslog - Transport - should escape newlines in messages with newline framing", async () => {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/syslog.sock`;
+  const listener = Deno.listen({ transport: "unix", path });
+  const received = listener.accept().then(readAll);
+
+  const transport = new SyslogTransport({ transport: "unix", path });
+  const logger = new Logger({ transports: [transport] });
+  logger.error("first line\nsecond line");
+  await logger.close();
+
+  const lines = (await received).split("\n");
+  listener.close();
+  Deno.removeSync(dir, { recursive: true });
+
+  assertEquals(lines.length, 2);
+  assertMatch(lines[0], /^<11>1 .* first line\\nsecond line$/);
+});
+
+Deno.test("Logger Syslog - Transport - should send one datagram per message over UDP", async () => {
+  // Deno.listenDatagram needs --unstable-net
+  const socket = Deno.listenDatagram({
+    transport: "udp",
+    hostname: "127.0.0.1",
+    port: 0,
+  });
+  const received = (async () => {
+    const messages = [];
+    for await (const [data] of socket) {
+      messages.push(new TextDecoder().decode(data));
+      if (messages.length === 2) return messages;
+    }
+  })();
+
+  const transport = new SyslogTransport({
+    host: "127.0.0.1",
+    port: socket.addr.port,
+  });
+  const logger = new Logger({ transports: [transport] });
+  logger.info("datagram one");
+  logger.info("datagram two");
+  await logger.close();
+
+  const messages = await received;
+  socket.close();
+
+  assertMatch(messages[0], /^<14>1 .* datagram one$/);
+  assertMatch(messages[1], /^<14>1 .* datagram two$/);
+});
+
+Deno.test("Logger Syslog - Transport - should queue messages and report when the server is unreachable", async () => {
+  clearCapturedErrors();
+
+  // Grab a free port, then close it so nothing is listening
+  const listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  const port = listener.addr.port;
+  listener.close();
+
+  const transport = new SyslogTransport({
+    transport: "tcp",
+    host: "127.0.0.1",
+    port,
+    maxQueue: 2,
+  });
+  transport.write(entry);
+  transport.write(entry);
+  transport.write(entry);
+  await transport.flush();
+
+  assertEquals(transport.queue.length, 2);
+  assertEquals(transport.droppedCount, 1);
+  // Only the first failure is reported
+  assertEquals(getCapturedErrors().length, 1);
+  assertEquals(getCapturedErrors()[0][0], "Error sending to syslog:");
+  await transport.close();
+});
@@ -2,7 +2,7 @@ import { assert, assertEquals, assertThrows } from "@std/assert";
 import Logger from "../lib/logger.ts";
 import {
   clearCapturedLogs,
-  getCapturedLogs,
+  getCapturedOutput,
   getFirstLogAsJSON,
   setupMocks,
 } from "./helpers/logger-test-helpers.js";
@@ -51,7 +51,7 @@ Deno.test("Logger Time Formatting - Short Time Format - should work with simple
   const logger = new Logger({ time: "short", format: "simple" });
   logger.info("test message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
 
   // Should contain short time format in brackets
   assert(logOutput.match(/\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}\]/));
@@ -103,7 +103,7 @@ Deno.test("Logger Time Formatting - Long Time Format - should work with simple f
   const logger = new Logger({ time: "long", format: "simple" });
   logger.info("test message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
 
   // Should contain long time format in brackets
   assert(
@@ -139,7 +139,7 @@ Deno.test("Logger Time Formatting - Time Format Consistency - should use consist
   logger.info("first message");
   logger.warn("second message");
 
-  const logs = getCapturedLogs();
+  const logs = getCapturedOutput();
   const parsed1 = JSON.parse(logs[0]);
   const parsed2 = JSON.parse(logs[1]);
 
@@ -196,7 +196,7 @@ Deno.test("Logger Time Formatting - Backward Compatibility - should not break ex
   const logger = new Logger({ format: "simple" });
   logger.warn("warning message");
 
-  const logOutput = getCapturedLogs()[0];
+  const logOutput = getCapturedOutput()[0];
 
   // Should still contain expected elements
   assert(logOutput.includes("[WARN ]"));
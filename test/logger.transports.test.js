@@ -0,0 +1,185 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, {
+  ConsoleTransport,
+  FileTransport,
+  HttpTransport,
+} from "../lib/logger.ts";
+import {
+  clearCapturedErrors,
+  clearCapturedLogs,
+  createMemoryTransport,
+  getCapturedErrors,
+  getCapturedLogs,
+  restoreTTY,
+  setTTYMode,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+Deno.test("Logger Transports - Default Transport - should use a console transport by default", () => {
+  const logger = new Logger();
+  assertEquals(logger.transports.length, 1);
+  assert(logger.transports[0] instanceof ConsoleTransport);
+});
+
+Deno.test("Logger Transports - Default Transport - should follow the logger's colour settings", () => {
+  clearCapturedLogs();
+  setTTYMode(true);
+  const logger = new Logger({
+    format: "simple",
+    colours: { info: "\x1b[36m" },
+  });
+  logger.info("coloured message");
+
+  const logOutput = getCapturedLogs()[0];
+  assert(logOutput.startsWith("\x1b[36m"));
+  assert(logOutput.endsWith("\x1b[0m"));
+  restoreTTY();
+});
+
+Deno.test("Logger Transports - Custom Transports - should pass the entry and formatted line to each transport", () => {
+  clearCapturedLogs();
+  const transport = createMemoryTransport();
+  const logger = new Logger({ format: "simple", transports: [transport] });
+  logger.info("hello %s", "world");
+
+  assertEquals(transport.written.length, 1);
+  const [logEntry] = transport.logEntries;
+  const [formattedLog] = transport.written;
+  assertEquals(logEntry.level, "info");
+  assertEquals(logEntry.msg, "hello world");
+  assert(formattedLog.includes("[INFO ]"));
+  assert(formattedLog.includes("hello world"));
+});
+
+Deno.test("Logger Transports - Custom Transports - should replace the console transport when transports are given", () => {
+  clearCapturedLogs();
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  logger.info("not on the console");
+
+  assertEquals(getCapturedLogs().length, 0);
+  assertEquals(transport.written.length, 1);
+});
+
+Deno.test("Logger Transports - Custom Transports - should write to every transport", () => {
+  clearCapturedLogs();
+  const first = createMemoryTransport();
+  const second = createMemoryTransport();
+  const logger = new Logger({
+    transports: [first, new ConsoleTransport({ colour: false }), second],
+  });
+  logger.info("fan out");
+
+  assertEquals(first.written.length, 1);
+  assertEquals(second.written.length, 1);
+  assertEquals(getCapturedLogs().length, 1);
+  assertEquals(JSON.parse(getCapturedLogs()[0]).msg, "fan out");
+});
+
+Deno.test("Logger Transports - Custom Transports - should not pass filtered levels to transports", () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ level: "warn", transports: [transport] });
+  logger.info("filtered");
+  logger.debug("filtered");
+
+  assertEquals(transport.written.length, 0);
+});
+
+Deno.test("Logger Transports - Failures - should keep writing to other transports when one throws", async () => {
+  clearCapturedErrors();
+  const dir = await Deno.makeTempDir();
+  try {
+    const file = new FileTransport({ path: `${dir}/app.log` });
+    const http = new HttpTransport({ url: "http://127.0.0.1:9/logs" });
+    await file.close();
+    await http.close();
+    const transport = createMemoryTransport();
+    const logger = new Logger({ transports: [file, http, transport] });
+
+    logger.info("still written");
+
+    assertEquals(transport.written.length, 1);
+    const errors = getCapturedErrors();
+    assertEquals(errors.length, 2);
+    assertEquals(errors[0][0], "Error writing to transport:");
+    assert(errors[0][1].message.endsWith("is closed"));
+    assert(errors[1][1].message.startsWith("HttpTransport for"));
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Transports - Failures - should stop reporting after repeated failures", () => {
+  clearCapturedErrors();
+  const logger = new Logger({
+    transports: [{
+      write() {
+        throw new Error("disk full");
+      },
+    }],
+  });
+  const child = logger.child({ requestId: 1 });
+
+  for (let i = 0; i < 4; i++) {
+    logger.info("lost");
+    child.info("lost");
+  }
+
+  const errors = getCapturedErrors();
+  assertEquals(errors.length, 6);
+  assert(errors[5][0].startsWith("Transport writes failed 5 times"));
+});
+
+Deno.test("Logger Transports - Failures - should catch failures when writing buffered entries", async () => {
+  clearCapturedErrors();
+  const transport = createMemoryTransport();
+  const logger = new Logger({
+    buffer: true,
+    transports: [{
+      write() {},
+      writeBatch() {
+        throw new Error("disk full");
+      },
+    }, transport],
+  });
+
+  logger.info("buffered");
+  await logger.flush();
+
+  assertEquals(transport.written.length, 1);
+  assertEquals(getCapturedErrors()[0][1].message, "disk full");
+});
+
+Deno.test("Logger Transports - Validation - should throw for invalid transports", () => {
+  assertThrows(
+    () => {
+      new Logger({ transports: "console" });
+    },
+    Error,
+    "transports option must be an array of objects with a write() method",
+  );
+
+  assertThrows(
+    () => {
+      new Logger({ transports: [{}] });
+    },
+    Error,
+    "transports option must be an array of objects with a write() method",
+  );
+});
+
+Deno.test("Logger Transports - ConsoleTransport - should only colour output when enabled", () => {
+  clearCapturedLogs();
+  const plain = new ConsoleTransport({ colour: false });
+  const coloured = new ConsoleTransport({ colour: true });
+  const entry = { level: "info", msg: "x" };
+
+  plain.write(entry, "plain line");
+  coloured.write(entry, "coloured line");
+
+  assertEquals(getCapturedLogs()[0], "plain line");
+  assertEquals(getCapturedLogs()[1], "\x1b[94mcoloured line\x1b[0m");
+});
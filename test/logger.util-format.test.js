@@ -293,8 +293,8 @@ Deno.test("Logger util.format functionality - Simple format output - should form
 
 Deno.test("Logger util.format functionality - Simple format output - should handle JSON formatting in simple format", () => {
   let capturedOutput = "";
-  const originalLog = console.log;
-  console.log = (message) => {
+  const originalError = console.error;
+  console.error = (message) => {
     capturedOutput = message;
   };
 
@@ -305,7 +305,7 @@ Deno.test("Logger util.format functionality - Simple format output - should hand
 
     assertMatch(capturedOutput, /Status: {"status":"active","count":5}/);
   } finally {
-    console.log = originalLog;
+    console.error = originalError;
   }
 });
 
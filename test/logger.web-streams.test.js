@@ -0,0 +1,324 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger, { WritableStreamTransport } from "../lib/logger.ts";
+import {
+  clearCapturedErrors,
+  createMemoryTransport,
+  getCapturedErrors,
+  setupMocks,
+} from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+// A WritableStream that keeps its chunks, waiting `delay` ms on each
+function createSink({ delay = 0, highWaterMark = 1 } = {}) {
+  const chunks = [];
+  let pending = 0;
+  let maxPending = 0;
+  const stream = new WritableStream(
+    {
+      async write(chunk) {
+        pending++;
+        maxPending = Math.max(maxPending, pending);
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+        chunks.push(chunk);
+        pending--;
+      },
+    },
+    new CountQueuingStrategy({ highWaterMark }),
+  );
+  return {
+    stream,
+    chunks,
+    get maxPending() {
+      return maxPending;
+    },
+    text: () =>
+      chunks.map((chunk) =>
+        typeof chunk === "string" ? chunk : new TextDecoder().decode(chunk)
+      ).join(""),
+  };
+}
+
+async function readAll(readable) {
+  const entries = [];
+  for await (const logEntry of readable) {
+    entries.push(logEntry);
+  }
+  return entries;
+}
+
+Deno.test("Logger Web Streams - Readable - should stream entries at the stream's level", async () => {
+  const logger = new Logger({
+    level: "debug",
+    transports: [createMemoryTransport()],
+  });
+  const all = logger.readable();
+  const errors = logger.readable({ level: "error" });
+
+  logger.debug("loading");
+  logger.error("failed");
+  await logger.close();
+
+  assertEquals((await readAll(all)).map((logEntry) => logEntry.msg), [
+    "loading",
+    "failed",
+  ]);
+  const [logEntry] = await readAll(errors);
+  assertEquals(logEntry.msg, "failed");
+  assertEquals(logEntry.level, "error");
+});
+
+Deno.test("Logger Web Streams - Readable - should follow the logger's level when given none", async () => {
+  const logger = new Logger({
+    level: "warn",
+    transports: [createMemoryTransport()],
+  });
+  const readable = logger.readable();
+
+  logger.info("hidden");
+  logger.level("info");
+  logger.info("shown");
+  await logger.close();
+
+  assertEquals((await readAll(readable)).map((logEntry) => logEntry.msg), [
+    "shown",
+  ]);
+});
+
+Deno.test("Logger Web Streams - Readable - should only stream a child's own entries from its stream", async () => {
+  const logger = new Logger({
+    recent: { dumpOnError: true },
+    transports: [createMemoryTransport()],
+  });
+  const request = logger.child({ requestId: 1 });
+  const all = logger.readable();
+  const forRequest = request.readable();
+
+  logger.debug("startup detail");
+  logger.info("server");
+  request.info("handled");
+  request.namespace("db").info("queried");
+  logger.error("server failed");
+  await logger.close();
+
+  assertEquals((await readAll(all)).map((logEntry) => logEntry.msg), [
+    "server",
+    "handled",
+    "queried",
+    "startup detail",
+    "server failed",
+  ]);
+  assertEquals((await readAll(forRequest)).map((logEntry) => logEntry.msg), [
+    "handled",
+    "queried",
+  ]);
+});
+
+Deno.test("Logger Web Streams - Readable - should stop writing to a cancelled stream", async () => {
+  const transport = createMemoryTransport();
+  const logger = new Logger({ transports: [transport] });
+  const readable = logger.readable();
+  assertEquals(logger.outputs.length, 2);
+
+  await readable.cancel();
+  logger.info("after cancel");
+
+  assertEquals(logger.outputs.length, 1);
+  assertEquals(logger.transports, [transport]);
+  assertEquals(transport.written.length, 1);
+});
+
+Deno.test("Logger Web Streams - Readable - should drop entries for a slow reader", async () => {
+  const logger = new Logger({ transports: [createMemoryTransport()] });
+  const readable = logger.readable({ highWaterMark: 2 });
+
+  logger.info("one");
+  logger.info("two");
+  logger.info("three");
+  await logger.close();
+
+  assertEquals(logger.transports[1].droppedCount, 1);
+  assertEquals((await readAll(readable)).map((logEntry) => logEntry.msg), [
+    "one",
+    "two",
+  ]);
+});
+
+Deno.test("Logger Web Streams - Readable - should return a closed stream from a closed logger", async () => {
+  const logger = new Logger({ transports: [createMemoryTransport()] });
+  await logger.close();
+
+  assertEquals(await readAll(logger.readable()), []);
+});
+
+Deno.test("Logger Web Streams - Readable - should not format entries for the stream", () => {
+  const logger = new Logger({ transports: [] });
+  let formatted = false;
+  logger.formatters.json = () => {
+    formatted = true;
+    return "";
+  };
+
+  logger.readable();
+  logger.info("hello");
+
+  assertEquals(formatted, false);
+});
+
+Deno.test("Logger Web Streams - Readable - should throw for invalid options", () => {
+  const logger = new Logger({ transports: [] });
+  assertThrows(
+    () => logger.readable({ level: "verbose" }),
+    Error,
+    "Invalid log level: verbose",
+  );
+  assertThrows(
+    () => logger.readable({ highWaterMark: 0 }),
+    Error,
+    "highWaterMark must be a positive integer",
+  );
+});
+
+Deno.test("Logger Web Streams - Writable - should write lines as bytes by default", async () => {
+  const sink = createSink();
+  const logger = new Logger({ format: "simple", transports: [sink.stream] });
+
+  assert(logger.transports[0] instanceof WritableStreamTransport);
+  logger.info("hello");
+  logger.warn("world");
+  await logger.close();
+
+  assert(sink.chunks.every((chunk) => chunk instanceof Uint8Array));
+  const lines = sink.text().split("\n");
+  assertEquals(lines.length, 3);
+  assert(lines[0].includes("[INFO ] hello"));
+  assert(lines[1].includes("[WARN ]"));
+  assert(lines[1].endsWith("world"));
+  assertEquals(lines[2], "");
+});
+
+Deno.test("Logger Web Streams - Writable - should write strings with the text option", async () => {
+  const sink = createSink();
+  const logger = new Logger({
+    outputs: [{
+      transport: new WritableStreamTransport(sink.stream, { text: true }),
+    }],
+  });
+
+  logger.info("hello");
+  await logger.close();
+
+  assertEquals(typeof sink.chunks[0], "string");
+  assertEquals(JSON.parse(sink.chunks[0]).msg, "hello");
+});
+
+Deno.test("Logger Web Streams - Writable - should wait for the stream when it applies backpressure", async () => {
+  const sink = createSink({ delay: 5 });
+  const logger = new Logger({ transports: [sink.stream] });
+
+  for (let i = 0; i < 5; i++) {
+    logger.info(`line ${i}`);
+  }
+  assertEquals(sink.chunks.length, 0);
+  await logger.flush();
+
+  assertEquals(sink.maxPending, 1);
+  assertEquals(
+    sink.text().trim().split("\n").map((line) => JSON.parse(line).msg),
+    ["line 0", "line 1", "line 2", "line 3", "line 4"],
+  );
+  await logger.close();
+});
+
+Deno.test("Logger Web Streams - Writable - should drop the oldest chunks when the queue is full", async () => {
+  const sink = createSink({ delay: 5 });
+  const transport = new WritableStreamTransport(sink.stream, { maxQueue: 2 });
+  const logger = new Logger({ transports: [transport] });
+
+  logger.info("one");
+  logger.info("two");
+  logger.info("three");
+  await logger.close();
+
+  assertEquals(transport.droppedCount, 1);
+  assertEquals(
+    sink.text().trim().split("\n").map((line) => JSON.parse(line).msg),
+    ["two", "three"],
+  );
+});
+
+Deno.test("Logger Web Streams - Writable - should write a buffered batch as one chunk", async () => {
+  const sink = createSink();
+  const logger = new Logger({ buffer: true, transports: [sink.stream] });
+
+  logger.info("one");
+  logger.info("two");
+  await logger.close();
+
+  assertEquals(sink.chunks.length, 1);
+  assertEquals(sink.text().trim().split("\n").length, 2);
+});
+
+Deno.test("Logger Web Streams - Writable - should leave the stream open with preventClose", async () => {
+  const sink = createSink();
+  const logger = new Logger({
+    transports: [
+      new WritableStreamTransport(sink.stream, { preventClose: true }),
+    ],
+  });
+
+  logger.info("hello");
+  await logger.close();
+
+  const writer = sink.stream.getWriter();
+  await writer.write("more");
+  await writer.close();
+  assertEquals(sink.chunks.length, 2);
+});
+
+Deno.test("Logger Web Streams - Writable - should report a failing stream once", async () => {
+  clearCapturedErrors();
+  const stream = new WritableStream({
+    write() {
+      throw new Error("disk full");
+    },
+  });
+  const transport = new WritableStreamTransport(stream);
+  const logger = new Logger({ transports: [transport] });
+
+  logger.info("one");
+  await logger.flush();
+  logger.info("two");
+  await logger.close();
+
+  const errors = getCapturedErrors();
+  assertEquals(errors.length, 1);
+  assert(errors[0].includes("Error writing to stream:"));
+  assertEquals(transport.droppedCount, 1);
+});
+
+Deno.test("Logger Web Streams - Writable - should throw for invalid options", () => {
+  assertThrows(
+    () => new WritableStreamTransport({}),
+    Error,
+    "stream must be a WritableStream",
+  );
+  assertThrows(
+    () => new WritableStreamTransport(new WritableStream(), { maxQueue: 0 }),
+    Error,
+    "maxQueue option must be a positive integer",
+  );
+  assertThrows(
+    () => new Logger({ transports: [{}] }),
+    Error,
+    "transports option must be an array of objects with a write() method",
+  );
+  assertThrows(
+    () => new Logger({ outputs: [{ transport: {} }] }),
+    Error,
+    "transport for output 0 must have a write() method",
+  );
+});
@@ -0,0 +1,178 @@
+import { assert, assertEquals, assertThrows } from "@std/assert";
+import Logger from "../lib/logger.ts";
+import { setupMocks } from "./helpers/logger-test-helpers.js";
+
+// Setup and teardown for all tests
+setupMocks();
+
+function readEntries(path) {
+  try {
+    return Deno.readTextFileSync(path).split("\n")
+      .filter((line) => line !== "")
+      .map((line) => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+function createWorkerLogger(options = {}, level) {
+  const dir = Deno.makeTempDirSync();
+  const path = `${dir}/app.log`;
+  const module = new URL("./helpers/worker-outputs.js", import.meta.url);
+  module.searchParams.set("path", path);
+  if (level) {
+    module.searchParams.set("level", level);
+  }
+  const logger = new Logger({ ...options, worker: { module } });
+  return { logger, path, dir };
+}
+
+Deno.test("Logger Worker - Writing - should write entries on the worker and flush them on close", async () => {
+  const { logger, path, dir } = createWorkerLogger({ callerLevel: "info" });
+
+  try {
+    for (let i = 0; i < 100; i++) {
+      logger.info("entry %d", i);
+    }
+    await logger.close();
+
+    const entries = readEntries(path);
+    assertEquals(entries.length, 100);
+    assertEquals(entries[99].msg, "entry 99");
+    // Caller info comes from the calling thread, not the worker
+    assert(entries[0].callerFile.endsWith("logger.worker.test.js"));
+    assert(entries[0].callerLine > 0);
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Writing - should capture timestamps on the calling thread", async () => {
+  const { logger, path, dir } = createWorkerLogger({ time: "long" });
+
+  try {
+    const before = Date.now();
+    logger.info("timed");
+    const after = Date.now();
+    await logger.flush();
+
+    const [entry] = readEntries(path);
+    const time = Date.parse(entry.time);
+    assert(time >= before && time <= after);
+  } finally {
+    await logger.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Flush - should resolve once posted entries are written", async () => {
+  const { logger, path, dir } = createWorkerLogger();
+
+  try {
+    logger.info("one");
+    logger.warn("two");
+    await logger.flush();
+    assertEquals(readEntries(path).map((entry) => entry.msg), ["one", "two"]);
+  } finally {
+    await logger.close();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Levels - should only post entries at the logger's level", async () => {
+  const { logger, path, dir } = createWorkerLogger({ level: "info" });
+
+  try {
+    logger.debug("not posted");
+    logger.info("posted");
+    await logger.close();
+    assertEquals(readEntries(path).map((entry) => entry.msg), ["posted"]);
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Levels - should apply module output levels in the worker", async () => {
+  const { logger, path, dir } = createWorkerLogger({ level: "debug" }, "warn");
+
+  try {
+    logger.info("filtered in the worker");
+    logger.warn("kept");
+    await logger.close();
+    assertEquals(readEntries(path).map((entry) => entry.msg), ["kept"]);
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Posting - should send entries that can't be cloned as JSON data", async () => {
+  const { logger, path, dir } = createWorkerLogger();
+
+  try {
+    const logEntry = {
+      level: "info",
+      levelNumber: 2,
+      time: "2024-01-15 10:30",
+      pid: 1,
+      hostname: "host",
+      msg: "with a function",
+      callback: () => {},
+    };
+    logger.postToWorker(logEntry, logger.outputs);
+    await logger.close();
+
+    const [entry] = readEntries(path);
+    assertEquals(entry.msg, "with a function");
+    assertEquals("callback" in entry, false);
+  } finally {
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Shutdown - should write pending entries synchronously on exit", async () => {
+  const { logger, path, dir } = createWorkerLogger();
+
+  try {
+    // Wait for the worker to start, so the timeout only covers writing
+    await logger.flush();
+    logger.info("one");
+    logger.info("two");
+    // What the exit handler does
+    logger.worker.exit();
+
+    assertEquals(readEntries(path).map((entry) => entry.msg), ["one", "two"]);
+    assertEquals(logger.worker.closed, true);
+  } finally {
+    await logger.worker.thread.terminate();
+    Deno.removeSync(dir, { recursive: true });
+  }
+});
+
+Deno.test("Logger Worker - Validation - should throw for invalid worker options", () => {
+  assertThrows(
+    () => new Logger({ worker: "yes" }),
+    Error,
+    "worker option must be a boolean or an object",
+  );
+  assertThrows(
+    () => new Logger({ worker: { module: 42 } }),
+    Error,
+    "worker.module must be a string or URL",
+  );
+  assertThrows(
+    () => new Logger({ worker: { shutdownTimeout: -1 } }),
+    Error,
+    "worker.shutdownTimeout must be a non-negative number",
+  );
+  assertThrows(
+    () => new Logger({ worker: true, transports: [{ write() {} }] }),
+    Error,
+    "Transports can't be used with the worker option",
+  );
+  assertThrows(
+    () =>
+      new Logger({ worker: true, outputs: [{ transport: { write() {} } }] }),
+    Error,
+    "Transports can't be used with the worker option",
+  );
+});